@@ -0,0 +1,11 @@
+-- Migration: Account deactivation and offboarding
+
+USE core_flow_db;
+
+ALTER TABLE profiles
+ADD COLUMN deactivated_at TIMESTAMP NULL DEFAULT NULL,
+ADD COLUMN deactivated_by VARCHAR(36) NULL DEFAULT NULL;
+
+-- Offboarding ends assignments instead of deleting them, so project history is kept
+ALTER TABLE project_assignments
+ADD COLUMN ended_at TIMESTAMP NULL DEFAULT NULL;
@@ -0,0 +1,9 @@
+-- Migration: Allocation percentage and period for project assignments (capacity planning)
+
+USE core_flow_db;
+
+-- Existing assignments are taken as full time for the whole project
+ALTER TABLE project_assignments
+ADD COLUMN allocation_pct TINYINT UNSIGNED NOT NULL DEFAULT 100 AFTER role,
+ADD COLUMN start_date DATE NULL DEFAULT NULL AFTER allocation_pct,
+ADD COLUMN end_date DATE NULL DEFAULT NULL AFTER start_date;
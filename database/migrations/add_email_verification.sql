@@ -0,0 +1,9 @@
+-- Migration: Track email verification on profiles
+-- Existing accounts are treated as verified
+
+USE core_flow_db;
+
+ALTER TABLE profiles
+ADD COLUMN email_verified_at TIMESTAMP NULL DEFAULT NULL AFTER email;
+
+UPDATE profiles SET email_verified_at = NOW() WHERE email_verified_at IS NULL;
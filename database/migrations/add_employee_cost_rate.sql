@@ -0,0 +1,6 @@
+-- Migration: Explicit hourly cost rate per employee (used for project actual cost instead of the salary)
+
+USE core_flow_db;
+
+ALTER TABLE employees
+ADD COLUMN cost_rate DECIMAL(10, 2) NULL DEFAULT NULL AFTER salary;
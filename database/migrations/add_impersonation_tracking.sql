@@ -0,0 +1,9 @@
+-- Migration: Record the real (admin) identity behind impersonated sessions and audit entries
+
+USE core_flow_db;
+
+ALTER TABLE audit_logs
+ADD COLUMN impersonator_id VARCHAR(36) NULL DEFAULT NULL AFTER user_id;
+
+ALTER TABLE user_sessions
+ADD COLUMN impersonator_id VARCHAR(36) NULL DEFAULT NULL AFTER ip_address;
@@ -0,0 +1,6 @@
+-- Migration: Allow custom roles in user_roles
+-- Roles and their permissions live in the roles / role_permissions tables (created on startup)
+
+USE core_flow_db;
+
+ALTER TABLE user_roles MODIFY role VARCHAR(50) NOT NULL DEFAULT 'employee';
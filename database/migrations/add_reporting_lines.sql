@@ -0,0 +1,9 @@
+-- Migration: Reporting lines (employee -> manager) for the org chart and manager views
+
+USE core_flow_db;
+
+ALTER TABLE employees
+ADD COLUMN reports_to VARCHAR(36) NULL DEFAULT NULL AFTER position,
+ADD CONSTRAINT fk_employees_reports_to FOREIGN KEY (reports_to) REFERENCES employees(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_employees_reports_to ON employees(reports_to);
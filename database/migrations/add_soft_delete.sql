@@ -0,0 +1,18 @@
+-- Migration: Soft delete for employees, projects and proposals
+
+USE core_flow_db;
+
+ALTER TABLE employees
+ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+ADD COLUMN deleted_by VARCHAR(36) NULL DEFAULT NULL,
+ADD INDEX idx_employees_deleted_at (deleted_at);
+
+ALTER TABLE projects
+ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL,
+ADD COLUMN deleted_by VARCHAR(36) NULL DEFAULT NULL,
+ADD INDEX idx_projects_deleted_at (deleted_at);
+
+ALTER TABLE proposals
+ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL,
+ADD COLUMN deleted_by VARCHAR(36) NULL DEFAULT NULL,
+ADD INDEX idx_proposals_deleted_at (deleted_at);
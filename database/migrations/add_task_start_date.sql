@@ -0,0 +1,6 @@
+-- Migration: Planned start date for project tasks (Gantt view)
+
+USE core_flow_db;
+
+ALTER TABLE project_tasks
+ADD COLUMN start_date DATE NULL DEFAULT NULL AFTER priority;
@@ -0,0 +1,14 @@
+-- Migration: Store password reset OTPs hashed and track failed attempts
+-- Outstanding plaintext OTPs are discarded (they expire after 5 minutes anyway)
+
+USE core_flow_db;
+
+DELETE FROM password_reset_otps;
+
+ALTER TABLE password_reset_otps
+DROP COLUMN otp,
+ADD COLUMN otp_hash VARCHAR(60) NOT NULL AFTER user_id,
+ADD COLUMN attempts INT DEFAULT 0 AFTER otp_hash;
+
+-- Lockout audit entries for unknown accounts have no user
+ALTER TABLE audit_logs MODIFY user_id VARCHAR(36) NULL;
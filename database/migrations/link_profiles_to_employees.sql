@@ -0,0 +1,14 @@
+-- Migration: Link login profiles to employee records (one employee per profile)
+
+USE core_flow_db;
+
+ALTER TABLE profiles
+ADD COLUMN employee_id VARCHAR(36) NULL DEFAULT NULL,
+ADD CONSTRAINT uq_profiles_employee_id UNIQUE (employee_id),
+ADD CONSTRAINT fk_profiles_employee_id FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE SET NULL;
+
+-- Backfill: link existing accounts to the employee with the same email
+UPDATE profiles p
+JOIN employees e ON LOWER(e.email) = LOWER(p.email) AND e.deleted_at IS NULL
+SET p.employee_id = e.id
+WHERE p.employee_id IS NULL;
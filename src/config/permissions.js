@@ -0,0 +1,73 @@
+// Permission catalog. Roles are built from these names and stored in the database;
+// new entries are picked up on startup and granted to the default roles listed below.
+export const PERMISSIONS = {
+  'employees.read': 'View employee records',
+  'employees.create': 'Create employees',
+  'employees.update': 'Edit employees',
+  'employees.delete': 'Delete employees',
+  'employees.view_salary': 'See salaries in employee exports',
+
+  'documents.read': 'View and download employee documents',
+  'documents.view_sensitive': 'View and download ID proofs',
+  'documents.manage': 'Upload and delete employee documents',
+
+  'projects.read': 'View projects',
+  'projects.create': 'Create projects',
+  'projects.update': 'Edit projects',
+  'projects.delete': 'Delete projects',
+  'projects.assign': 'Assign employees to projects',
+
+  'skills.manage': 'Maintain the skills catalog',
+
+  'hr.read': 'View HR overview, attendance, leave and directory',
+  'recruitment.read': 'View recruitment pipeline',
+  'team.manage': 'View and approve for a managed team',
+  'performance.review': 'View performance reviews',
+  'payroll.read': 'View payroll runs',
+  'payroll.run': 'Run payroll',
+
+  'finance.read': 'View finance data',
+  'operations.read': 'View operations data',
+  'meetings.read': 'View meetings',
+  'notifications.send': 'Send test notifications',
+  'analytics.read': 'View analytics dashboards',
+
+  'questionnaires.read': 'View questionnaires and responses',
+  'questionnaires.write': 'Create, convert, sync and export questionnaires',
+  'questionnaires.delete': 'Delete questionnaires and responses',
+
+  'proposals.read': 'View proposals',
+  'proposals.write': 'Create and edit proposals',
+  'proposals.delete': 'Delete proposals',
+
+  'users.read': 'View user accounts',
+  'users.manage_roles': 'Change user roles',
+  'users.invite': 'Invite new users',
+  'users.manage_sessions': 'View and revoke other users\' sessions',
+  'users.impersonate': 'Log in as another user',
+  'users.deactivate': 'Deactivate and offboard user accounts',
+  'users.link_employee': 'Link user accounts to employee records',
+  'roles.manage': 'Create and edit roles',
+  'settings.manage': 'Change security and application settings',
+  'custom_fields.manage': 'Define custom fields for employees and projects',
+  'trash.manage': 'View and restore deleted employees, projects and proposals',
+  'audit.read': 'View audit logs',
+};
+
+// The admin role always holds every permission and cannot be edited
+export const SUPERUSER_ROLE = 'admin';
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  manager: [
+    'employees.read', 'employees.create', 'employees.update',
+    'documents.read', 'documents.manage',
+    'projects.read', 'projects.create', 'projects.update', 'projects.assign', 'skills.manage',
+    'hr.read', 'recruitment.read', 'team.manage', 'performance.review',
+    'finance.read', 'operations.read', 'meetings.read', 'analytics.read',
+    'questionnaires.read', 'questionnaires.write', 'questionnaires.delete',
+    'proposals.read', 'proposals.write',
+  ],
+  employee: [
+    'employees.read', 'projects.read', 'meetings.read',
+  ],
+};
@@ -1,5 +1,9 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
+import { UserSession } from '../models/UserSession.js';
+import { Role } from '../models/Role.js';
+import { Employee } from '../models/Employee.js';
+import { AuditLog, auditContext } from '../models/AuditLog.js';
 
 export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,38 +15,179 @@ export const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Access tokens are bound to a session; reject logged-out or revoked sessions
+    if (!decoded.sid || !(await UserSession.isActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
     
     // Get fresh user data from database
     const user = await User.findById(decoded.id);
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
+    if (user.deactivated_at) {
+      return res.status(403).json({ error: 'Account has been deactivated' });
+    }
 
     req.user = user;
-    next();
+    req.sessionId = decoded.sid;
+    // The caller's own employee record, or null for accounts that are not linked to one
+    req.employee = user.employee_id ? (await Employee.findById(user.employee_id)) || null : null;
+
+    await UserSession.touch(decoded.sid, { ip_address: req.ip, user_agent: req.get('user-agent') });
+
+    if (!decoded.imp) {
+      return next();
+    }
+
+    // Impersonation: req.user is the impersonated user, req.user.impersonator the admin behind it
+    const impersonator = await User.findById(decoded.imp);
+    if (!impersonator || impersonator.deactivated_at) {
+      return res.status(401).json({ error: 'Impersonating user not found' });
+    }
+    // The admin must still be allowed to impersonate on every request
+    if (!(await Role.getPermissionsForUser(impersonator.id)).includes('users.impersonate')) {
+      return res.status(403).json({ error: 'Impersonating user no longer has the users.impersonate permission' });
+    }
+
+    req.user.impersonator = {
+      id: impersonator.id,
+      email: impersonator.email,
+      full_name: impersonator.full_name,
+      role: impersonator.role,
+    };
+
+    res.on('finish', () => {
+      AuditLog.create({
+        user_id: user.id,
+        impersonator_id: impersonator.id,
+        action: 'IMPERSONATED_REQUEST',
+        details: { method: req.method, path: req.originalUrl, status: res.statusCode },
+        ip_address: req.ip
+      });
+    });
+
+    // Audit entries written by the handler are tagged with the impersonator too
+    return auditContext.run({ impersonatorId: impersonator.id }, next);
   } catch (error) {
     console.error('Token verification error:', error);
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
-export const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Authentication required' });
+// Accepts the short-lived "mfa pending" token issued after a correct password (body.mfa_token)
+export const authenticateMfaToken = (purposes) => {
+  const allowed = Array.isArray(purposes) ? purposes : [purposes];
+
+  return async (req, res, next) => {
+    const token = req.body?.mfa_token;
+    if (!token) {
+      return res.status(401).json({ error: 'MFA token required' });
     }
 
-    const userRole = req.user.role;
-    const allowedRoles = Array.isArray(roles) ? roles : [roles];
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      if (decoded.typ !== 'mfa_pending' || !allowed.includes(decoded.purpose)) {
+        return res.status(401).json({ error: 'Invalid MFA token' });
+      }
 
-    if (!allowedRoles.includes(userRole)) {
-      return res.status(403).json({ 
-        error: 'Insufficient permissions',
-        required: allowedRoles,
-        current: userRole
-      });
+      const user = await User.findById(decoded.id);
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+      if (user.deactivated_at) {
+        return res.status(403).json({ error: 'Account has been deactivated' });
+      }
+
+      req.user = user;
+      req.mfaPurpose = decoded.purpose;
+      next();
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired MFA token' });
     }
+  };
+};
+
+// For public routes that return more to signed-in callers: authenticates only when a token is sent
+export const authenticateOptional = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+  return authenticateToken(req, res, next);
+};
+
+// Blocks sensitive actions (password/email changes, MFA, further impersonation) while impersonating
+export const forbidImpersonation = (req, res, next) => {
+  if (req.user?.impersonator) {
+    return res.status(403).json({ error: 'This action is not allowed while impersonating another user' });
+  }
+  next();
+};
 
+// For self-service routes that only make sense for an account linked to an employee record
+export const requireEmployee = (req, res, next) => {
+  if (!req.employee) {
+    return res.status(403).json({ error: 'No employee record is linked to this account' });
+  }
+  next();
+};
+
+// Loads the caller's effective permissions once per request
+export const getUserPermissions = async (req) => {
+  if (!req.permissions) {
+    req.permissions = await Role.getPermissionsForUser(req.user.id);
+  }
+  return req.permissions;
+};
+
+// Does the caller hold a permission? Always false for anonymous callers
+export const hasPermission = async (req, permission) =>
+  !!req.user && (await getUserPermissions(req)).includes(permission);
+
+// ?include=deleted (soft-deleted rows) is only honoured for callers with trash.manage
+export const guardIncludeDeleted = async (req, res, next) => {
+  const include = [].concat(req.query.include || []).flatMap(value => String(value).split(',')).map(v => v.trim());
+  if (!include.includes('deleted')) {
+    return next();
+  }
+
+  try {
+    if (!(await hasPermission(req, 'trash.manage'))) {
+      return res.status(403).json({ error: 'Deleted records require the trash.manage permission' });
+    }
     next();
+  } catch (error) {
+    console.error('Permission check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Requires every listed permission (e.g. requirePermission('payroll.run'))
+export const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const granted = await getUserPermissions(req);
+      const missing = required.filter(permission => !granted.includes(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          required,
+          missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
   };
 };
@@ -0,0 +1,67 @@
+import { AuthThrottle } from '../models/AuthThrottle.js';
+import { AuditLog } from '../models/AuditLog.js';
+
+const normalize = (value) => (value ? String(value).trim().toLowerCase() : null);
+
+/**
+ * Reject requests while the account or the client IP is locked out for this action.
+ * `getAccount` picks the account identifier from the request (e.g. req.body.email).
+ */
+export const enforceThrottle = (action, getAccount) => {
+  return async (req, res, next) => {
+    try {
+      const account = normalize(getAccount(req));
+      req.throttle = { action, account };
+
+      const lock = await AuthThrottle.getActiveLock(action, [
+        { scope: 'account', identifier: account },
+        { scope: 'ip', identifier: req.ip },
+      ]);
+
+      if (lock) {
+        res.set('Retry-After', String(lock.retryAfter));
+        return res.status(429).json({
+          error: 'Too many failed attempts. Please try again later.',
+          retry_after: lock.retryAfter
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Throttle check error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+};
+
+/**
+ * Count a failed attempt for the account and IP behind this request; audits any lockout it triggers
+ * @param {object} req - Express request that went through enforceThrottle
+ * @param {string|null} userId - Profile ID when the account exists
+ */
+export const recordFailedAttempt = async (req, userId = null) => {
+  const { action, account } = req.throttle;
+  const subjects = [['account', account], ['ip', req.ip]];
+
+  for (const [scope, identifier] of subjects) {
+    if (!identifier) continue;
+
+    const { failedCount, lockSeconds } = await AuthThrottle.recordFailure(action, scope, identifier);
+    if (lockSeconds > 0) {
+      await AuditLog.create({
+        user_id: userId,
+        action: 'AUTH_LOCKOUT',
+        details: { throttled_action: action, scope, identifier, failed_attempts: failedCount, lock_seconds: lockSeconds },
+        ip_address: req.ip
+      });
+    }
+  }
+};
+
+// Successful attempt: the account starts over (the IP counter is left to decay on its own)
+export const clearFailedAttempts = async (req) => {
+  const { action, account } = req.throttle;
+  if (account) {
+    await AuthThrottle.reset(action, 'account', account);
+  }
+};
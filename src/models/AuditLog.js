@@ -1,11 +1,16 @@
 import pool from '../config/database.js';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request context set by authenticateToken; entries written during impersonation are tagged automatically
+export const auditContext = new AsyncLocalStorage();
 
 export class AuditLog {
-    static async create({ user_id, action, details, ip_address }) {
+    static async create({ user_id, action, details, ip_address, impersonator_id }) {
         try {
+            const impersonatorId = impersonator_id || auditContext.getStore()?.impersonatorId || null;
             const [result] = await pool.execute(
-                'INSERT INTO audit_logs (user_id, action, details, ip_address, created_at) VALUES (?, ?, ?, ?, NOW())',
-                [user_id, action, JSON.stringify(details), ip_address]
+                'INSERT INTO audit_logs (user_id, impersonator_id, action, details, ip_address, created_at) VALUES (?, ?, ?, ?, ?, NOW())',
+                [user_id, impersonatorId, action, JSON.stringify(details), ip_address]
             );
             return result.insertId;
         } catch (error) {
@@ -16,9 +21,10 @@ export class AuditLog {
 
     static async findAll({ limit = 100, offset = 0 } = {}) {
         const [rows] = await pool.execute(
-            `SELECT a.*, p.full_name, p.email 
+            `SELECT a.*, p.full_name, p.email, ip.full_name as impersonator_name
        FROM audit_logs a 
        LEFT JOIN profiles p ON a.user_id = p.id 
+       LEFT JOIN profiles ip ON a.impersonator_id = ip.id
        ORDER BY a.created_at DESC 
        LIMIT ? OFFSET ?`,
             [limit.toString(), offset.toString()]
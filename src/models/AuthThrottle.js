@@ -0,0 +1,91 @@
+import pool from '../config/database.js';
+
+// Failures needed before a lock, and how long the first lock lasts (doubles with each further failure)
+const POLICIES = {
+  account: { threshold: 5, baseLockSeconds: 60, maxLockSeconds: 60 * 60 },
+  ip: { threshold: 20, baseLockSeconds: 60, maxLockSeconds: 60 * 60 },
+};
+
+// Failure counters start over after this long without a new failure
+const FAILURE_WINDOW_MINUTES = 60;
+
+/**
+ * AuthThrottle Model
+ * Failed-attempt counters per action (login, otp, mfa) for an account and for an IP address,
+ * with progressive lockout.
+ */
+export class AuthThrottle {
+  /**
+   * Find the longest active lock among the given subjects
+   * @param {string} action - Throttled action
+   * @param {Array<{scope: string, identifier: string}>} subjects - Account and/or IP subjects
+   * @returns {Promise<{scope: string, retryAfter: number}|null>}
+   */
+  static async getActiveLock(action, subjects) {
+    let lock = null;
+
+    for (const { scope, identifier } of subjects) {
+      if (!identifier) continue;
+
+      const [rows] = await pool.execute(
+        `SELECT TIMESTAMPDIFF(SECOND, NOW(), locked_until) as retry_after
+         FROM auth_throttles
+         WHERE action = ? AND scope = ? AND identifier = ? AND locked_until > NOW()`,
+        [action, scope, identifier]
+      );
+
+      if (rows.length > 0 && (!lock || rows[0].retry_after > lock.retryAfter)) {
+        lock = { scope, retryAfter: Math.max(rows[0].retry_after, 1) };
+      }
+    }
+
+    return lock;
+  }
+
+  /**
+   * Count a failed attempt and lock the subject once it passes its threshold
+   * @param {string} action - Throttled action
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} identifier - Normalized email / user ID, or IP address
+   * @returns {Promise<{failedCount: number, lockSeconds: number}>}
+   */
+  static async recordFailure(action, scope, identifier) {
+    const policy = POLICIES[scope];
+
+    // failed_count is assigned first so it still sees the previous last_failed_at
+    await pool.execute(
+      `INSERT INTO auth_throttles (action, scope, identifier, failed_count, last_failed_at)
+       VALUES (?, ?, ?, 1, NOW())
+       ON DUPLICATE KEY UPDATE
+       failed_count = IF(last_failed_at < NOW() - INTERVAL ${FAILURE_WINDOW_MINUTES} MINUTE, 1, failed_count + 1),
+       last_failed_at = NOW()`,
+      [action, scope, identifier]
+    );
+
+    const [rows] = await pool.execute(
+      'SELECT failed_count FROM auth_throttles WHERE action = ? AND scope = ? AND identifier = ?',
+      [action, scope, identifier]
+    );
+    const failedCount = rows[0].failed_count;
+
+    let lockSeconds = 0;
+    if (failedCount >= policy.threshold) {
+      const exponent = Math.min(failedCount - policy.threshold, 16);
+      lockSeconds = Math.min(policy.baseLockSeconds * 2 ** exponent, policy.maxLockSeconds);
+
+      await pool.execute(
+        'UPDATE auth_throttles SET locked_until = NOW() + INTERVAL ? SECOND WHERE action = ? AND scope = ? AND identifier = ?',
+        [lockSeconds, action, scope, identifier]
+      );
+    }
+
+    return { failedCount, lockSeconds };
+  }
+
+  static async reset(action, scope, identifier) {
+    await pool.execute(
+      'DELETE FROM auth_throttles WHERE action = ? AND scope = ? AND identifier = ?',
+      [action, scope, identifier]
+    );
+  }
+}
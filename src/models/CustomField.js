@@ -0,0 +1,124 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+export const CUSTOM_FIELD_ENTITIES = ['employee', 'project'];
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'select'];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const toDefinition = (row) => ({
+  ...row,
+  options: parseJson(row.options),
+  validation: parseJson(row.validation) || {},
+  is_required: !!row.is_required
+});
+
+/**
+ * CustomField Model
+ * Admin-defined fields for employees and projects. Values are kept as strings in
+ * custom_field_values (numbers normalised, dates as YYYY-MM-DD) and typed again on the way out.
+ */
+export class CustomField {
+  static async findAll(entity) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM custom_field_definitions WHERE entity = ? ORDER BY sort_order, label',
+      [entity]
+    );
+    return rows.map(toDefinition);
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM custom_field_definitions WHERE id = ?', [id]);
+    return rows[0] && toDefinition(rows[0]);
+  }
+
+  static async create({ entity, field_key, label, field_type, options = null, validation = null, is_required = false, sort_order = 0, created_by }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO custom_field_definitions
+         (id, entity, field_key, label, field_type, options, validation, is_required, sort_order, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, entity, field_key, label, field_type, options && JSON.stringify(options), validation && JSON.stringify(validation), is_required, sort_order, created_by]
+    );
+    return id;
+  }
+
+  // Entity, key and type are fixed once a field exists; stored values depend on them
+  static async update(id, { label, options, validation, is_required, sort_order }) {
+    const updates = {
+      label,
+      options: options === undefined ? undefined : options && JSON.stringify(options),
+      validation: validation === undefined ? undefined : validation && JSON.stringify(validation),
+      is_required,
+      sort_order
+    };
+    const fields = Object.keys(updates).filter(key => updates[key] !== undefined);
+    if (fields.length === 0) return null;
+
+    const [result] = await pool.execute(
+      `UPDATE custom_field_definitions SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Removes the field and every value stored for it
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM custom_field_definitions WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Custom field values for a set of records, keyed by record ID then field key.
+   * Every defined field is present; fields without a value are null.
+   * @param {object[]} definitions - Result of findAll(entity)
+   * @param {string[]} entityIds - Employee or project IDs
+   * @returns {Promise<Map<string, object>>}
+   */
+  static async getValues(definitions, entityIds) {
+    const values = new Map(entityIds.map(id => [id, Object.fromEntries(definitions.map(d => [d.field_key, null]))]));
+    if (definitions.length === 0 || entityIds.length === 0) return values;
+
+    const byId = new Map(definitions.map(d => [d.id, d]));
+    const [rows] = await pool.query(
+      'SELECT field_id, entity_id, value FROM custom_field_values WHERE field_id IN (?) AND entity_id IN (?)',
+      [[...byId.keys()], entityIds]
+    );
+    for (const row of rows) {
+      const definition = byId.get(row.field_id);
+      values.get(row.entity_id)[definition.field_key] = definition.field_type === 'number' ? Number(row.value) : row.value;
+    }
+    return values;
+  }
+
+  /**
+   * Write validated values for one record; a null value removes the stored one
+   * @param {string} entityId - Employee or project ID
+   * @param {Array<{field_id: string, value: string|null}>} values
+   */
+  static async setValues(entityId, values) {
+    for (const { field_id, value } of values) {
+      if (value === null) {
+        await pool.execute('DELETE FROM custom_field_values WHERE field_id = ? AND entity_id = ?', [field_id, entityId]);
+      } else {
+        await pool.execute(
+          `INSERT INTO custom_field_values (field_id, entity_id, value, updated_at) VALUES (?, ?, ?, NOW())
+           ON DUPLICATE KEY UPDATE value = VALUES(value), updated_at = NOW()`,
+          [field_id, entityId, value]
+        );
+      }
+    }
+  }
+
+  /**
+   * SQL expression for a field's value on the record aliased `alias` (for filters, sorting, exports).
+   * The field ID is one of ours, so it is safe to interpolate.
+   * @param {object} definition - Field definition
+   * @param {string} alias - Alias of the employees/projects table
+   * @returns {string}
+   */
+  static valueExpression(definition, alias) {
+    const value = `(SELECT v.value FROM custom_field_values v WHERE v.field_id = '${definition.id}' AND v.entity_id = ${alias}.id)`;
+    return definition.field_type === 'number' ? `CAST(${value} AS DECIMAL(20, 6))` : value;
+  }
+}
@@ -0,0 +1,69 @@
+import pool from '../config/database.js';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+const VERIFICATION_TTL_HOURS = 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * EmailVerification Model
+ * Single-use links that confirm an address, either the account's own email ('verify')
+ * or a requested new address ('change'). Only the token hash is stored.
+ */
+export class EmailVerification {
+  /**
+   * Issue a verification token, replacing earlier unused tokens of the same purpose
+   * @param {string} userId - The profile ID
+   * @param {string} email - Address being confirmed
+   * @param {string} purpose - 'verify' or 'change'
+   * @returns {Promise<string>} Plaintext token for the link
+   */
+  static async create(userId, email, purpose) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+
+    await pool.execute(
+      'UPDATE email_verifications SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL',
+      [userId, purpose]
+    );
+    await pool.execute(
+      `INSERT INTO email_verifications (id, user_id, email, purpose, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [uuidv4(), userId, email, purpose, hashToken(token), expiresAt]
+    );
+
+    return token;
+  }
+
+  static async findValidByToken(token) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM email_verifications
+       WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [hashToken(token)]
+    );
+    return rows[0];
+  }
+
+  static async findPendingChange(userId) {
+    const [rows] = await pool.execute(
+      `SELECT email, expires_at FROM email_verifications
+       WHERE user_id = ? AND purpose = 'change' AND used_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Use up a token; returns false if it was already used
+   * @returns {Promise<boolean>}
+   */
+  static async markUsed(id) {
+    const [result] = await pool.execute(
+      'UPDATE email_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
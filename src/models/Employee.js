@@ -1,6 +1,58 @@
 import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import { EmployeeHistory, TRACKED_FIELDS } from './EmployeeHistory.js';
+
+// Guards the recursive hierarchy queries against loops in existing data
+const MAX_HIERARCHY_DEPTH = 50;
+
+// Untracked employees columns, copied as-is into the "as of" view (keep in sync with the table)
+const AS_OF_COLUMNS = [
+  'id', 'full_name', 'email', 'phone', 'cost_rate', 'reports_to', 'join_date',
+  'created_by', 'created_at', 'updated_at', 'deleted_at', 'deleted_by'
+];
 
 export class Employee {
+  // What GET /api/employees may search, filter and sort on (see utils/listQuery.js)
+  static listQuerySpec = {
+    searchColumns: ['e.full_name', 'e.email', 'e.position'],
+    filters: {
+      status: { column: 'e.status', type: 'enum', values: ['active', 'inactive', 'terminated'] },
+      department: { column: 'e.department', type: 'string' },
+      position: { column: 'e.position', type: 'string' },
+      reports_to: { column: 'e.reports_to', type: 'string' },
+      join_date: { column: 'e.join_date', type: 'date' }
+    },
+    sortable: {
+      full_name: 'e.full_name',
+      email: 'e.email',
+      department: 'e.department',
+      position: 'e.position',
+      status: 'e.status',
+      join_date: 'e.join_date',
+      salary: 'e.salary',
+      created_at: 'e.created_at'
+    },
+    defaultSort: '-created_at',
+    softDeleteColumns: ['e.deleted_at']
+  };
+
+  // Columns GET /api/employees/export can include, by output name
+  static exportColumns = {
+    id: 'e.id',
+    full_name: 'e.full_name',
+    email: 'e.email',
+    phone: 'e.phone',
+    department: 'e.department',
+    position: 'e.position',
+    reports_to: 'e.reports_to',
+    salary: 'e.salary',
+    join_date: "DATE_FORMAT(e.join_date, '%Y-%m-%d')",
+    status: 'e.status',
+    created_by_name: 'p.full_name',
+    created_at: 'e.created_at',
+    updated_at: 'e.updated_at'
+  };
+
   static async create(employeeData) {
     const {
       full_name,
@@ -9,18 +61,22 @@ export class Employee {
       department,
       position,
       salary,
+      cost_rate = null,
       join_date,
       status = 'active',
+      reports_to = null,
       created_by
     } = employeeData;
 
-    const [result] = await pool.execute(
-      `INSERT INTO employees (id, full_name, email, phone, department, position, salary, join_date, status, created_by, created_at, updated_at) 
-       VALUES (UUID(), ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [full_name, email, phone, department, position, salary, join_date, status, created_by]
+    // The ID is generated here: insertId is not set for UUID primary keys
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO employees (id, full_name, email, phone, department, position, salary, cost_rate, join_date, status, reports_to, created_by, created_at, updated_at) 
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, full_name, email, phone, department, position, salary, cost_rate, join_date, status, reports_to, created_by]
     );
 
-    return result.insertId;
+    return id;
   }
 
   static async findAll(limit = 50, offset = 0) {
@@ -29,37 +85,52 @@ export class Employee {
     const sql = `SELECT e.*, p.full_name as created_by_name
                  FROM employees e
                  LEFT JOIN profiles p ON e.created_by = p.id
+                 WHERE e.deleted_at IS NULL
                  ORDER BY e.created_at DESC
                  LIMIT ${safeLimit} OFFSET ${safeOffset}`;
     const [rows] = await pool.execute(sql);
     return rows;
   }
 
-  static async findById(id) {
+  static async findById(id, { includeDeleted = false } = {}) {
     const [rows] = await pool.execute(
       `SELECT e.*, p.full_name as created_by_name 
        FROM employees e 
        LEFT JOIN profiles p ON e.created_by = p.id 
-       WHERE e.id = ?`,
+       WHERE e.id = ?${includeDeleted ? '' : ' AND e.deleted_at IS NULL'}`,
       [id]
     );
     return rows[0];
   }
 
-  static async findByEmail(email) {
+  static async findByEmail(email, { includeDeleted = false } = {}) {
     const [rows] = await pool.execute(
-      'SELECT * FROM employees WHERE email = ?',
+      `SELECT * FROM employees WHERE email = ?${includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
       [email]
     );
     return rows[0];
   }
 
-  static async update(id, updates) {
+  // Columns Employee.update may write; anything else in `updates` is ignored, so the history
+  // (exact field names) and the reports_to checks cannot be sidestepped with differently cased keys
+  static updatableColumns = [
+    'full_name', 'email', 'phone', 'department', 'position', 'salary', 'cost_rate', 'join_date', 'status', 'reports_to'
+  ];
+
+  /**
+   * Update an employee. Changes to position, department, salary or status are also
+   * written to employee_history, in the same transaction.
+   * @param {string} id - Employee ID
+   * @param {object} updates - Columns to write
+   * @param {string|null} changedBy - Profile ID making the change
+   * @returns {Promise<boolean|null>} null if there was nothing to update, false if not found
+   */
+  static async update(id, updates, changedBy = null) {
     const fields = [];
     const values = [];
     
     Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined) {
+      if (Employee.updatableColumns.includes(key) && updates[key] !== undefined) {
         fields.push(`${key} = ?`);
         values.push(updates[key]);
       }
@@ -68,37 +139,223 @@ export class Employee {
     if (fields.length === 0) return null;
     
     values.push(id);
+
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      const [[before]] = await connection.execute('SELECT * FROM employees WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (!before) {
+        await connection.rollback();
+        return false;
+      }
+
+      await connection.execute(
+        `UPDATE employees SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+        values
+      );
+      await EmployeeHistory.recordChanges(connection, before, updates, changedBy);
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      throw error;
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
+  }
+
+  // Soft delete: the row stays (and can be restored) until the retention purge removes it
+  static async delete(id, deletedBy = null) {
     const [result] = await pool.execute(
-      `UPDATE employees SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
-      values
+      'UPDATE employees SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [deletedBy, id]
     );
-    
     return result.affectedRows > 0;
   }
 
-  static async delete(id) {
+  static async restore(id) {
     const [result] = await pool.execute(
-      'DELETE FROM employees WHERE id = ?',
+      'UPDATE employees SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
       [id]
     );
     return result.affectedRows > 0;
   }
 
   static async count() {
-    const [rows] = await pool.execute('SELECT COUNT(*) as count FROM employees');
+    const [rows] = await pool.execute('SELECT COUNT(*) as count FROM employees WHERE deleted_at IS NULL');
     return rows[0].count;
   }
 
-  static async findByDepartment(department, limit = 50, offset = 0) {
-    const safeLimit = Number.isFinite(Number(limit)) ? Number(limit) : 50;
-    const safeOffset = Number.isFinite(Number(offset)) ? Number(offset) : 0;
-    const sql = `SELECT e.*, p.full_name as created_by_name
-                 FROM employees e
-                 LEFT JOIN profiles p ON e.created_by = p.id
-                 WHERE e.department = ?
-                 ORDER BY e.created_at DESC
-                 LIMIT ${safeLimit} OFFSET ${safeOffset}`;
-    const [rows] = await pool.execute(sql, [department]);
+  /**
+   * Page of employees matching a parsed list query, with the total across all pages
+   * @param {object} listQuery - Result of parseListQuery(req.query, Employee.listQuerySpec)
+   * @returns {Promise<{rows: object[], total: number}>}
+   */
+  static async search({ where, params, orderBy, limit, offset, asOf = null }) {
+    const source = asOf ? Employee.asOfSource(asOf) : { sql: 'employees', params: [] };
+    const [rows] = await pool.execute(
+      `SELECT e.*, p.full_name as created_by_name
+       FROM ${source.sql} e
+       LEFT JOIN profiles p ON e.created_by = p.id
+       ${where}
+       ORDER BY ${orderBy}, e.id
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [...source.params, ...params]
+    );
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM ${source.sql} e ${where}`,
+      [...source.params, ...params]
+    );
+    return { rows, total };
+  }
+
+  /**
+   * Derived table standing in for `employees` as it looked on a date: tracked fields come from
+   * employee_history and people who joined later are left out. Filters and sorting work unchanged.
+   * @param {string} asOf - YYYY-MM-DD
+   * @returns {{sql: string, params: string[]}}
+   */
+  static asOfSource(asOf) {
+    const tracked = TRACKED_FIELDS.map(field => `${EmployeeHistory.asOfExpression(field, 'emp')} AS ${field}`);
+    return {
+      sql: `(SELECT ${AS_OF_COLUMNS.map(c => `emp.${c}`).join(', ')}, ${tracked.join(', ')}
+             FROM employees emp
+             WHERE emp.join_date IS NULL OR emp.join_date <= ?)`,
+      params: [...TRACKED_FIELDS.flatMap(() => [asOf, asOf]), asOf]
+    };
+  }
+
+  /**
+   * SELECT for exporting every employee matching a parsed list query (no pagination)
+   * @param {object} listQuery - Result of parseListQuery(req.query, Employee.listQuerySpec)
+   * @param {string[]} columns - Keys of `available`
+   * @param {object} available - Column name -> SQL expression (Employee.exportColumns plus custom fields)
+   * @returns {{sql: string, params: Array}}
+   */
+  static exportQuery({ where, params, orderBy }, columns, available = Employee.exportColumns) {
+    return {
+      sql: `SELECT ${columns.map(c => `${available[c]} AS \`${c}\``).join(', ')}
+            FROM employees e
+            LEFT JOIN profiles p ON e.created_by = p.id
+            ${where}
+            ORDER BY ${orderBy}, e.id`,
+      params
+    };
+  }
+
+  // --- Reporting lines ---
+
+  static async getDirectReports(id) {
+    const [rows] = await pool.execute(
+      `SELECT id, full_name, email, department, position, status, reports_to
+       FROM employees WHERE reports_to = ? AND deleted_at IS NULL ORDER BY full_name`,
+      [id]
+    );
+    return rows;
+  }
+
+  /**
+   * Everyone below an employee, at any depth. Deleted managers are walked through: their
+   * reports move up to the nearest live manager (`reports_to`) and keep their place in the tree.
+   * @param {string} id - Employee ID
+   * @returns {Promise<object[]>} Employees with `depth` (1 = direct report)
+   */
+  static async getSubtree(id) {
+    const [rows] = await pool.execute(
+      `WITH RECURSIVE subtree AS (
+         SELECT id, full_name, email, department, position, status, reports_to, deleted_at, 1 AS depth, 1 AS hops
+         FROM employees WHERE reports_to = ?
+         UNION ALL
+         SELECT e.id, e.full_name, e.email, e.department, e.position, e.status,
+                IF(s.deleted_at IS NULL, s.id, s.reports_to), e.deleted_at,
+                s.depth + IF(s.deleted_at IS NULL, 1, 0), s.hops + 1
+         FROM employees e JOIN subtree s ON e.reports_to = s.id
+         WHERE s.hops < ${MAX_HIERARCHY_DEPTH}
+       )
+       SELECT id, full_name, email, department, position, status, reports_to, depth
+       FROM subtree WHERE deleted_at IS NULL ORDER BY depth, full_name`,
+      [id]
+    );
     return rows;
   }
+
+  /**
+   * Live managers above an employee, nearest first (deleted managers are skipped)
+   * @param {string} id - Employee ID
+   * @returns {Promise<object[]>} Managers with `level` (1 = direct manager)
+   */
+  static async getManagementChain(id) {
+    const [rows] = await pool.execute(
+      `WITH RECURSIVE chain AS (
+         SELECT m.id, m.full_name, m.email, m.department, m.position, m.status, m.reports_to, m.deleted_at, 1 AS hops
+         FROM employees e JOIN employees m ON e.reports_to = m.id
+         WHERE e.id = ?
+         UNION ALL
+         SELECT m.id, m.full_name, m.email, m.department, m.position, m.status, m.reports_to, m.deleted_at, c.hops + 1
+         FROM employees m JOIN chain c ON m.id = c.reports_to
+         WHERE c.hops < ${MAX_HIERARCHY_DEPTH}
+       )
+       SELECT id, full_name, email, department, position, status, reports_to, ROW_NUMBER() OVER (ORDER BY hops) AS level
+       FROM chain WHERE deleted_at IS NULL ORDER BY level`,
+      [id]
+    );
+    return rows;
+  }
+
+  /**
+   * Would making `managerId` the manager of `id` create a reporting loop?
+   * @returns {Promise<boolean>}
+   */
+  static async wouldCreateCycle(id, managerId) {
+    if (id === managerId) return true;
+    const chain = await Employee.getManagementChain(managerId);
+    return chain.some(manager => manager.id === id);
+  }
+
+  /**
+   * Org chart as nested JSON. Without a root, every employee without a manager starts a tree.
+   * @param {string} [rootId] - Employee at the top of the chart
+   * @returns {Promise<object[]>} Nodes with `reports` arrays
+   */
+  static async getOrgChart(rootId = null) {
+    let rows;
+    if (rootId) {
+      const root = await Employee.findById(rootId);
+      if (!root) return null;
+      rows = [{ ...root, reports_to: null }, ...(await Employee.getSubtree(rootId))];
+    } else {
+      [rows] = await pool.execute(
+        `SELECT id, full_name, email, department, position, status, reports_to
+         FROM employees WHERE deleted_at IS NULL ORDER BY full_name`
+      );
+    }
+
+    const nodes = new Map(rows.map(row => [row.id, {
+      id: row.id,
+      full_name: row.full_name,
+      email: row.email,
+      department: row.department,
+      position: row.position,
+      status: row.status,
+      reports: []
+    }]));
+
+    const roots = [];
+    for (const row of rows) {
+      const parent = row.reports_to && nodes.get(row.reports_to);
+      if (parent) {
+        parent.reports.push(nodes.get(row.id));
+      } else {
+        roots.push(nodes.get(row.id));
+      }
+    }
+    return roots;
+  }
 }
@@ -0,0 +1,94 @@
+import pool from '../config/database.js';
+
+// Document types; `sensitive` ones also need the documents.view_sensitive permission
+export const DOCUMENT_TYPES = {
+  contract: { sensitive: false },
+  id_proof: { sensitive: true },
+  certification: { sensitive: false },
+  other: { sensitive: false }
+};
+
+const COLUMNS = `d.id, d.employee_id, d.document_type, d.title, d.original_name, d.mime_type, d.size_bytes,
+                 DATE_FORMAT(d.expires_at, '%Y-%m-%d') AS expires_at, d.uploaded_by, d.created_at`;
+
+/**
+ * EmployeeDocument Model
+ * Metadata for files attached to employees (contracts, ID proofs, certifications).
+ * The file itself lives in document storage under `storage_key`.
+ */
+export class EmployeeDocument {
+  static async create({ id, employee_id, document_type, title, original_name, mime_type, size_bytes, storage_key, expires_at = null, uploaded_by }) {
+    await pool.execute(
+      `INSERT INTO employee_documents
+         (id, employee_id, document_type, title, original_name, mime_type, size_bytes, storage_key, expires_at, uploaded_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, employee_id, document_type, title, original_name, mime_type, size_bytes, storage_key, expires_at, uploaded_by]
+    );
+    return id;
+  }
+
+  /**
+   * Documents of one employee, newest first
+   * @param {string} employeeId - Employee ID
+   * @param {string[]} types - Document types the caller may see
+   * @returns {Promise<object[]>}
+   */
+  static async findByEmployee(employeeId, types) {
+    if (types.length === 0) return [];
+    const [rows] = await pool.query(
+      `SELECT ${COLUMNS}, p.full_name AS uploaded_by_name
+       FROM employee_documents d
+       LEFT JOIN profiles p ON d.uploaded_by = p.id
+       WHERE d.employee_id = ? AND d.document_type IN (?)
+       ORDER BY d.created_at DESC`,
+      [employeeId, types]
+    );
+    return rows;
+  }
+
+  // Includes storage_key, for downloading and deleting
+  static async findById(employeeId, id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS}, d.storage_key FROM employee_documents d WHERE d.id = ? AND d.employee_id = ?`,
+      [id, employeeId]
+    );
+    return rows[0];
+  }
+
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM employee_documents WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Documents that expire within `days` days (already expired ones included), soonest first.
+   * Documents of deleted employees are left out.
+   * @param {number} days - Look-ahead window
+   * @param {string[]} types - Document types the caller may see
+   * @returns {Promise<object[]>}
+   */
+  static async findExpiring(days, types) {
+    if (types.length === 0) return [];
+    const [rows] = await pool.query(
+      `SELECT ${COLUMNS}, e.full_name AS employee_name, e.email AS employee_email,
+              DATEDIFF(d.expires_at, CURDATE()) AS days_remaining
+       FROM employee_documents d
+       JOIN employees e ON d.employee_id = e.id
+       WHERE d.expires_at IS NOT NULL AND d.expires_at <= CURDATE() + INTERVAL ? DAY
+         AND e.deleted_at IS NULL AND d.document_type IN (?)
+       ORDER BY d.expires_at, e.full_name`,
+      [days, types]
+    );
+    return rows;
+  }
+
+  // Storage keys of the documents belonging to the given employees
+  static async findStorageKeys(employeeIds) {
+    if (employeeIds.length === 0) return [];
+    const [rows] = await pool.query(
+      'SELECT storage_key FROM employee_documents WHERE employee_id IN (?)',
+      [employeeIds]
+    );
+    return rows.map(row => row.storage_key);
+  }
+}
@@ -0,0 +1,176 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+export const TRACKED_FIELDS = ['position', 'department', 'salary', 'status'];
+
+const toStored = (value) => (value === null || value === undefined ? null : String(value));
+
+/**
+ * EmployeeHistory Model
+ * Effective-dated timeline of position, department, salary and status changes.
+ * Entries with `applied_at` NULL are scheduled for a future date and applied by applyDueChanges().
+ * Methods that take an `executor` accept the pool or a transaction connection.
+ */
+export class EmployeeHistory {
+  /**
+   * Record the tracked fields that differ between two versions of an employee, effective today
+   * @param {object} executor - pool or connection
+   * @param {object} before - Employee row before the change
+   * @param {object} updates - Fields being written
+   * @param {string|null} changedBy - Profile ID making the change
+   * @returns {Promise<number>} Number of entries written
+   */
+  static async recordChanges(executor, before, updates, changedBy = null) {
+    let count = 0;
+    for (const field of TRACKED_FIELDS) {
+      if (updates[field] === undefined) continue;
+
+      const oldValue = toStored(before[field]);
+      const newValue = toStored(updates[field]);
+      // DECIMAL salaries come back as '50000.00'; compare numerically so '50000' is not a change
+      const unchanged = field === 'salary' && oldValue !== null && newValue !== null
+        ? Number(oldValue) === Number(newValue)
+        : oldValue === newValue;
+      if (unchanged) continue;
+
+      await executor.execute(
+        `INSERT INTO employee_history (id, employee_id, field, old_value, new_value, effective_date, applied_at, changed_by, created_at)
+         VALUES (?, ?, ?, ?, ?, CURDATE(), NOW(), ?, NOW())`,
+        [uuidv4(), before.id, field, oldValue, newValue, changedBy]
+      );
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Schedule changes that take effect on a future date
+   * @param {string} employeeId - Employee ID
+   * @param {object} changes - Subset of TRACKED_FIELDS -> new value
+   * @param {string} effectiveDate - YYYY-MM-DD
+   * @param {string} changedBy - Profile ID scheduling the change
+   * @returns {Promise<string[]>} IDs of the scheduled entries
+   */
+  static async schedule(employeeId, changes, effectiveDate, changedBy) {
+    const ids = [];
+    for (const field of TRACKED_FIELDS) {
+      if (changes[field] === undefined) continue;
+      const id = uuidv4();
+      await pool.execute(
+        `INSERT INTO employee_history (id, employee_id, field, new_value, effective_date, changed_by, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+        [id, employeeId, field, toStored(changes[field]), effectiveDate, changedBy]
+      );
+      ids.push(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Full timeline for an employee, newest first, including scheduled and cancelled entries
+   * @param {string} employeeId - Employee ID
+   * @returns {Promise<object[]>}
+   */
+  static async findByEmployee(employeeId) {
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.field, h.old_value, h.new_value, DATE_FORMAT(h.effective_date, '%Y-%m-%d') AS effective_date,
+              h.applied_at, h.cancelled_at, h.created_at, h.changed_by, p.full_name AS changed_by_name,
+              CASE
+                WHEN h.cancelled_at IS NOT NULL THEN 'cancelled'
+                WHEN h.applied_at IS NULL THEN 'scheduled'
+                ELSE 'applied'
+              END AS state
+       FROM employee_history h
+       LEFT JOIN profiles p ON h.changed_by = p.id
+       WHERE h.employee_id = ?
+       ORDER BY h.effective_date DESC, h.created_at DESC`,
+      [employeeId]
+    );
+    return rows;
+  }
+
+  /**
+   * Cancel a scheduled entry; returns false if it is unknown or already applied/cancelled
+   * @returns {Promise<boolean>}
+   */
+  static async cancel(employeeId, id) {
+    const [result] = await pool.execute(
+      `UPDATE employee_history SET cancelled_at = NOW()
+       WHERE id = ? AND employee_id = ? AND applied_at IS NULL AND cancelled_at IS NULL`,
+      [id, employeeId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Apply scheduled entries whose effective date has arrived, oldest first.
+   * `old_value` is filled in from the employee at the moment the change is applied.
+   * @returns {Promise<number>} Number of entries applied
+   */
+  static async applyDueChanges() {
+    const [due] = await pool.execute(
+      `SELECT id, employee_id, field, new_value FROM employee_history
+       WHERE applied_at IS NULL AND cancelled_at IS NULL AND effective_date <= CURDATE()
+       ORDER BY effective_date, created_at`
+    );
+
+    let applied = 0;
+    for (const entry of due) {
+      let connection;
+      try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // `field` comes from the ENUM column, so it is safe to interpolate
+        const [[employee]] = await connection.execute(
+          `SELECT ${entry.field} AS value FROM employees WHERE id = ? FOR UPDATE`,
+          [entry.employee_id]
+        );
+        const [claimed] = await connection.execute(
+          `UPDATE employee_history SET applied_at = NOW(), old_value = ?
+           WHERE id = ? AND applied_at IS NULL AND cancelled_at IS NULL`,
+          [toStored(employee?.value), entry.id]
+        );
+        if (employee && claimed.affectedRows > 0) {
+          await connection.execute(
+            `UPDATE employees SET ${entry.field} = ?, updated_at = NOW() WHERE id = ?`,
+            [entry.new_value, entry.employee_id]
+          );
+          applied++;
+        }
+
+        await connection.commit();
+      } catch (error) {
+        if (connection) {
+          await connection.rollback();
+        }
+        console.error(`Failed to apply scheduled employee change ${entry.id}:`, error.message);
+      } finally {
+        if (connection) {
+          connection.release();
+        }
+      }
+    }
+    return applied;
+  }
+
+  /**
+   * SQL expression for a tracked field's value on a given date, for an employee aliased `alias`.
+   * Uses the last applied change on or before the date; failing that, the value before the first
+   * later change; failing that, the current value. Takes the date as two `?` parameters.
+   * @param {string} field - One of TRACKED_FIELDS
+   * @param {string} alias - Alias of the employees table
+   * @returns {string}
+   */
+  static asOfExpression(field, alias) {
+    return `COALESCE(
+      (SELECT h.new_value FROM employee_history h
+       WHERE h.employee_id = ${alias}.id AND h.field = '${field}' AND h.applied_at IS NOT NULL AND h.effective_date <= ?
+       ORDER BY h.effective_date DESC, h.applied_at DESC LIMIT 1),
+      (SELECT h.old_value FROM employee_history h
+       WHERE h.employee_id = ${alias}.id AND h.field = '${field}' AND h.applied_at IS NOT NULL AND h.effective_date > ?
+       ORDER BY h.effective_date ASC, h.applied_at ASC LIMIT 1),
+      ${alias}.${field}
+    )`;
+  }
+}
@@ -0,0 +1,115 @@
+import pool from '../config/database.js';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+
+const INVITE_TTL_DAYS = parseInt(process.env.INVITE_EXPIRES_DAYS || '7');
+
+/**
+ * Invitation Model
+ * Admin-issued invitations with a preset role. The emailed token is a signed JWT carrying the
+ * invitation ID; the row makes it single-use and revocable.
+ */
+export class Invitation {
+  static async create({ email, full_name = null, role, employee_id = null, invited_by }) {
+    const id = uuidv4();
+    const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await pool.execute(
+      `INSERT INTO invitations (id, email, full_name, role, employee_id, invited_by, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, email, full_name, role, employee_id, invited_by, expiresAt]
+    );
+
+    return id;
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute(
+      `SELECT i.*, p.full_name as invited_by_name
+       FROM invitations i
+       LEFT JOIN profiles p ON i.invited_by = p.id
+       WHERE i.id = ?`,
+      [id]
+    );
+    return rows[0];
+  }
+
+  static async findAll({ status } = {}) {
+    const conditions = {
+      pending: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at > NOW()',
+      accepted: 'i.accepted_at IS NOT NULL',
+      revoked: 'i.revoked_at IS NOT NULL',
+      expired: 'i.accepted_at IS NULL AND i.revoked_at IS NULL AND i.expires_at <= NOW()',
+    };
+    const where = conditions[status] ? `WHERE ${conditions[status]}` : '';
+
+    const [rows] = await pool.execute(
+      `SELECT i.id, i.email, i.full_name, i.role, i.employee_id, i.expires_at, i.accepted_at,
+              i.revoked_at, i.created_at, p.full_name as invited_by_name
+       FROM invitations i
+       LEFT JOIN profiles p ON i.invited_by = p.id
+       ${where}
+       ORDER BY i.created_at DESC`
+    );
+    return rows;
+  }
+
+  static isPending(invitation) {
+    return !invitation.accepted_at && !invitation.revoked_at && new Date(invitation.expires_at) > new Date();
+  }
+
+  // Revoke outstanding invitations for an email (a new invite supersedes older ones)
+  static async revokePendingForEmail(email) {
+    await pool.execute(
+      'UPDATE invitations SET revoked_at = NOW() WHERE email = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [email]
+    );
+  }
+
+  static async revoke(id) {
+    const [result] = await pool.execute(
+      'UPDATE invitations SET revoked_at = NOW() WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Claim a pending invitation; only one concurrent accept can succeed
+   * @returns {Promise<boolean>}
+   */
+  static async markAccepted(id) {
+    const [result] = await pool.execute(
+      `UPDATE invitations SET accepted_at = NOW()
+       WHERE id = ? AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async setAcceptedUser(id, userId) {
+    await pool.execute('UPDATE invitations SET accepted_user_id = ? WHERE id = ?', [userId, id]);
+  }
+
+  static signToken(invitation) {
+    const expiresIn = Math.max(Math.floor((new Date(invitation.expires_at) - Date.now()) / 1000), 1);
+    return jwt.sign(
+      { typ: 'invite', jti: invitation.id, email: invitation.email },
+      process.env.JWT_SECRET,
+      { expiresIn }
+    );
+  }
+
+  /**
+   * Verify an invite token's signature and expiry
+   * @returns {string|null} The invitation ID, or null if the token is invalid
+   */
+  static verifyToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.typ === 'invite' ? decoded.jti : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+export const LEAVE_TYPES = ['casual', 'sick', 'earned', 'unpaid'];
+
+const COLUMNS = `l.id, l.employee_id, e.full_name AS employee_name, l.leave_type,
+                 DATE_FORMAT(l.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(l.end_date, '%Y-%m-%d') AS end_date,
+                 l.reason, l.status, l.decided_by, l.decided_at, l.created_at`;
+
+/**
+ * LeaveRequest Model
+ * Employee leave; `pending` until a manager approves or rejects it. The employee can cancel a
+ * pending or approved request. Pending and approved requests of one employee never overlap.
+ */
+export class LeaveRequest {
+  static async create({ employee_id, leave_type, start_date, end_date, reason = null }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO leave_requests (id, employee_id, leave_type, start_date, end_date, reason, status, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW())`,
+      [id, employee_id, leave_type, start_date, end_date, reason]
+    );
+    return id;
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM leave_requests l JOIN employees e ON l.employee_id = e.id WHERE l.id = ?`,
+      [id]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Leave requests, newest first
+   * @param {object} filters
+   * @param {string[]} [filters.employeeIds] - Only these employees
+   * @param {string} [filters.status] - Only this status
+   * @returns {Promise<object[]>}
+   */
+  static async findAll({ employeeIds = null, status = null } = {}) {
+    if (employeeIds && employeeIds.length === 0) return [];
+    const conditions = ['e.deleted_at IS NULL'];
+    const params = [];
+    if (employeeIds) {
+      conditions.push('l.employee_id IN (?)');
+      params.push(employeeIds);
+    }
+    if (status) {
+      conditions.push('l.status = ?');
+      params.push(status);
+    }
+
+    const [rows] = await pool.query(
+      `SELECT ${COLUMNS} FROM leave_requests l JOIN employees e ON l.employee_id = e.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY l.start_date DESC, l.created_at DESC`,
+      params
+    );
+    return rows;
+  }
+
+  /**
+   * Approve or reject a pending request
+   * @returns {Promise<boolean>} False if the request is not pending
+   */
+  static async decide(id, status, decidedBy) {
+    const [result] = await pool.execute(
+      `UPDATE leave_requests SET status = ?, decided_by = ?, decided_at = NOW()
+       WHERE id = ? AND status = 'pending'`,
+      [status, decidedBy, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Withdraw a pending or approved request of the given employee
+   * @returns {Promise<boolean>} False if the request is not theirs or is no longer open
+   */
+  static async cancel(id, employeeId) {
+    const [result] = await pool.execute(
+      `UPDATE leave_requests SET status = 'cancelled'
+       WHERE id = ? AND employee_id = ? AND status IN ('pending', 'approved')`,
+      [id, employeeId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // A pending or approved request of the employee overlapping a date range
+  static async findOverlapping(employeeId, from, to) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM leave_requests l JOIN employees e ON l.employee_id = e.id
+       WHERE l.employee_id = ? AND l.status IN ('pending', 'approved') AND l.start_date <= ? AND l.end_date >= ?
+       ORDER BY l.start_date LIMIT 1`,
+      [employeeId, to, from]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Employees with approved leave overlapping a date range
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Promise<Set<string>>} Employee IDs
+   */
+  static async findEmployeesOnLeave(from, to) {
+    const [rows] = await pool.execute(
+      `SELECT DISTINCT employee_id FROM leave_requests
+       WHERE status = 'approved' AND start_date <= ? AND end_date >= ?`,
+      [to, from]
+    );
+    return new Set(rows.map(row => row.employee_id));
+  }
+}
@@ -0,0 +1,76 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const COLUMNS = `m.id, m.project_id, m.name, m.description, DATE_FORMAT(m.due_date, '%Y-%m-%d') AS due_date,
+                 m.created_by, m.created_at, m.updated_at`;
+
+// Completion counts done tasks out of all tasks that are not cancelled
+const PROGRESS = `COUNT(CASE WHEN t.status <> 'cancelled' THEN 1 END) AS task_count,
+                  COUNT(CASE WHEN t.status = 'done' THEN 1 END) AS done_count`;
+
+const withCompletion = (row) => ({
+  ...row,
+  task_count: Number(row.task_count),
+  done_count: Number(row.done_count),
+  completion_pct: Number(row.task_count) === 0 ? 0 : Math.round(Number(row.done_count) / Number(row.task_count) * 100)
+});
+
+/**
+ * Milestone Model
+ * Named checkpoints inside a project; tasks can belong to one.
+ */
+export class Milestone {
+  static async create({ project_id, name, description = null, due_date = null, created_by }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO project_milestones (id, project_id, name, description, due_date, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, project_id, name, description, due_date, created_by]
+    );
+    return id;
+  }
+
+  // Milestones of a project with their completion percentage, in due date order
+  static async findByProject(projectId) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS}, ${PROGRESS}
+       FROM project_milestones m
+       LEFT JOIN project_tasks t ON t.milestone_id = m.id
+       WHERE m.project_id = ?
+       GROUP BY m.id
+       ORDER BY m.due_date IS NULL, m.due_date, m.name`,
+      [projectId]
+    );
+    return rows.map(withCompletion);
+  }
+
+  static async findById(projectId, id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS}, ${PROGRESS}
+       FROM project_milestones m
+       LEFT JOIN project_tasks t ON t.milestone_id = m.id
+       WHERE m.id = ? AND m.project_id = ?
+       GROUP BY m.id`,
+      [id, projectId]
+    );
+    return rows[0] && withCompletion(rows[0]);
+  }
+
+  static async update(id, { name, description, due_date }) {
+    const updates = { name, description, due_date };
+    const fields = Object.keys(updates).filter(key => updates[key] !== undefined);
+    if (fields.length === 0) return null;
+
+    const [result] = await pool.execute(
+      `UPDATE project_milestones SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Tasks of the milestone stay in the project without a milestone
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM project_milestones WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,72 @@
+import pool from '../config/database.js';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+const OTP_TTL_MINUTES = 5;
+const MAX_ATTEMPTS = 5;
+
+/**
+ * PasswordResetOtp Model
+ * One-time codes for password reset. Codes come from a CSPRNG, only a bcrypt hash is stored,
+ * and a code is invalidated after MAX_ATTEMPTS wrong guesses.
+ */
+export class PasswordResetOtp {
+  /**
+   * Issue a new OTP for a user, invalidating any earlier ones
+   * @param {string} userId - The profile ID
+   * @returns {Promise<string>} Plaintext OTP to send to the user
+   */
+  static async create(userId) {
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const otpHash = await bcrypt.hash(otp, 10);
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    await pool.execute(
+      'UPDATE password_reset_otps SET used = TRUE WHERE user_id = ? AND used = FALSE',
+      [userId]
+    );
+    await pool.execute(
+      'INSERT INTO password_reset_otps (id, user_id, otp_hash, expires_at) VALUES (?, ?, ?, ?)',
+      [uuidv4(), userId, otpHash, expiresAt]
+    );
+
+    return otp;
+  }
+
+  /**
+   * Check an OTP against the user's latest active code. A wrong guess counts against the code.
+   * @param {string} userId - The profile ID
+   * @param {string} otp - Code entered by the user
+   * @returns {Promise<object|null>} The matching OTP record, or null
+   */
+  static async verify(userId, otp) {
+    const [rows] = await pool.execute(
+      `SELECT * FROM password_reset_otps
+       WHERE user_id = ? AND used = FALSE AND expires_at > NOW()
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+    const record = rows[0];
+    if (!record) return null;
+
+    const isMatch = await bcrypt.compare(String(otp), record.otp_hash);
+    if (isMatch) return record;
+
+    // MySQL applies assignments left to right, so `used` sees the incremented count
+    await pool.execute(
+      `UPDATE password_reset_otps
+       SET attempts = attempts + 1, used = (attempts >= ?)
+       WHERE id = ?`,
+      [MAX_ATTEMPTS, record.id]
+    );
+    return null;
+  }
+
+  static async markUsed(id) {
+    await pool.execute(
+      'UPDATE password_reset_otps SET used = TRUE WHERE id = ?',
+      [id]
+    );
+  }
+}
@@ -1,6 +1,82 @@
 import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+import { ProjectStatusHistory } from './ProjectStatusHistory.js';
 
 export class Project {
+  // What GET /api/projects may search, filter and sort on (see utils/listQuery.js)
+  static listQuerySpec = {
+    searchColumns: ['p.name', 'p.description', 'p.client_name'],
+    filters: {
+      status: { column: 'p.status', type: 'enum', values: ['planning', 'in_progress', 'on_hold', 'completed', 'cancelled'] },
+      client_name: { column: 'p.client_name', type: 'string' },
+      start_date: { column: 'p.start_date', type: 'date' },
+      end_date: { column: 'p.end_date', type: 'date' }
+    },
+    sortable: {
+      name: 'p.name',
+      client_name: 'p.client_name',
+      status: 'p.status',
+      start_date: 'p.start_date',
+      end_date: 'p.end_date',
+      budget: 'p.budget',
+      created_at: 'p.created_at'
+    },
+    defaultSort: '-created_at',
+    softDeleteColumns: ['p.deleted_at']
+  };
+
+  // Columns GET /api/projects/export can include, by output name
+  static exportColumns = {
+    id: 'p.id',
+    name: 'p.name',
+    description: 'p.description',
+    client_name: 'p.client_name',
+    start_date: "DATE_FORMAT(p.start_date, '%Y-%m-%d')",
+    end_date: "DATE_FORMAT(p.end_date, '%Y-%m-%d')",
+    budget: 'p.budget',
+    status: 'p.status',
+    created_by_name: 'pr.full_name',
+    created_at: 'p.created_at',
+    updated_at: 'p.updated_at'
+  };
+
+  // Filters and sorting for GET /api/projects/assignments/export
+  static assignmentListQuerySpec = {
+    searchColumns: ['p.name', 'e.full_name', 'e.email', 'pa.role'],
+    filters: {
+      project_id: { column: 'pa.project_id', type: 'string' },
+      employee_id: { column: 'pa.employee_id', type: 'string' },
+      project_status: { column: 'p.status', type: 'enum', values: ['planning', 'in_progress', 'on_hold', 'completed', 'cancelled'] },
+      department: { column: 'e.department', type: 'string' },
+      assigned_at: { column: 'DATE(pa.assigned_at)', type: 'date' }
+    },
+    sortable: {
+      project_name: 'p.name',
+      employee_name: 'e.full_name',
+      role: 'pa.role',
+      allocation_pct: 'pa.allocation_pct',
+      assigned_at: 'pa.assigned_at'
+    },
+    defaultSort: 'project_name,employee_name',
+    softDeleteColumns: ['p.deleted_at', 'e.deleted_at']
+  };
+
+  static assignmentExportColumns = {
+    id: 'pa.id',
+    project_id: 'pa.project_id',
+    project_name: 'p.name',
+    employee_id: 'pa.employee_id',
+    employee_name: 'e.full_name',
+    employee_email: 'e.email',
+    department: 'e.department',
+    role: 'pa.role',
+    allocation_pct: 'pa.allocation_pct',
+    start_date: "DATE_FORMAT(pa.start_date, '%Y-%m-%d')",
+    end_date: "DATE_FORMAT(pa.end_date, '%Y-%m-%d')",
+    assigned_at: 'pa.assigned_at',
+    ended_at: 'pa.ended_at'
+  };
+
   static async create(projectData) {
     const {
       name,
@@ -13,13 +89,34 @@ export class Project {
       created_by
     } = projectData;
 
-    const [result] = await pool.execute(
-      `INSERT INTO projects (id, name, description, client_name, start_date, end_date, budget, status, created_by, created_at, updated_at) 
-       VALUES (UUID(), ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
-      [name, description, client_name, start_date, end_date, budget, status, created_by]
-    );
+    // The ID is generated here: insertId is not set for UUID primary keys
+    const id = uuidv4();
 
-    return result.insertId;
+    // The starting status goes into the status history together with the project
+    let connection;
+    try {
+      connection = await pool.getConnection();
+      await connection.beginTransaction();
+
+      await connection.execute(
+        `INSERT INTO projects (id, name, description, client_name, start_date, end_date, budget, status, created_by, created_at, updated_at) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+        [id, name, description, client_name, start_date, end_date, budget, status, created_by]
+      );
+      await ProjectStatusHistory.record(connection, { project_id: id, to_status: status, changed_by: created_by });
+
+      await connection.commit();
+      return id;
+    } catch (error) {
+      if (connection) {
+        await connection.rollback();
+      }
+      throw error;
+    } finally {
+      if (connection) {
+        connection.release();
+      }
+    }
   }
 
   static async findAll(limit = 50, offset = 0) {
@@ -28,29 +125,34 @@ export class Project {
     const sql = `SELECT p.*, pr.full_name as created_by_name
                  FROM projects p
                  LEFT JOIN profiles pr ON p.created_by = pr.id
+                 WHERE p.deleted_at IS NULL
                  ORDER BY p.created_at DESC
                  LIMIT ${safeLimit} OFFSET ${safeOffset}`;
     const [rows] = await pool.execute(sql);
     return rows;
   }
 
-  static async findById(id) {
+  static async findById(id, { includeDeleted = false } = {}) {
     const [rows] = await pool.execute(
       `SELECT p.*, pr.full_name as created_by_name 
        FROM projects p 
        LEFT JOIN profiles pr ON p.created_by = pr.id 
-       WHERE p.id = ?`,
+       WHERE p.id = ?${includeDeleted ? '' : ' AND p.deleted_at IS NULL'}`,
       [id]
     );
     return rows[0];
   }
 
+  // Columns Project.update may write. Status goes through projectStatusService (transition checks and
+  // history); created_by and the soft-delete columns are never written from a request.
+  static updatableColumns = ['name', 'description', 'client_name', 'start_date', 'end_date', 'budget'];
+
   static async update(id, updates) {
     const fields = [];
     const values = [];
     
     Object.keys(updates).forEach(key => {
-      if (updates[key] !== undefined) {
+      if (Project.updatableColumns.includes(key) && updates[key] !== undefined) {
         fields.push(`${key} = ?`);
         values.push(updates[key]);
       }
@@ -60,57 +162,100 @@ export class Project {
     
     values.push(id);
     const [result] = await pool.execute(
-      `UPDATE projects SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+      `UPDATE projects SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL`,
       values
     );
     
     return result.affectedRows > 0;
   }
 
-  static async delete(id) {
-    // First delete related project assignments
-    await pool.execute('DELETE FROM project_assignments WHERE project_id = ?', [id]);
-    
-    // Then delete the project
-    const [result] = await pool.execute('DELETE FROM projects WHERE id = ?', [id]);
+  // Soft delete: the project and its assignments stay (and can be restored) until the retention purge
+  static async delete(id, deletedBy = null) {
+    const [result] = await pool.execute(
+      'UPDATE projects SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [deletedBy, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async restore(id) {
+    const [result] = await pool.execute(
+      'UPDATE projects SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+      [id]
+    );
     return result.affectedRows > 0;
   }
 
   static async count() {
-    const [rows] = await pool.execute('SELECT COUNT(*) as count FROM projects');
+    const [rows] = await pool.execute('SELECT COUNT(*) as count FROM projects WHERE deleted_at IS NULL');
     return rows[0].count;
   }
 
-  static async findByStatus(status, limit = 50, offset = 0) {
-    const safeLimit = Number.isFinite(Number(limit)) ? Number(limit) : 50;
-    const safeOffset = Number.isFinite(Number(offset)) ? Number(offset) : 0;
-    const sql = `SELECT p.*, pr.full_name as created_by_name
-                 FROM projects p
-                 LEFT JOIN profiles pr ON p.created_by = pr.id
-                 WHERE p.status = ?
-                 ORDER BY p.created_at DESC
-                 LIMIT ${safeLimit} OFFSET ${safeOffset}`;
-    const [rows] = await pool.execute(sql, [status]);
-    return rows;
+  /**
+   * Page of projects matching a parsed list query, with the total across all pages
+   * @param {object} listQuery - Result of parseListQuery(req.query, Project.listQuerySpec)
+   * @returns {Promise<{rows: object[], total: number}>}
+   */
+  static async search({ where, params, orderBy, limit, offset }) {
+    const [rows] = await pool.execute(
+      `SELECT p.*, pr.full_name as created_by_name
+       FROM projects p
+       LEFT JOIN profiles pr ON p.created_by = pr.id
+       ${where}
+       ORDER BY ${orderBy}, p.id
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      params
+    );
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM projects p ${where}`,
+      params
+    );
+    return { rows, total };
   }
 
   static async getProjectAssignments(projectId) {
     const [rows] = await pool.execute(
-      `SELECT pa.*, e.full_name as employee_name, e.email as employee_email 
+      `SELECT pa.*, DATE_FORMAT(pa.start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(pa.end_date, '%Y-%m-%d') AS end_date,
+              e.full_name as employee_name, e.email as employee_email 
        FROM project_assignments pa 
        JOIN employees e ON pa.employee_id = e.id 
-       WHERE pa.project_id = ?`,
+       WHERE pa.project_id = ? AND pa.ended_at IS NULL AND e.deleted_at IS NULL`,
       [projectId]
     );
     return rows;
   }
 
-  static async assignEmployee(projectId, employeeId, role = null) {
-    const [result] = await pool.execute(
-      'INSERT INTO project_assignments (id, project_id, employee_id, role, assigned_at) VALUES (UUID(), ?, ?, ?, NOW())',
-      [projectId, employeeId, role]
+  static async isAssigned(projectId, employeeId) {
+    const [rows] = await pool.execute(
+      'SELECT 1 FROM project_assignments WHERE project_id = ? AND employee_id = ? AND ended_at IS NULL',
+      [projectId, employeeId]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Assign an employee, or update their existing assignment
+   * @param {object} [allocation]
+   * @param {number} [allocation.allocation_pct] - Share of the employee's week (1-100)
+   * @param {string} [allocation.start_date] - First day on the project (default: project start)
+   * @param {string} [allocation.end_date] - Last day on the project (default: project end)
+   * @returns {Promise<string>} Assignment ID
+   */
+  static async assignEmployee(projectId, employeeId, role = null, { allocation_pct = 100, start_date = null, end_date = null } = {}) {
+    await pool.execute(
+      // Re-assigning someone whose assignment was ended reopens the existing row
+      `INSERT INTO project_assignments (id, project_id, employee_id, role, allocation_pct, start_date, end_date, assigned_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE role = VALUES(role), allocation_pct = VALUES(allocation_pct),
+         start_date = VALUES(start_date), end_date = VALUES(end_date),
+         assigned_at = IF(ended_at IS NULL, assigned_at, NOW()), ended_at = NULL`,
+      [uuidv4(), projectId, employeeId, role, allocation_pct, start_date, end_date]
+    );
+    const [[row]] = await pool.execute(
+      'SELECT id FROM project_assignments WHERE project_id = ? AND employee_id = ?',
+      [projectId, employeeId]
     );
-    return result.insertId;
+    return row.id;
   }
 
   static async removeEmployeeAssignment(projectId, employeeId) {
@@ -120,4 +265,42 @@ export class Project {
     );
     return result.affectedRows > 0;
   }
+
+  /**
+   * SELECT for exporting every project matching a parsed list query (no pagination)
+   * @param {object} listQuery - Result of parseListQuery(req.query, Project.listQuerySpec)
+   * @param {string[]} columns - Keys of `available`
+   * @param {object} available - Column name -> SQL expression (Project.exportColumns plus custom fields)
+   * @returns {{sql: string, params: Array}}
+   */
+  static exportQuery({ where, params, orderBy }, columns, available = Project.exportColumns) {
+    return {
+      sql: `SELECT ${columns.map(c => `${available[c]} AS \`${c}\``).join(', ')}
+            FROM projects p
+            LEFT JOIN profiles pr ON p.created_by = pr.id
+            ${where}
+            ORDER BY ${orderBy}, p.id`,
+      params
+    };
+  }
+
+  /**
+   * SELECT for exporting project assignments; ended assignments are only included when asked for
+   * @param {object} listQuery - Result of parseListQuery(req.query, Project.assignmentListQuerySpec)
+   * @param {string[]} columns - Keys of Project.assignmentExportColumns
+   * @param {boolean} includeEnded - Also export assignments that were ended
+   * @returns {{sql: string, params: Array}}
+   */
+  static assignmentExportQuery({ where, params, orderBy }, columns, includeEnded = false) {
+    const conditions = [where.replace(/^WHERE /, ''), includeEnded ? '' : 'pa.ended_at IS NULL'].filter(Boolean);
+    return {
+      sql: `SELECT ${columns.map(c => `${Project.assignmentExportColumns[c]} AS ${c}`).join(', ')}
+            FROM project_assignments pa
+            JOIN projects p ON pa.project_id = p.id
+            JOIN employees e ON pa.employee_id = e.id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY ${orderBy}, pa.id`,
+      params
+    };
+  }
 }
@@ -0,0 +1,48 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const COLUMNS = `x.id, x.project_id, DATE_FORMAT(x.expense_date, '%Y-%m-%d') AS expense_date, x.amount,
+                 x.category, x.description, x.created_by, pr.full_name AS created_by_name, x.created_at`;
+
+const formatExpense = (row) => row && { ...row, amount: Number(row.amount) };
+
+/**
+ * ProjectExpense Model
+ * Non-labour costs booked against a project.
+ */
+export class ProjectExpense {
+  static async create({ project_id, expense_date, amount, category = null, description = null, created_by }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO project_expenses (id, project_id, expense_date, amount, category, description, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+      [id, project_id, expense_date, amount, category, description, created_by]
+    );
+    return id;
+  }
+
+  static async findById(projectId, id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM project_expenses x LEFT JOIN profiles pr ON x.created_by = pr.id
+       WHERE x.id = ? AND x.project_id = ?`,
+      [id, projectId]
+    );
+    return formatExpense(rows[0]);
+  }
+
+  // Expenses of a project, newest first
+  static async findByProject(projectId) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM project_expenses x LEFT JOIN profiles pr ON x.created_by = pr.id
+       WHERE x.project_id = ?
+       ORDER BY x.expense_date DESC, x.created_at DESC`,
+      [projectId]
+    );
+    return rows.map(formatExpense);
+  }
+
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM project_expenses WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,33 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * ProjectStatusHistory Model
+ * One entry per project status change; `from_status` is NULL for the status a project was created with.
+ * Methods that take an `executor` accept the pool or a transaction connection.
+ */
+export class ProjectStatusHistory {
+  static async record(executor, { project_id, from_status = null, to_status, reason = null, changed_by = null }) {
+    const id = uuidv4();
+    await executor.execute(
+      `INSERT INTO project_status_history (id, project_id, from_status, to_status, reason, changed_by, changed_at)
+       VALUES (?, ?, ?, ?, ?, ?, NOW())`,
+      [id, project_id, from_status, to_status, reason, changed_by]
+    );
+    return id;
+  }
+
+  // Status changes of a project, newest first
+  static async findByProject(projectId) {
+    const [rows] = await pool.execute(
+      `SELECT h.id, h.project_id, h.from_status, h.to_status, h.reason, h.changed_by,
+              pr.full_name AS changed_by_name, h.changed_at
+       FROM project_status_history h
+       LEFT JOIN profiles pr ON h.changed_by = pr.id
+       WHERE h.project_id = ?
+       ORDER BY h.changed_at DESC, h.id`,
+      [projectId]
+    );
+    return rows;
+  }
+}
@@ -19,22 +19,23 @@ export class Proposal {
         return id;
     }
 
-    static async findAll() {
+    static async findAll({ includeDeleted = false } = {}) {
         const [rows] = await pool.execute(
             `SELECT p.*, u.full_name as created_by_name 
        FROM proposals p 
        LEFT JOIN profiles u ON p.created_by = u.id 
+       ${includeDeleted ? '' : 'WHERE p.deleted_at IS NULL'}
        ORDER BY p.updated_at DESC`
         );
         return rows;
     }
 
-    static async findById(id) {
+    static async findById(id, { includeDeleted = false } = {}) {
         const [rows] = await pool.execute(
             `SELECT p.*, u.full_name as created_by_name 
        FROM proposals p 
        LEFT JOIN profiles u ON p.created_by = u.id 
-       WHERE p.id = ?`,
+       WHERE p.id = ?${includeDeleted ? '' : ' AND p.deleted_at IS NULL'}`,
             [id]
         );
         return rows[0];
@@ -55,15 +56,27 @@ export class Proposal {
 
         values.push(id);
         const [result] = await pool.execute(
-            `UPDATE proposals SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ?`,
+            `UPDATE proposals SET ${fields.join(', ')}, updated_at = NOW() WHERE id = ? AND deleted_at IS NULL`,
             values
         );
 
         return result.affectedRows > 0;
     }
 
-    static async delete(id) {
-        const [result] = await pool.execute('DELETE FROM proposals WHERE id = ?', [id]);
+    // Soft delete: kept (and restorable) until the retention purge removes it
+    static async delete(id, deletedBy = null) {
+        const [result] = await pool.execute(
+            'UPDATE proposals SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+            [deletedBy, id]
+        );
+        return result.affectedRows > 0;
+    }
+
+    static async restore(id) {
+        const [result] = await pool.execute(
+            'UPDATE proposals SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+            [id]
+        );
         return result.affectedRows > 0;
     }
 }
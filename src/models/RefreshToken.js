@@ -0,0 +1,75 @@
+import pool from '../config/database.js';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * RefreshToken Model
+ * Rotating refresh tokens grouped into families. Every login starts a new family;
+ * each refresh replaces the presented token with a new one in the same family.
+ * Only the SHA-256 hash of a token is stored.
+ */
+export class RefreshToken {
+  /**
+   * Issue a new refresh token
+   * @param {string} userId - The profile ID
+   * @param {string} [familyId] - Existing family to extend; a new family is started when omitted
+   * @param {Date} [expiresAt] - Defaults to REFRESH_TOKEN_EXPIRES_DAYS from now
+   * @returns {Promise<{id: string, familyId: string, token: string, expiresAt: Date}>}
+   */
+  static async issue(userId, familyId = uuidv4(), expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)) {
+    const id = uuidv4();
+    const token = crypto.randomBytes(48).toString('hex');
+
+    await pool.execute(
+      `INSERT INTO refresh_tokens (id, user_id, family_id, token_hash, expires_at, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [id, userId, familyId, hashToken(token), expiresAt]
+    );
+
+    return { id, familyId, token, expiresAt };
+  }
+
+  static async findByToken(token) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(token)]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Mark a token as replaced by its successor. Returns false when the token was
+   * already rotated or revoked in the meantime (concurrent reuse).
+   * @param {string} id - The token being rotated
+   * @param {string} replacedBy - The ID of the successor token
+   * @returns {Promise<boolean>}
+   */
+  static async markReplaced(id, replacedBy) {
+    const [result] = await pool.execute(
+      `UPDATE refresh_tokens SET replaced_by = ?
+       WHERE id = ? AND replaced_by IS NULL AND revoked_at IS NULL`,
+      [replacedBy, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async revokeFamily(familyId) {
+    const [result] = await pool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+      [familyId]
+    );
+    return result.affectedRows;
+  }
+
+  static async revokeAllForUser(userId) {
+    const [result] = await pool.execute(
+      'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,106 @@
+import pool from '../config/database.js';
+import { PERMISSIONS, SUPERUSER_ROLE } from '../config/permissions.js';
+
+/**
+ * Role Model
+ * Named roles built from permissions in the catalog (src/config/permissions.js)
+ */
+export class Role {
+  static async findAll() {
+    const [roles] = await pool.execute(
+      'SELECT name, description, is_system, created_at FROM roles ORDER BY is_system DESC, name ASC'
+    );
+    const [grants] = await pool.execute('SELECT role, permission FROM role_permissions');
+
+    return roles.map(role => ({
+      ...role,
+      permissions: role.name === SUPERUSER_ROLE
+        ? Object.keys(PERMISSIONS)
+        : grants.filter(g => g.role === role.name).map(g => g.permission)
+    }));
+  }
+
+  static async findByName(name) {
+    const [rows] = await pool.execute(
+      'SELECT name, description, is_system, created_at FROM roles WHERE name = ?',
+      [name]
+    );
+    if (rows.length === 0) return undefined;
+
+    return {
+      ...rows[0],
+      permissions: await this.getPermissions(name)
+    };
+  }
+
+  static async exists(name) {
+    const [rows] = await pool.execute('SELECT name FROM roles WHERE name = ?', [name]);
+    return rows.length > 0;
+  }
+
+  static async getPermissions(name) {
+    if (name === SUPERUSER_ROLE) return Object.keys(PERMISSIONS);
+
+    const [rows] = await pool.execute(
+      'SELECT permission FROM role_permissions WHERE role = ? ORDER BY permission',
+      [name]
+    );
+    return rows.map(r => r.permission);
+  }
+
+  /**
+   * Effective permissions of a user: the union over all of their roles
+   * @param {string} userId - The profile ID
+   * @returns {Promise<Array<string>>}
+   */
+  static async getPermissionsForUser(userId) {
+    const [roles] = await pool.execute('SELECT role FROM user_roles WHERE user_id = ?', [userId]);
+    const names = roles.map(r => r.role);
+
+    if (names.includes(SUPERUSER_ROLE)) return Object.keys(PERMISSIONS);
+    if (names.length === 0) return [];
+
+    const [rows] = await pool.query(
+      'SELECT DISTINCT permission FROM role_permissions WHERE role IN (?) ORDER BY permission',
+      [names]
+    );
+    return rows.map(r => r.permission);
+  }
+
+  static async create({ name, description = null, permissions = [] }) {
+    await pool.execute(
+      'INSERT INTO roles (name, description, is_system, created_at) VALUES (?, ?, FALSE, NOW())',
+      [name, description]
+    );
+    await this.setPermissions(name, permissions);
+  }
+
+  static async update(name, { description, permissions }) {
+    if (description !== undefined) {
+      await pool.execute('UPDATE roles SET description = ? WHERE name = ?', [description, name]);
+    }
+    if (permissions !== undefined) {
+      await this.setPermissions(name, permissions);
+    }
+  }
+
+  static async setPermissions(name, permissions) {
+    await pool.execute('DELETE FROM role_permissions WHERE role = ?', [name]);
+    for (const permission of permissions) {
+      await pool.execute(
+        'INSERT INTO role_permissions (role, permission) VALUES (?, ?)',
+        [name, permission]
+      );
+    }
+  }
+
+  static async countUsers(name) {
+    const [rows] = await pool.execute('SELECT COUNT(*) as count FROM user_roles WHERE role = ?', [name]);
+    return rows[0].count;
+  }
+
+  static async delete(name) {
+    const [result] = await pool.execute('DELETE FROM roles WHERE name = ? AND is_system = FALSE', [name]);
+    return result.affectedRows > 0;
+  }
+}
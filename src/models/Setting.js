@@ -0,0 +1,30 @@
+import pool from '../config/database.js';
+
+/**
+ * Setting Model
+ * Key/value application settings managed by admins (values stored as JSON)
+ */
+export class Setting {
+  static async get(key, defaultValue = null) {
+    const [rows] = await pool.execute(
+      'SELECT setting_value FROM app_settings WHERE setting_key = ?',
+      [key]
+    );
+    if (rows.length === 0) return defaultValue;
+
+    const value = rows[0].setting_value;
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  static async set(key, value, updatedBy = null) {
+    await pool.execute(
+      `INSERT INTO app_settings (setting_key, setting_value, updated_by, updated_at)
+       VALUES (?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE
+       setting_value = VALUES(setting_value),
+       updated_by = VALUES(updated_by),
+       updated_at = NOW()`,
+      [key, JSON.stringify(value), updatedBy]
+    );
+  }
+}
@@ -0,0 +1,128 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+export const MIN_SKILL_LEVEL = 1;
+export const MAX_SKILL_LEVEL = 5;
+
+/**
+ * Skill Model
+ * Skills catalog and the level (1-5) each employee has in a skill.
+ */
+export class Skill {
+  static async findAll() {
+    const [rows] = await pool.execute(
+      `SELECT s.*, COUNT(es.employee_id) AS employee_count
+       FROM skills s
+       LEFT JOIN employee_skills es ON es.skill_id = s.id
+       GROUP BY s.id
+       ORDER BY s.category, s.name`
+    );
+    return rows;
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM skills WHERE id = ?', [id]);
+    return rows[0];
+  }
+
+  /**
+   * Look skills up by ID or (case-insensitive) name
+   * @param {string[]} refs - Skill IDs or names
+   * @returns {Promise<object[]>}
+   */
+  static async findByRefs(refs) {
+    if (refs.length === 0) return [];
+    const [rows] = await pool.query(
+      'SELECT * FROM skills WHERE id IN (?) OR LOWER(name) IN (?)',
+      [refs, refs.map(ref => ref.toLowerCase())]
+    );
+    return rows;
+  }
+
+  static async create({ name, category = null, description = null }) {
+    const id = uuidv4();
+    await pool.execute(
+      'INSERT INTO skills (id, name, category, description, created_at) VALUES (?, ?, ?, ?, NOW())',
+      [id, name, category, description]
+    );
+    return id;
+  }
+
+  static async update(id, { name, category, description }) {
+    const updates = { name, category, description };
+    const fields = Object.keys(updates).filter(key => updates[key] !== undefined);
+    if (fields.length === 0) return null;
+
+    const [result] = await pool.execute(
+      `UPDATE skills SET ${fields.map(key => `${key} = ?`).join(', ')} WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM skills WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  static async getEmployeeSkills(employeeId) {
+    const [rows] = await pool.execute(
+      `SELECT s.id, s.name, s.category, es.level, es.updated_at
+       FROM employee_skills es
+       JOIN skills s ON es.skill_id = s.id
+       WHERE es.employee_id = ?
+       ORDER BY es.level DESC, s.name`,
+      [employeeId]
+    );
+    return rows;
+  }
+
+  static async setEmployeeSkill(employeeId, skillId, level, updatedBy = null) {
+    await pool.execute(
+      `INSERT INTO employee_skills (employee_id, skill_id, level, updated_by, updated_at) VALUES (?, ?, ?, ?, NOW())
+       ON DUPLICATE KEY UPDATE level = VALUES(level), updated_by = VALUES(updated_by), updated_at = NOW()`,
+      [employeeId, skillId, level, updatedBy]
+    );
+  }
+
+  static async removeEmployeeSkill(employeeId, skillId) {
+    const [result] = await pool.execute(
+      'DELETE FROM employee_skills WHERE employee_id = ? AND skill_id = ?',
+      [employeeId, skillId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Skills matrix: one row per active employee with their level in each skill
+   * @param {object} filters
+   * @param {string} [filters.department] - Only employees of this department
+   * @param {string[]} [filters.skillIds] - Only these skills (all when empty)
+   * @returns {Promise<{skills: object[], employees: object[]}>}
+   */
+  static async getMatrix({ department = null, skillIds = [] } = {}) {
+    const [skills] = skillIds.length > 0
+      ? await pool.query('SELECT id, name, category FROM skills WHERE id IN (?) ORDER BY category, name', [skillIds])
+      : await pool.query('SELECT id, name, category FROM skills ORDER BY category, name');
+
+    const [employees] = await pool.execute(
+      `SELECT id, full_name, department, position FROM employees
+       WHERE deleted_at IS NULL AND status = 'active'${department ? ' AND department = ?' : ''}
+       ORDER BY full_name`,
+      department ? [department] : []
+    );
+    if (skills.length === 0 || employees.length === 0) {
+      return { skills, employees: employees.map(e => ({ ...e, levels: {} })) };
+    }
+
+    const [levels] = await pool.query(
+      'SELECT employee_id, skill_id, level FROM employee_skills WHERE skill_id IN (?) AND employee_id IN (?)',
+      [skills.map(s => s.id), employees.map(e => e.id)]
+    );
+    const byEmployee = new Map(employees.map(e => [e.id, { ...e, levels: {} }]));
+    for (const { employee_id, skill_id, level } of levels) {
+      byEmployee.get(employee_id).levels[skill_id] = level;
+    }
+    return { skills, employees: [...byEmployee.values()] };
+  }
+}
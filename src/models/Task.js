@@ -0,0 +1,177 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+export const TASK_STATUSES = ['todo', 'in_progress', 'blocked', 'done', 'cancelled'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Statuses that no longer count as open work
+const CLOSED_STATUSES = "('done', 'cancelled')";
+
+const COLUMNS = `t.id, t.project_id, t.milestone_id, t.parent_task_id, t.title, t.description,
+                 t.assignee_id, e.full_name AS assignee_name, t.status, t.priority,
+                 DATE_FORMAT(t.start_date, '%Y-%m-%d') AS start_date,
+                 DATE_FORMAT(t.due_date, '%Y-%m-%d') AS due_date, t.completed_at,
+                 t.created_by, t.created_at, t.updated_at`;
+
+const FROM = `project_tasks t
+              JOIN projects p ON t.project_id = p.id
+              LEFT JOIN employees e ON t.assignee_id = e.id`;
+
+/**
+ * Task Model
+ * Work items inside a project, optionally under a milestone and/or a parent task.
+ */
+export class Task {
+  // What GET /api/projects/:id/tasks and the task lists may filter and sort on (see utils/listQuery.js)
+  static listQuerySpec = {
+    searchColumns: ['t.title', 't.description'],
+    filters: {
+      status: { column: 't.status', type: 'enum', values: TASK_STATUSES },
+      priority: { column: 't.priority', type: 'enum', values: TASK_PRIORITIES },
+      assignee_id: { column: 't.assignee_id', type: 'string' },
+      milestone_id: { column: 't.milestone_id', type: 'string' },
+      parent_task_id: { column: 't.parent_task_id', type: 'string' },
+      project_id: { column: 't.project_id', type: 'string' },
+      start_date: { column: 't.start_date', type: 'date' },
+      due_date: { column: 't.due_date', type: 'date' }
+    },
+    sortable: {
+      start_date: 't.start_date',
+      due_date: 't.due_date',
+      priority: 't.priority',
+      status: 't.status',
+      title: 't.title',
+      created_at: 't.created_at'
+    },
+    defaultSort: 'due_date,-priority',
+    softDeleteColumns: ['p.deleted_at']
+  };
+
+  static async create({ project_id, milestone_id = null, parent_task_id = null, title, description = null, assignee_id = null, status = 'todo', priority = 'medium', start_date = null, due_date = null, created_by }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO project_tasks
+         (id, project_id, milestone_id, parent_task_id, title, description, assignee_id, status, priority, start_date,
+          due_date, completed_at, created_by, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${status === 'done' ? 'NOW()' : 'NULL'}, ?, NOW(), NOW())`,
+      [id, project_id, milestone_id, parent_task_id, title, description, assignee_id, status, priority, start_date, due_date, created_by]
+    );
+    return id;
+  }
+
+  static async findById(projectId, id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM ${FROM} WHERE t.id = ? AND t.project_id = ?`,
+      [id, projectId]
+    );
+    return rows[0];
+  }
+
+  // Every task of a project that is not cancelled (what the schedule is built from)
+  static async findByProject(projectId) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM ${FROM}
+       WHERE t.project_id = ? AND t.status <> 'cancelled'
+       ORDER BY t.start_date IS NULL, t.start_date, t.due_date, t.created_at`,
+      [projectId]
+    );
+    return rows;
+  }
+
+  /**
+   * Page of tasks matching a parsed list query, with the total across all pages
+   * @param {object} listQuery - Result of parseListQuery(req.query, Task.listQuerySpec)
+   * @param {object} scope - Extra conditions
+   * @param {string} [scope.projectId] - Only this project's tasks
+   * @param {string} [scope.assigneeId] - Only tasks assigned to this employee
+   * @param {boolean} [scope.overdue] - Only open tasks past their due date
+   * @returns {Promise<{rows: object[], total: number}>}
+   */
+  static async search({ where, params, orderBy, limit, offset }, { projectId = null, assigneeId = null, overdue = false } = {}) {
+    const conditions = [];
+    const scopeParams = [];
+    if (projectId) {
+      conditions.push('t.project_id = ?');
+      scopeParams.push(projectId);
+    }
+    if (assigneeId) {
+      conditions.push('t.assignee_id = ?');
+      scopeParams.push(assigneeId);
+    }
+    if (overdue) {
+      conditions.push(`t.due_date < CURDATE() AND t.status NOT IN ${CLOSED_STATUSES}`);
+    }
+    const clauses = [where.replace(/^WHERE /, ''), ...conditions].filter(Boolean);
+    const whereSql = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS}, p.name AS project_name
+       FROM ${FROM}
+       ${whereSql}
+       ORDER BY ${orderBy}, t.id
+       LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+      [...params, ...scopeParams]
+    );
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM ${FROM} ${whereSql}`,
+      [...params, ...scopeParams]
+    );
+    return { rows, total };
+  }
+
+  static async update(id, updates) {
+    const fields = Object.keys(updates).filter(key => updates[key] !== undefined);
+    if (fields.length === 0) return null;
+
+    // completed_at follows the status: set when a task becomes done, cleared when it is reopened
+    const completedAt = updates.status === undefined
+      ? ''
+      : `, completed_at = ${updates.status === 'done' ? 'COALESCE(completed_at, NOW())' : 'NULL'}`;
+
+    const [result] = await pool.execute(
+      `UPDATE project_tasks SET ${fields.map(key => `${key} = ?`).join(', ')}${completedAt}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Subtasks are deleted with their parent
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM project_tasks WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Would making `parentId` the parent of `id` create a loop of subtasks?
+   * @returns {Promise<boolean>}
+   */
+  static async wouldCreateCycle(id, parentId) {
+    if (id === parentId) return true;
+    const [rows] = await pool.execute(
+      `WITH RECURSIVE ancestors AS (
+         SELECT id, parent_task_id, 1 AS depth FROM project_tasks WHERE id = ?
+         UNION ALL
+         SELECT t.id, t.parent_task_id, a.depth + 1
+         FROM project_tasks t JOIN ancestors a ON t.id = a.parent_task_id
+         WHERE a.depth < 100
+       )
+       SELECT 1 FROM ancestors WHERE id = ? LIMIT 1`,
+      [parentId, id]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Completion across all tasks of live projects
+   * @returns {Promise<{total: number, done: number}>} Cancelled tasks are not counted
+   */
+  static async getCompletionStats() {
+    const [[row]] = await pool.execute(
+      `SELECT COUNT(*) AS total, COUNT(CASE WHEN t.status = 'done' THEN 1 END) AS done
+       FROM project_tasks t
+       JOIN projects p ON t.project_id = p.id
+       WHERE p.deleted_at IS NULL AND t.status <> 'cancelled'`
+    );
+    return { total: Number(row.total), done: Number(row.done) };
+  }
+}
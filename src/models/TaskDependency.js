@@ -0,0 +1,80 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * TaskDependency Model
+ * Finish-to-start links between tasks of the same project.
+ */
+export class TaskDependency {
+  static async create({ predecessor_id, successor_id, lag_days = 0, created_by }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO task_dependencies (id, predecessor_id, successor_id, lag_days, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, NOW())`,
+      [id, predecessor_id, successor_id, lag_days, created_by]
+    );
+    return id;
+  }
+
+  static async delete(predecessorId, successorId) {
+    const [result] = await pool.execute(
+      'DELETE FROM task_dependencies WHERE predecessor_id = ? AND successor_id = ?',
+      [predecessorId, successorId]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // All links between tasks of a project
+  static async findByProject(projectId) {
+    const [rows] = await pool.execute(
+      `SELECT d.predecessor_id, d.successor_id, d.lag_days
+       FROM task_dependencies d
+       JOIN project_tasks t ON d.successor_id = t.id
+       WHERE t.project_id = ?`,
+      [projectId]
+    );
+    return rows;
+  }
+
+  /**
+   * Direct predecessors and successors of a task
+   * @returns {Promise<{predecessors: object[], successors: object[]}>}
+   */
+  static async findByTask(taskId) {
+    const [predecessors] = await pool.execute(
+      `SELECT t.id AS task_id, t.title, t.status, d.lag_days
+       FROM task_dependencies d JOIN project_tasks t ON d.predecessor_id = t.id
+       WHERE d.successor_id = ?
+       ORDER BY t.title`,
+      [taskId]
+    );
+    const [successors] = await pool.execute(
+      `SELECT t.id AS task_id, t.title, t.status, d.lag_days
+       FROM task_dependencies d JOIN project_tasks t ON d.successor_id = t.id
+       WHERE d.predecessor_id = ?
+       ORDER BY t.title`,
+      [taskId]
+    );
+    return { predecessors, successors };
+  }
+
+  /**
+   * Would linking `predecessorId` -> `successorId` close a loop, i.e. does the
+   * predecessor already (transitively) depend on the successor?
+   * @returns {Promise<boolean>}
+   */
+  static async wouldCreateCycle(predecessorId, successorId) {
+    if (predecessorId === successorId) return true;
+    const [rows] = await pool.execute(
+      `WITH RECURSIVE downstream AS (
+         SELECT successor_id AS id FROM task_dependencies WHERE predecessor_id = ?
+         UNION DISTINCT
+         SELECT d.successor_id
+         FROM task_dependencies d JOIN downstream ds ON d.predecessor_id = ds.id
+       )
+       SELECT 1 FROM downstream WHERE id = ? LIMIT 1`,
+      [successorId, predecessorId]
+    );
+    return rows.length > 0;
+  }
+}
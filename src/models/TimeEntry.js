@@ -0,0 +1,161 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+const COLUMNS = `te.id, te.employee_id, e.full_name AS employee_name, te.project_id, p.name AS project_name,
+                 te.task_id, t.title AS task_title, DATE_FORMAT(te.work_date, '%Y-%m-%d') AS work_date,
+                 DATE_FORMAT(te.week_start, '%Y-%m-%d') AS week_start, te.hours, te.billable, te.description,
+                 te.created_at, te.updated_at`;
+
+const FROM = `time_entries te
+              JOIN employees e ON te.employee_id = e.id
+              JOIN projects p ON te.project_id = p.id
+              LEFT JOIN project_tasks t ON te.task_id = t.id`;
+
+// What rollups can be grouped by: the key columns and the label shown next to them
+const GROUPS = {
+  employee: { key: 'te.employee_id', label: 'e.full_name' },
+  project: { key: 'te.project_id', label: 'p.name' },
+  task: { key: 'te.task_id', label: 't.title' },
+  week: { key: "DATE_FORMAT(te.week_start, '%Y-%m-%d')", label: "DATE_FORMAT(te.week_start, '%Y-%m-%d')" }
+};
+
+export const ROLLUP_GROUPS = Object.keys(GROUPS);
+
+const formatEntry = (row) => row && { ...row, hours: Number(row.hours), billable: !!row.billable };
+
+/**
+ * Monday of the week a date falls in
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export const weekStartOf = (date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+};
+
+/**
+ * TimeEntry Model
+ * Hours an employee worked on a project, optionally on one of its tasks.
+ */
+export class TimeEntry {
+  static async create({ employee_id, project_id, task_id = null, work_date, hours, billable = true, description = null }) {
+    const id = uuidv4();
+    await pool.execute(
+      `INSERT INTO time_entries
+         (id, employee_id, project_id, task_id, work_date, week_start, hours, billable, description, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, employee_id, project_id, task_id, work_date, weekStartOf(work_date), hours, billable, description]
+    );
+    return id;
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute(`SELECT ${COLUMNS} FROM ${FROM} WHERE te.id = ?`, [id]);
+    return formatEntry(rows[0]);
+  }
+
+  // An employee's entries for one week, by day
+  static async findByWeek(employeeId, weekStart) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM ${FROM}
+       WHERE te.employee_id = ? AND te.week_start = ?
+       ORDER BY te.work_date, te.created_at`,
+      [employeeId, weekStart]
+    );
+    return rows.map(formatEntry);
+  }
+
+  /**
+   * Hours already booked by an employee on a day
+   * @param {string} [excludeId] - Entry being edited, left out of the total
+   * @returns {Promise<number>}
+   */
+  static async getDayTotal(employeeId, workDate, excludeId = null) {
+    const [[row]] = await pool.execute(
+      `SELECT COALESCE(SUM(hours), 0) AS hours FROM time_entries
+       WHERE employee_id = ? AND work_date = ?${excludeId ? ' AND id <> ?' : ''}`,
+      excludeId ? [employeeId, workDate, excludeId] : [employeeId, workDate]
+    );
+    return Number(row.hours);
+  }
+
+  static async update(id, { project_id, task_id, work_date, hours, billable, description }) {
+    const updates = { project_id, task_id, work_date, hours, billable, description };
+    if (work_date !== undefined) updates.week_start = weekStartOf(work_date);
+    const fields = Object.keys(updates).filter(key => updates[key] !== undefined);
+    if (fields.length === 0) return null;
+
+    const [result] = await pool.execute(
+      `UPDATE time_entries SET ${fields.map(key => `${key} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+      [...fields.map(key => updates[key]), id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async delete(id) {
+    const [result] = await pool.execute('DELETE FROM time_entries WHERE id = ?', [id]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Billable / non-billable hours grouped by employee, project, task or week
+   * @param {object} options
+   * @param {string} options.groupBy - One of ROLLUP_GROUPS
+   * @param {string} [options.projectId] - Only this project
+   * @param {string} [options.employeeId] - Only this employee
+   * @param {string} [options.from] - First work date (YYYY-MM-DD)
+   * @param {string} [options.to] - Last work date (YYYY-MM-DD)
+   * @param {boolean} [options.approvedOnly] - Only weeks whose timesheet was approved (e.g. for invoicing)
+   * @returns {Promise<{totals: object, groups: object[]}>}
+   */
+  static async rollup({ groupBy, projectId = null, employeeId = null, from = null, to = null, approvedOnly = false }) {
+    const group = GROUPS[groupBy];
+    const conditions = ['p.deleted_at IS NULL'];
+    const params = [];
+    if (projectId) {
+      conditions.push('te.project_id = ?');
+      params.push(projectId);
+    }
+    if (employeeId) {
+      conditions.push('te.employee_id = ?');
+      params.push(employeeId);
+    }
+    if (from) {
+      conditions.push('te.work_date >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('te.work_date <= ?');
+      params.push(to);
+    }
+    if (approvedOnly) {
+      conditions.push(`EXISTS (SELECT 1 FROM timesheets ts WHERE ts.employee_id = te.employee_id
+                       AND ts.week_start = te.week_start AND ts.status = 'approved')`);
+    }
+
+    const sums = `SUM(te.hours) AS hours,
+                  SUM(CASE WHEN te.billable THEN te.hours ELSE 0 END) AS billable_hours,
+                  SUM(CASE WHEN te.billable THEN 0 ELSE te.hours END) AS non_billable_hours`;
+    const toNumbers = ({ hours, billable_hours, non_billable_hours, ...rest }) => ({
+      ...rest,
+      hours: Number(hours || 0),
+      billable_hours: Number(billable_hours || 0),
+      non_billable_hours: Number(non_billable_hours || 0)
+    });
+
+    const [rows] = await pool.execute(
+      `SELECT ${group.key} AS id, MAX(${group.label}) AS name, ${sums}
+       FROM ${FROM}
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY ${group.key}
+       ORDER BY hours DESC`,
+      params
+    );
+    const [[totals]] = await pool.execute(
+      `SELECT ${sums} FROM ${FROM} WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    return { totals: toNumbers(totals), groups: rows.map(toNumbers) };
+  }
+}
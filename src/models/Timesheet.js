@@ -0,0 +1,86 @@
+import pool from '../config/database.js';
+import { v4 as uuidv4 } from 'uuid';
+
+// Weeks in these states can no longer be edited by the employee
+export const LOCKED_TIMESHEET_STATUSES = ['submitted', 'approved'];
+
+const COLUMNS = `ts.id, ts.employee_id, e.full_name AS employee_name, DATE_FORMAT(ts.week_start, '%Y-%m-%d') AS week_start,
+                 ts.status, ts.submitted_at, ts.decided_by, ts.decided_at, ts.decision_note,
+                 (SELECT COALESCE(SUM(te.hours), 0) FROM time_entries te
+                  WHERE te.employee_id = ts.employee_id AND te.week_start = ts.week_start) AS total_hours`;
+
+const formatTimesheet = (row) => row && { ...row, total_hours: Number(row.total_hours) };
+
+/**
+ * Timesheet Model
+ * One row per employee and week once the week is submitted; a week without a row is a draft.
+ * Rejected weeks can be edited and submitted again.
+ */
+export class Timesheet {
+  static async findById(id) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM timesheets ts JOIN employees e ON ts.employee_id = e.id WHERE ts.id = ?`,
+      [id]
+    );
+    return formatTimesheet(rows[0]);
+  }
+
+  static async findByWeek(employeeId, weekStart) {
+    const [rows] = await pool.execute(
+      `SELECT ${COLUMNS} FROM timesheets ts JOIN employees e ON ts.employee_id = e.id
+       WHERE ts.employee_id = ? AND ts.week_start = ?`,
+      [employeeId, weekStart]
+    );
+    return formatTimesheet(rows[0]);
+  }
+
+  // Submitted timesheets of the given employees, oldest week first
+  static async findSubmitted(employeeIds) {
+    if (employeeIds.length === 0) return [];
+    const [rows] = await pool.query(
+      `SELECT ${COLUMNS} FROM timesheets ts JOIN employees e ON ts.employee_id = e.id
+       WHERE ts.status = 'submitted' AND ts.employee_id IN (?) AND e.deleted_at IS NULL
+       ORDER BY ts.week_start, e.full_name`,
+      [employeeIds]
+    );
+    return rows.map(formatTimesheet);
+  }
+
+  /**
+   * Submit a week (first submission, or again after a rejection)
+   * @returns {Promise<boolean>} False if the week is already submitted or approved
+   */
+  static async submit(employeeId, weekStart) {
+    const [result] = await pool.execute(
+      `UPDATE timesheets SET status = 'submitted', submitted_at = NOW(), decided_by = NULL, decided_at = NULL
+       WHERE employee_id = ? AND week_start = ? AND status = 'rejected'`,
+      [employeeId, weekStart]
+    );
+    if (result.affectedRows > 0) return true;
+
+    try {
+      await pool.execute(
+        `INSERT INTO timesheets (id, employee_id, week_start, status, submitted_at, created_at)
+         VALUES (?, ?, ?, 'submitted', NOW(), NOW())`,
+        [uuidv4(), employeeId, weekStart]
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a submitted timesheet
+   * @returns {Promise<boolean>} False if the timesheet is not submitted
+   */
+  static async decide(id, status, decidedBy, note = null) {
+    const [result] = await pool.execute(
+      `UPDATE timesheets SET status = ?, decided_by = ?, decided_at = NOW(), decision_note = ?
+       WHERE id = ? AND status = 'submitted'`,
+      [status, decidedBy, note, id]
+    );
+    return result.affectedRows > 0;
+  }
+}
@@ -1,6 +1,7 @@
 import pool from '../config/database.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import { SUPERUSER_ROLE } from '../config/permissions.js';
 
 // Simple UUID generator
 function generateUUID() {
@@ -11,8 +12,15 @@ function generateUUID() {
   });
 }
 
+// Fixed lifetime of an impersonation token; impersonation sessions cannot be refreshed
+export const IMPERSONATION_TOKEN_MINUTES = 30;
+
+// With several roles, `role` is the primary one: the superuser role, else the role granting the most permissions
+const PRIMARY_ROLE_ORDER = `ORDER BY ur.role = ? DESC,
+  (SELECT COUNT(*) FROM role_permissions rp WHERE rp.role = ur.role) DESC, ur.role LIMIT 1`;
+
 export class User {
-    static async create({ email, password, full_name, avatar_url = null }) {
+    static async create({ email, password, full_name, avatar_url = null, role = 'employee' }) {
         try {
           const userId = generateUUID();
           //  MODIFICATION: Added 'password' to the INSERT statement
@@ -23,8 +31,8 @@ export class User {
           
           const roleId = generateUUID();
           await pool.execute(
-            'INSERT INTO user_roles (id, user_id, role, created_at) VALUES (?, ?, "employee", NOW())',
-            [roleId, userId]
+            'INSERT INTO user_roles (id, user_id, role, created_at) VALUES (?, ?, ?, NOW())',
+            [roleId, userId, role]
           );
           
           return userId;
@@ -35,18 +43,17 @@ export class User {
       }
 
   static async findByEmail(email) {
-    // Prefer highest-privilege role if multiple rows exist
     const [rows] = await pool.execute(
-      'SELECT p.*, ur.role FROM profiles p LEFT JOIN user_roles ur ON p.id = ur.user_id WHERE p.email = ? ORDER BY FIELD(ur.role, "admin", "manager", "employee") LIMIT 1',
-      [email]
+      `SELECT p.*, ur.role FROM profiles p LEFT JOIN user_roles ur ON p.id = ur.user_id WHERE p.email = ? ${PRIMARY_ROLE_ORDER}`,
+      [email, SUPERUSER_ROLE]
     );
     return rows[0];
   }
 
   static async findById(id) {
     const [rows] = await pool.execute(
-      'SELECT p.*, ur.role FROM profiles p LEFT JOIN user_roles ur ON p.id = ur.user_id WHERE p.id = ? ORDER BY FIELD(ur.role, "admin", "manager", "employee") LIMIT 1',
-      [id]
+      `SELECT p.*, ur.role FROM profiles p LEFT JOIN user_roles ur ON p.id = ur.user_id WHERE p.id = ? ${PRIMARY_ROLE_ORDER}`,
+      [id, SUPERUSER_ROLE]
     );
     return rows[0];
   }
@@ -73,15 +80,36 @@ export class User {
     return result.affectedRows > 0;
   }
 
-  static generateToken(user) {
+  // Short-lived access token; `sid` ties it to a refresh token family so it dies on logout.
+  // Impersonation tokens also carry the real (admin) identity in `imp`.
+  static generateToken(user, sessionId, impersonatorId = null) {
     return jwt.sign(
       { 
         id: user.id, 
         email: user.email, 
-        role: user.role 
+        role: user.role,
+        sid: sessionId,
+        ...(impersonatorId && { imp: impersonatorId })
+      },
+      process.env.JWT_SECRET,
+      {
+        expiresIn: impersonatorId
+          ? `${IMPERSONATION_TOKEN_MINUTES}m`
+          : process.env.JWT_ACCESS_EXPIRES_IN || '15m'
+      }
+    );
+  }
+
+  // Short-lived token that only proves the password step passed; exchanged for a session after MFA
+  static generateMfaToken(user, purpose) {
+    return jwt.sign(
+      {
+        id: user.id,
+        typ: 'mfa_pending',
+        purpose
       },
       process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+      { expiresIn: '5m' }
     );
   }
 
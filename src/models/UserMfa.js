@@ -0,0 +1,97 @@
+import pool from '../config/database.js';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+
+/**
+ * UserMfa Model
+ * TOTP enrollment state and one-time recovery codes per user
+ */
+export class UserMfa {
+  static async findByUserId(userId) {
+    const [rows] = await pool.execute(
+      'SELECT * FROM user_mfa WHERE user_id = ?',
+      [userId]
+    );
+    return rows[0];
+  }
+
+  static async isEnabled(userId) {
+    const mfa = await this.findByUserId(userId);
+    return !!(mfa && mfa.enabled);
+  }
+
+  /**
+   * Store a pending (unconfirmed) secret; replaces any previous pending secret
+   * @param {string} userId - The profile ID
+   * @param {string} secret - Base32 TOTP secret
+   */
+  static async savePendingSecret(userId, secret) {
+    await pool.execute(
+      `INSERT INTO user_mfa (user_id, secret, enabled, last_used_step, created_at, updated_at)
+       VALUES (?, ?, FALSE, NULL, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+       secret = VALUES(secret),
+       enabled = FALSE,
+       last_used_step = NULL,
+       confirmed_at = NULL,
+       updated_at = NOW()`,
+      [userId, secret]
+    );
+  }
+
+  static async enable(userId, step) {
+    await pool.execute(
+      'UPDATE user_mfa SET enabled = TRUE, confirmed_at = NOW(), last_used_step = ?, updated_at = NOW() WHERE user_id = ?',
+      [step, userId]
+    );
+  }
+
+  static async recordUsedStep(userId, step) {
+    await pool.execute(
+      'UPDATE user_mfa SET last_used_step = ?, updated_at = NOW() WHERE user_id = ?',
+      [step, userId]
+    );
+  }
+
+  static async disable(userId) {
+    await pool.execute('DELETE FROM user_mfa WHERE user_id = ?', [userId]);
+    await pool.execute('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+  }
+
+  /**
+   * Replace all recovery codes for a user
+   * @param {string} userId - The profile ID
+   * @param {Array<string>} codes - Plaintext codes (only hashes are stored)
+   */
+  static async replaceRecoveryCodes(userId, codes) {
+    await pool.execute('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [userId]);
+    for (const code of codes) {
+      await pool.execute(
+        'INSERT INTO mfa_recovery_codes (id, user_id, code_hash, created_at) VALUES (?, ?, ?, NOW())',
+        [uuidv4(), userId, hashCode(code)]
+      );
+    }
+  }
+
+  /**
+   * Use up a recovery code
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  static async consumeRecoveryCode(userId, code) {
+    const [result] = await pool.execute(
+      'UPDATE mfa_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+      [userId, hashCode(code)]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async countRemainingRecoveryCodes(userId) {
+    const [rows] = await pool.execute(
+      'SELECT COUNT(*) as count FROM mfa_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return rows[0].count;
+  }
+}
@@ -0,0 +1,83 @@
+import pool from '../config/database.js';
+
+// Skip last-seen writes for requests closer together than this
+const TOUCH_INTERVAL_SECONDS = 60;
+
+/**
+ * UserSession Model
+ * One row per login session. The ID is the refresh token family ID, which access tokens
+ * carry in their `sid` claim.
+ */
+export class UserSession {
+  static async create({ id, user_id, user_agent = null, ip_address = null, impersonator_id = null }) {
+    await pool.execute(
+      `INSERT INTO user_sessions (id, user_id, user_agent, ip_address, impersonator_id, created_at, last_seen_at)
+       VALUES (?, ?, ?, ?, ?, NOW(), NOW())`,
+      [id, user_id, user_agent ? user_agent.substring(0, 500) : null, ip_address, impersonator_id]
+    );
+  }
+
+  static async findById(id) {
+    const [rows] = await pool.execute('SELECT * FROM user_sessions WHERE id = ?', [id]);
+    return rows[0];
+  }
+
+  /**
+   * A session is active while it is not revoked and its refresh token family is still usable
+   * @param {string} id - Session ID (`sid` claim)
+   * @returns {Promise<boolean>}
+   */
+  static async isActive(id) {
+    const [rows] = await pool.execute(
+      `SELECT s.id FROM user_sessions s
+       WHERE s.id = ? AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = s.id AND rt.replaced_by IS NULL AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+       )`,
+      [id]
+    );
+    return rows.length > 0;
+  }
+
+  static async findActiveByUser(userId) {
+    const [rows] = await pool.execute(
+      `SELECT s.id, s.user_agent, s.ip_address, s.impersonator_id, s.created_at, s.last_seen_at
+       FROM user_sessions s
+       WHERE s.user_id = ? AND s.revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = s.id AND rt.replaced_by IS NULL AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+       )
+       ORDER BY s.last_seen_at DESC`,
+      [userId]
+    );
+    return rows;
+  }
+
+  // Record activity; throttled so busy clients don't write on every request
+  static async touch(id, { ip_address, user_agent } = {}) {
+    await pool.execute(
+      `UPDATE user_sessions
+       SET last_seen_at = NOW(), ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+       WHERE id = ? AND last_seen_at < NOW() - INTERVAL ${TOUCH_INTERVAL_SECONDS} SECOND`,
+      [ip_address || null, user_agent ? user_agent.substring(0, 500) : null, id]
+    );
+  }
+
+  static async revoke(id) {
+    const [result] = await pool.execute(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  static async revokeAllForUser(userId) {
+    const [result] = await pool.execute(
+      'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+      [userId]
+    );
+    return result.affectedRows;
+  }
+}
@@ -1,4 +1,5 @@
 import pool from '../config/database.js';
+import { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS, SUPERUSER_ROLE } from '../config/permissions.js';
 
 export const initSchema = async () => {
   try {
@@ -8,7 +9,8 @@ export const initSchema = async () => {
     await connection.query(`
       CREATE TABLE IF NOT EXISTS audit_logs (
         id INT AUTO_INCREMENT PRIMARY KEY,
-        user_id VARCHAR(36) NOT NULL,
+        user_id VARCHAR(36) NULL,
+        impersonator_id VARCHAR(36) NULL,
         action VARCHAR(255) NOT NULL,
         details JSON,
         ip_address VARCHAR(45),
@@ -30,8 +32,11 @@ export const initSchema = async () => {
         created_by VARCHAR(36) NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        deleted_at DATETIME NULL,
+        deleted_by VARCHAR(36) NULL,
         INDEX idx_created_by (created_by),
-        INDEX idx_status (status)
+        INDEX idx_status (status),
+        INDEX idx_proposals_deleted_at (deleted_at)
       )
     `);
 
@@ -40,7 +45,8 @@ export const initSchema = async () => {
       CREATE TABLE IF NOT EXISTS password_reset_otps (
         id VARCHAR(36) PRIMARY KEY,
         user_id VARCHAR(36) NOT NULL,
-        otp VARCHAR(6) NOT NULL,
+        otp_hash VARCHAR(60) NOT NULL,
+        attempts INT DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         expires_at TIMESTAMP NOT NULL,
         used BOOLEAN DEFAULT FALSE,
@@ -50,9 +56,445 @@ export const initSchema = async () => {
       )
     `);
 
+    // Refresh tokens (rotating, grouped by login session family)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        family_id VARCHAR(36) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        replaced_by VARCHAR(36) NULL,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_family_id (family_id)
+      )
+    `);
+
+    // Login sessions (ID = refresh token family ID)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_sessions (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        user_agent VARCHAR(500),
+        ip_address VARCHAR(45),
+        impersonator_id VARCHAR(36) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked_at TIMESTAMP NULL,
+        FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Application settings (admin-managed policies)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        setting_key VARCHAR(100) PRIMARY KEY,
+        setting_value JSON,
+        updated_by VARCHAR(36),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+
+    // TOTP two-factor authentication
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_mfa (
+        user_id VARCHAR(36) PRIMARY KEY,
+        secret VARCHAR(64) NOT NULL,
+        enabled BOOLEAN DEFAULT FALSE,
+        last_used_step BIGINT NULL,
+        confirmed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Failed authentication attempts (brute-force protection)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS auth_throttles (
+        action VARCHAR(50) NOT NULL,
+        scope ENUM('account', 'ip') NOT NULL,
+        identifier VARCHAR(255) NOT NULL,
+        failed_count INT DEFAULT 0,
+        last_failed_at TIMESTAMP NULL,
+        locked_until TIMESTAMP NULL,
+        PRIMARY KEY (action, scope, identifier)
+      )
+    `);
+
+    // Permissions, roles and role grants
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        name VARCHAR(100) PRIMARY KEY,
+        description VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        name VARCHAR(50) PRIMARY KEY,
+        description VARCHAR(255),
+        is_system BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role VARCHAR(50) NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role, permission),
+        FOREIGN KEY (role) REFERENCES roles(name) ON DELETE CASCADE,
+        FOREIGN KEY (permission) REFERENCES permissions(name) ON DELETE CASCADE
+      )
+    `);
+
+    await seedPermissions(connection);
+
+    // Email verification / email change links
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS email_verifications (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        purpose ENUM('verify', 'change') NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES profiles(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id)
+      )
+    `);
+
+    // Invitations (admin-driven onboarding)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS invitations (
+        id VARCHAR(36) PRIMARY KEY,
+        email VARCHAR(255) NOT NULL,
+        full_name VARCHAR(255),
+        role VARCHAR(50) NOT NULL,
+        employee_id VARCHAR(36) NULL,
+        invited_by VARCHAR(36),
+        expires_at TIMESTAMP NOT NULL,
+        accepted_at TIMESTAMP NULL,
+        accepted_user_id VARCHAR(36) NULL,
+        revoked_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE SET NULL,
+        FOREIGN KEY (invited_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        FOREIGN KEY (accepted_user_id) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_email (email)
+      )
+    `);
+
+    // Effective-dated changes to employee position/department/salary/status.
+    // applied_at is NULL while a future-dated change is still scheduled.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employee_history (
+        id VARCHAR(36) PRIMARY KEY,
+        employee_id VARCHAR(36) NOT NULL,
+        field ENUM('position', 'department', 'salary', 'status') NOT NULL,
+        old_value VARCHAR(255) NULL,
+        new_value VARCHAR(255) NULL,
+        effective_date DATE NOT NULL,
+        applied_at TIMESTAMP NULL,
+        cancelled_at TIMESTAMP NULL,
+        changed_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_employee_field_date (employee_id, field, effective_date),
+        INDEX idx_pending (applied_at, cancelled_at, effective_date)
+      )
+    `);
+
+    // Files attached to employees; the content lives in document storage under storage_key
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employee_documents (
+        id VARCHAR(36) PRIMARY KEY,
+        employee_id VARCHAR(36) NOT NULL,
+        document_type ENUM('contract', 'id_proof', 'certification', 'other') NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        original_name VARCHAR(255) NOT NULL,
+        mime_type VARCHAR(100) NOT NULL,
+        size_bytes INT NOT NULL,
+        storage_key VARCHAR(255) NOT NULL UNIQUE,
+        expires_at DATE NULL,
+        uploaded_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_employee_id (employee_id),
+        INDEX idx_expires_at (expires_at)
+      )
+    `);
+
+    // Admin-defined extra attributes for employees and projects
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS custom_field_definitions (
+        id VARCHAR(36) PRIMARY KEY,
+        entity ENUM('employee', 'project') NOT NULL,
+        field_key VARCHAR(64) NOT NULL,
+        label VARCHAR(255) NOT NULL,
+        field_type ENUM('text', 'number', 'date', 'select') NOT NULL,
+        options JSON NULL,
+        validation JSON NULL,
+        is_required BOOLEAN DEFAULT FALSE,
+        sort_order INT DEFAULT 0,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        UNIQUE KEY uq_entity_field_key (entity, field_key)
+      )
+    `);
+
+    // One value per field per record; entity_id is an employee or project ID depending on the field
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS custom_field_values (
+        field_id VARCHAR(36) NOT NULL,
+        entity_id VARCHAR(36) NOT NULL,
+        value VARCHAR(1000) NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (field_id, entity_id),
+        FOREIGN KEY (field_id) REFERENCES custom_field_definitions(id) ON DELETE CASCADE,
+        INDEX idx_entity_id (entity_id)
+      )
+    `);
+
+    // Skills catalog and per-employee levels (1 = basic ... 5 = expert)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS skills (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        category VARCHAR(100) NULL,
+        description TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS employee_skills (
+        employee_id VARCHAR(36) NOT NULL,
+        skill_id VARCHAR(36) NOT NULL,
+        level TINYINT NOT NULL,
+        updated_by VARCHAR(36),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        PRIMARY KEY (employee_id, skill_id),
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (skill_id) REFERENCES skills(id) ON DELETE CASCADE,
+        FOREIGN KEY (updated_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_skill_level (skill_id, level)
+      )
+    `);
+
+    // Leave requests; approved ones take people out of staffing searches
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id VARCHAR(36) PRIMARY KEY,
+        employee_id VARCHAR(36) NOT NULL,
+        leave_type ENUM('casual', 'sick', 'earned', 'unpaid') NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        reason TEXT NULL,
+        status ENUM('pending', 'approved', 'rejected', 'cancelled') DEFAULT 'pending',
+        decided_by VARCHAR(36) NULL,
+        decided_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (decided_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_employee_dates (employee_id, start_date, end_date),
+        INDEX idx_status (status)
+      )
+    `);
+
+    // Project milestones and tasks
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS project_milestones (
+        id VARCHAR(36) PRIMARY KEY,
+        project_id VARCHAR(36) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        due_date DATE NULL,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_project_id (project_id)
+      )
+    `);
+
+    // Subtasks go with their parent; tasks of a deleted milestone stay without one
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS project_tasks (
+        id VARCHAR(36) PRIMARY KEY,
+        project_id VARCHAR(36) NOT NULL,
+        milestone_id VARCHAR(36) NULL,
+        parent_task_id VARCHAR(36) NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT NULL,
+        assignee_id VARCHAR(36) NULL,
+        status ENUM('todo', 'in_progress', 'blocked', 'done', 'cancelled') DEFAULT 'todo',
+        priority ENUM('low', 'medium', 'high', 'urgent') DEFAULT 'medium',
+        start_date DATE NULL,
+        due_date DATE NULL,
+        completed_at TIMESTAMP NULL,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (milestone_id) REFERENCES project_milestones(id) ON DELETE SET NULL,
+        FOREIGN KEY (parent_task_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (assignee_id) REFERENCES employees(id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_project_status (project_id, status),
+        INDEX idx_assignee_status (assignee_id, status),
+        INDEX idx_due_date (due_date)
+      )
+    `);
+
+    // Finish-to-start links: the successor cannot start until the predecessor has finished (+ lag)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS task_dependencies (
+        id VARCHAR(36) PRIMARY KEY,
+        predecessor_id VARCHAR(36) NOT NULL,
+        successor_id VARCHAR(36) NOT NULL,
+        lag_days INT NOT NULL DEFAULT 0,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (predecessor_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (successor_id) REFERENCES project_tasks(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_dependency (predecessor_id, successor_id),
+        INDEX idx_successor (successor_id)
+      )
+    `);
+
+    // Hours worked per employee, project and (optionally) task. week_start is the Monday of
+    // work_date and ties the entry to that week's timesheet.
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS time_entries (
+        id VARCHAR(36) PRIMARY KEY,
+        employee_id VARCHAR(36) NOT NULL,
+        project_id VARCHAR(36) NOT NULL,
+        task_id VARCHAR(36) NULL,
+        work_date DATE NOT NULL,
+        week_start DATE NOT NULL,
+        hours DECIMAL(5, 2) NOT NULL,
+        billable BOOLEAN NOT NULL DEFAULT TRUE,
+        description VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (task_id) REFERENCES project_tasks(id) ON DELETE SET NULL,
+        INDEX idx_employee_week (employee_id, week_start),
+        INDEX idx_project_date (project_id, work_date)
+      )
+    `);
+
+    // Weekly timesheets; a week without a row is still a draft
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS timesheets (
+        id VARCHAR(36) PRIMARY KEY,
+        employee_id VARCHAR(36) NOT NULL,
+        week_start DATE NOT NULL,
+        status ENUM('submitted', 'approved', 'rejected') NOT NULL DEFAULT 'submitted',
+        submitted_at TIMESTAMP NULL,
+        decided_by VARCHAR(36) NULL,
+        decided_at TIMESTAMP NULL,
+        decision_note VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (employee_id) REFERENCES employees(id) ON DELETE CASCADE,
+        FOREIGN KEY (decided_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        UNIQUE KEY unique_employee_week (employee_id, week_start),
+        INDEX idx_status (status)
+      )
+    `);
+
+    // Costs booked against a project besides labour (licences, travel, subcontractors, ...)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS project_expenses (
+        id VARCHAR(36) PRIMARY KEY,
+        project_id VARCHAR(36) NOT NULL,
+        expense_date DATE NOT NULL,
+        amount DECIMAL(12, 2) NOT NULL,
+        category VARCHAR(100) NULL,
+        description VARCHAR(500) NULL,
+        created_by VARCHAR(36),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_project_date (project_id, expense_date)
+      )
+    `);
+
+    // Every project status change, with who made it and why
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS project_status_history (
+        id VARCHAR(36) PRIMARY KEY,
+        project_id VARCHAR(36) NOT NULL,
+        from_status ENUM('planning', 'in_progress', 'on_hold', 'completed', 'cancelled') NULL,
+        to_status ENUM('planning', 'in_progress', 'on_hold', 'completed', 'cancelled') NOT NULL,
+        reason TEXT NULL,
+        changed_by VARCHAR(36),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES profiles(id) ON DELETE SET NULL,
+        INDEX idx_project_changed (project_id, changed_at)
+      )
+    `);
+
     console.log('Database schema initialized successfully');
     connection.release();
   } catch (error) {
     console.error('Error initializing schema:', error);
   }
 };
+
+// Register catalog permissions and built-in roles. A permission seen for the first time is
+// granted to its default roles; grants that admins changed afterwards are left alone.
+const seedPermissions = async (connection) => {
+  for (const name of [SUPERUSER_ROLE, ...Object.keys(DEFAULT_ROLE_PERMISSIONS)]) {
+    await connection.query(
+      'INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, TRUE)',
+      [name, `Built-in ${name} role`]
+    );
+  }
+
+  for (const [name, description] of Object.entries(PERMISSIONS)) {
+    const [result] = await connection.query(
+      'INSERT IGNORE INTO permissions (name, description) VALUES (?, ?)',
+      [name, description]
+    );
+    if (result.affectedRows === 0) continue;
+
+    for (const [role, granted] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      if (granted.includes(name)) {
+        await connection.query(
+          'INSERT IGNORE INTO role_permissions (role, permission) VALUES (?, ?)',
+          [role, name]
+        );
+      }
+    }
+  }
+};
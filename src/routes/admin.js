@@ -1,15 +1,30 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission, forbidImpersonation, getUserPermissions } from '../middleware/auth.js';
 import pool from '../config/database.js';
 import { AuditLog } from '../models/AuditLog.js';
+import { Setting } from '../models/Setting.js';
+import { Role } from '../models/Role.js';
+import { PERMISSIONS, SUPERUSER_ROLE } from '../config/permissions.js';
+import { Invitation } from '../models/Invitation.js';
+import { Employee } from '../models/Employee.js';
+import { User } from '../models/User.js';
+import { sendInvitationEmail } from '../services/emailService.js';
+import { UserSession } from '../models/UserSession.js';
+import { revokeAllSessions, createImpersonationSession } from '../services/sessionService.js';
+import { countOwnedRecords, deactivateAccount, reactivateAccount } from '../services/offboardingService.js';
+import { TRASH_TYPES, getRetentionDays, listDeleted } from '../services/retentionService.js';
+import { linkProfile, unlinkProfile, autoLinkAll, findLinkConflicts } from '../services/employeeLinkService.js';
+import { CustomField, CUSTOM_FIELD_ENTITIES } from '../models/CustomField.js';
+import { validateDefinition } from '../services/customFieldService.js';
+import { getAnnualHours } from '../services/projectBudgetService.js';
 
 const router = express.Router();
 
 // Get all users
-router.get('/users', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/users', authenticateToken, requirePermission('users.read'), async (req, res) => {
     try {
         const [users] = await pool.execute(`
-      SELECT p.id, p.email, p.full_name, p.created_at, ur.role 
+      SELECT p.id, p.email, p.full_name, p.employee_id, p.created_at, p.deactivated_at, ur.role 
       FROM profiles p 
       LEFT JOIN user_roles ur ON p.id = ur.user_id 
       ORDER BY p.created_at DESC
@@ -22,12 +37,12 @@ router.get('/users', authenticateToken, requireRole(['admin']), async (req, res)
 });
 
 // Update user role
-router.put('/users/:id/role', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.put('/users/:id/role', authenticateToken, requirePermission('users.manage_roles'), async (req, res) => {
     try {
         const { id } = req.params;
         const { role } = req.body;
 
-        if (!['admin', 'manager', 'employee'].includes(role)) {
+        if (!role || !(await Role.exists(role))) {
             return res.status(400).json({ error: 'Invalid role' });
         }
 
@@ -43,10 +58,13 @@ router.put('/users/:id/role', authenticateToken, requireRole(['admin']), async (
             [roleId, id, role]
         );
 
+        // Sign the user out everywhere so no session keeps acting under the old role
+        const revokedSessions = await revokeAllSessions(id);
+
         await AuditLog.create({
             user_id: req.user.id,
             action: 'UPDATE_USER_ROLE',
-            details: { target_user_id: id, new_role: role },
+            details: { target_user_id: id, new_role: role, revoked_sessions: revokedSessions },
             ip_address: req.ip
         });
 
@@ -57,8 +75,276 @@ router.put('/users/:id/role', authenticateToken, requireRole(['admin']), async (
     }
 });
 
+// Get a user's active sessions
+router.get('/users/:id/sessions', authenticateToken, requirePermission('users.manage_sessions'), async (req, res) => {
+    try {
+        const sessions = await UserSession.findActiveByUser(req.params.id);
+        res.json(sessions);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch sessions' });
+    }
+});
+
+// Force-logout every session of a user
+router.delete('/users/:id/sessions', authenticateToken, requirePermission('users.manage_sessions'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const revoked = await revokeAllSessions(id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'REVOKE_USER_SESSIONS',
+            details: { target_user_id: id, revoked_sessions: revoked },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'All sessions revoked successfully', revoked });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+// Log in as another user. The token carries both identities and every request made with it is audited.
+router.post('/users/:id/impersonate', authenticateToken, forbidImpersonation, requirePermission('users.impersonate'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ error: 'A reason is required to impersonate a user' });
+        }
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot impersonate yourself' });
+        }
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (target.role === SUPERUSER_ROLE) {
+            return res.status(403).json({ error: 'Admins cannot be impersonated' });
+        }
+
+        const session = await createImpersonationSession(target, req.user, {
+            ip: req.ip,
+            userAgent: req.get('user-agent')
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'IMPERSONATION_STARTED',
+            details: { target_user_id: target.id, session_id: session.session_id, reason },
+            ip_address: req.ip
+        });
+
+        res.json({
+            message: `Now impersonating ${target.full_name}`,
+            user: {
+                id: target.id,
+                email: target.email,
+                full_name: target.full_name,
+                role: target.role,
+            },
+            impersonator: {
+                id: req.user.id,
+                email: req.user.email,
+                full_name: req.user.full_name,
+            },
+            token: session.token
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to start impersonation' });
+    }
+});
+
+// Offboard a user: block login, revoke sessions and Google access, hand over owned
+// questionnaires/proposals and end their project assignments
+router.post('/users/:id/deactivate', authenticateToken, forbidImpersonation, requirePermission('users.deactivate'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { reassign_to, reason } = req.body;
+
+        if (id === req.user.id) {
+            return res.status(400).json({ error: 'You cannot deactivate your own account' });
+        }
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (target.deactivated_at) {
+            return res.status(409).json({ error: 'User is already deactivated' });
+        }
+
+        const owned = await countOwnedRecords(id);
+        if (!reassign_to && (owned.questionnaires > 0 || owned.proposals > 0)) {
+            return res.status(400).json({
+                error: 'reassign_to is required: the user still owns questionnaires or proposals',
+                owned
+            });
+        }
+
+        if (reassign_to) {
+            if (reassign_to === id) {
+                return res.status(400).json({ error: 'Cannot reassign records to the user being deactivated' });
+            }
+            const newOwner = await User.findById(reassign_to);
+            if (!newOwner || newOwner.deactivated_at) {
+                return res.status(400).json({ error: 'reassign_to must be an active user' });
+            }
+        }
+
+        const summary = await deactivateAccount(target, {
+            reassignTo: reassign_to || null,
+            deactivatedBy: req.user.id
+        });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'DEACTIVATE_USER',
+            details: { target_user_id: id, reassign_to: reassign_to || null, reason: reason || null, ...summary },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'User deactivated successfully', ...summary });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to deactivate user' });
+    }
+});
+
+// Let a deactivated user log in again
+router.post('/users/:id/reactivate', authenticateToken, forbidImpersonation, requirePermission('users.deactivate'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const reactivated = await reactivateAccount(id);
+        if (!reactivated) {
+            return res.status(409).json({ error: 'User is not deactivated' });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'REACTIVATE_USER',
+            details: { target_user_id: id },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'User reactivated successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+});
+
+// Link a user account to an employee record. An employee already linked to another account
+// is only moved over with `force: true`.
+router.put('/users/:id/employee', authenticateToken, requirePermission('users.link_employee'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { employee_id, force = false } = req.body;
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!employee_id || !(await Employee.findById(employee_id))) {
+            return res.status(400).json({ error: 'employee_id must be an existing employee' });
+        }
+
+        const result = await linkProfile(id, employee_id, { force: force === true });
+        if (!result.linked) {
+            return res.status(409).json({
+                error: 'Employee is already linked to another user; send force: true to move the link',
+                linked_user_id: result.conflict_user_id
+            });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'LINK_EMPLOYEE',
+            details: {
+                target_user_id: id,
+                employee_id,
+                previous_employee_id: target.employee_id || null,
+                previous_user_id: result.previous_user_id || null
+            },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'User linked to employee successfully', employee_id, previous_user_id: result.previous_user_id || null });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to link user to employee' });
+    }
+});
+
+router.delete('/users/:id/employee', authenticateToken, requirePermission('users.link_employee'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const target = await User.findById(id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (!(await unlinkProfile(id))) {
+            return res.status(409).json({ error: 'User is not linked to an employee' });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UNLINK_EMPLOYEE',
+            details: { target_user_id: id, employee_id: target.employee_id },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'User unlinked from employee successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to unlink user from employee' });
+    }
+});
+
+// Accounts whose employee link could not be made automatically or looks wrong
+router.get('/employee-links/conflicts', authenticateToken, requirePermission('users.link_employee'), async (req, res) => {
+    try {
+        const conflicts = await findLinkConflicts();
+        res.json({ items: conflicts, count: conflicts.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch employee link conflicts' });
+    }
+});
+
+// Match every unlinked account to the employee with the same email
+router.post('/employee-links/auto-match', authenticateToken, requirePermission('users.link_employee'), async (req, res) => {
+    try {
+        const counts = await autoLinkAll();
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'AUTO_LINK_EMPLOYEES',
+            details: counts,
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Employee matching completed', ...counts });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to match users to employees' });
+    }
+});
+
 // Get audit logs
-router.get('/audit-logs', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/audit-logs', authenticateToken, requirePermission('audit.read'), async (req, res) => {
     try {
         const logs = await AuditLog.findAll({ limit: 200 });
         res.json(logs);
@@ -67,4 +353,572 @@ router.get('/audit-logs', authenticateToken, requireRole(['admin']), async (req,
     }
 });
 
+// Get MFA policy (roles that must use two-factor authentication)
+router.get('/settings/mfa-policy', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const roles = await Setting.get('mfa_required_roles', []);
+        res.json({ required_roles: roles });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch MFA policy' });
+    }
+});
+
+// Update MFA policy
+router.put('/settings/mfa-policy', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { required_roles } = req.body;
+
+        if (!Array.isArray(required_roles)) {
+            return res.status(400).json({ error: 'required_roles must be an array of valid roles' });
+        }
+        for (const role of required_roles) {
+            if (!(await Role.exists(role))) {
+                return res.status(400).json({ error: `Unknown role: ${role}` });
+            }
+        }
+
+        await Setting.set('mfa_required_roles', required_roles, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_MFA_POLICY',
+            details: { required_roles },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'MFA policy updated successfully', required_roles });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update MFA policy' });
+    }
+});
+
+// Get the permission catalog
+router.get('/permissions', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    res.json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+});
+
+// Get all roles with their permissions
+router.get('/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const roles = await Role.findAll();
+        res.json(roles);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch roles' });
+    }
+});
+
+const findUnknownPermissions = (permissions) => permissions.filter(p => !PERMISSIONS[p]);
+
+// Create role
+router.post('/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { name, description, permissions = [] } = req.body;
+
+        if (!name || !/^[a-z][a-z0-9_]{1,49}$/.test(name)) {
+            return res.status(400).json({ error: 'Role name must be 2-50 lowercase letters, digits or underscores' });
+        }
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({ error: 'permissions must be an array' });
+        }
+        const unknown = findUnknownPermissions(permissions);
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: 'Unknown permissions', unknown });
+        }
+        if (await Role.exists(name)) {
+            return res.status(409).json({ error: 'Role already exists' });
+        }
+
+        await Role.create({ name, description, permissions });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'CREATE_ROLE',
+            details: { role: name, permissions },
+            ip_address: req.ip
+        });
+
+        res.status(201).json({ message: 'Role created successfully', role: await Role.findByName(name) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to create role' });
+    }
+});
+
+// Update role description and/or permissions
+router.put('/roles/:name', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { description, permissions } = req.body;
+
+        if (name === SUPERUSER_ROLE) {
+            return res.status(400).json({ error: 'The admin role always has every permission and cannot be edited' });
+        }
+        if (!(await Role.exists(name))) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (permissions !== undefined) {
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({ error: 'permissions must be an array' });
+            }
+            const unknown = findUnknownPermissions(permissions);
+            if (unknown.length > 0) {
+                return res.status(400).json({ error: 'Unknown permissions', unknown });
+            }
+        }
+
+        await Role.update(name, { description, permissions });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_ROLE',
+            details: { role: name, description, permissions },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Role updated successfully', role: await Role.findByName(name) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+// Delete a custom role (built-in roles and roles still assigned to users are kept)
+router.delete('/roles/:name', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+    try {
+        const { name } = req.params;
+
+        const role = await Role.findByName(name);
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        if (role.is_system) {
+            return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+        }
+        if (await Role.countUsers(name) > 0) {
+            return res.status(409).json({ error: 'Role is still assigned to users' });
+        }
+
+        await Role.delete(name);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'DELETE_ROLE',
+            details: { role: name },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Role deleted successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to delete role' });
+    }
+});
+
+// Get registration setting
+router.get('/settings/registration', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const enabled = await Setting.get('public_registration_enabled', true);
+        res.json({ public_registration_enabled: enabled });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch registration setting' });
+    }
+});
+
+// Turn public self-registration on or off
+router.put('/settings/registration', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { public_registration_enabled } = req.body;
+
+        if (typeof public_registration_enabled !== 'boolean') {
+            return res.status(400).json({ error: 'public_registration_enabled must be a boolean' });
+        }
+
+        await Setting.set('public_registration_enabled', public_registration_enabled, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_REGISTRATION_SETTING',
+            details: { public_registration_enabled },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Registration setting updated successfully', public_registration_enabled });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update registration setting' });
+    }
+});
+
+// How long soft-deleted records can be restored before they are purged
+router.get('/settings/retention', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const retentionDays = await getRetentionDays();
+        res.json({ soft_delete_retention_days: retentionDays });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch retention setting' });
+    }
+});
+
+router.put('/settings/retention', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { soft_delete_retention_days } = req.body;
+
+        if (!Number.isInteger(soft_delete_retention_days) || soft_delete_retention_days < 1 || soft_delete_retention_days > 3650) {
+            return res.status(400).json({ error: 'soft_delete_retention_days must be a whole number of days between 1 and 3650' });
+        }
+
+        await Setting.set('soft_delete_retention_days', soft_delete_retention_days, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_RETENTION_SETTING',
+            details: { soft_delete_retention_days },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Retention setting updated successfully', soft_delete_retention_days });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update retention setting' });
+    }
+});
+
+// Working hours per year used to turn a salary into an hourly cost rate for project costing
+router.get('/settings/cost-rate', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const annualHours = await getAnnualHours();
+        res.json({ cost_rate_annual_hours: annualHours });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch cost rate setting' });
+    }
+});
+
+router.put('/settings/cost-rate', authenticateToken, requirePermission('settings.manage'), async (req, res) => {
+    try {
+        const { cost_rate_annual_hours } = req.body;
+
+        if (!Number.isInteger(cost_rate_annual_hours) || cost_rate_annual_hours < 1 || cost_rate_annual_hours > 8784) {
+            return res.status(400).json({ error: 'cost_rate_annual_hours must be a whole number of hours between 1 and 8784' });
+        }
+
+        await Setting.set('cost_rate_annual_hours', cost_rate_annual_hours, req.user.id);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_COST_RATE_SETTING',
+            details: { cost_rate_annual_hours },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Cost rate setting updated successfully', cost_rate_annual_hours });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update cost rate setting' });
+    }
+});
+
+// Custom field definitions (?entity=employee|project)
+router.get('/custom-fields', authenticateToken, requirePermission('custom_fields.manage'), async (req, res) => {
+    try {
+        const entities = req.query.entity ? [req.query.entity] : CUSTOM_FIELD_ENTITIES;
+        if (!entities.every(entity => CUSTOM_FIELD_ENTITIES.includes(entity))) {
+            return res.status(400).json({ error: `entity must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}` });
+        }
+
+        const fields = (await Promise.all(entities.map(entity => CustomField.findAll(entity)))).flat();
+        res.json({ items: fields, count: fields.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch custom fields' });
+    }
+});
+
+router.post('/custom-fields', authenticateToken, requirePermission('custom_fields.manage'), async (req, res) => {
+    try {
+        const invalid = validateDefinition(req.body);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const { entity, field_key, label, field_type, options = null, validation = null, is_required = false, sort_order = 0 } = req.body;
+        let id;
+        try {
+            id = await CustomField.create({ entity, field_key, label, field_type, options, validation, is_required, sort_order, created_by: req.user.id });
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ error: `A ${entity} field with key "${field_key}" already exists` });
+            }
+            throw error;
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'CREATE_CUSTOM_FIELD',
+            details: { field_id: id, entity, field_key, field_type, is_required },
+            ip_address: req.ip
+        });
+
+        res.status(201).json({ message: 'Custom field created successfully', field: await CustomField.findById(id) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to create custom field' });
+    }
+});
+
+// Label, options, validation, required and order can change; entity, key and type cannot
+router.put('/custom-fields/:id', authenticateToken, requirePermission('custom_fields.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await CustomField.findById(id);
+        if (!existing) {
+            return res.status(404).json({ error: 'Custom field not found' });
+        }
+
+        const fixed = ['entity', 'field_key', 'field_type'].filter(key => req.body[key] !== undefined && req.body[key] !== existing[key]);
+        if (fixed.length > 0) {
+            return res.status(400).json({ error: `${fixed.join(', ')} cannot be changed; create a new field instead` });
+        }
+
+        const invalid = validateDefinition(req.body, existing);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const { label, options, validation, is_required, sort_order } = req.body;
+        await CustomField.update(id, { label, options, validation, is_required, sort_order });
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'UPDATE_CUSTOM_FIELD',
+            details: { field_id: id, entity: existing.entity, field_key: existing.field_key, changes: { label, options, validation, is_required, sort_order } },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Custom field updated successfully', field: await CustomField.findById(id) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to update custom field' });
+    }
+});
+
+// Deleting a field also deletes every value stored for it
+router.delete('/custom-fields/:id', authenticateToken, requirePermission('custom_fields.manage'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = await CustomField.findById(id);
+        if (!existing || !(await CustomField.delete(id))) {
+            return res.status(404).json({ error: 'Custom field not found' });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'DELETE_CUSTOM_FIELD',
+            details: { field_id: id, entity: existing.entity, field_key: existing.field_key },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Custom field deleted successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to delete custom field' });
+    }
+});
+
+// List soft-deleted records of one type (employees, projects or proposals)
+router.get('/trash/:type', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+    try {
+        const { type } = req.params;
+        if (!TRASH_TYPES[type]) {
+            return res.status(400).json({ error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+        }
+
+        const items = await listDeleted(type);
+        res.json({ items, count: items.length });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch deleted records' });
+    }
+});
+
+// Restore a soft-deleted record
+router.post('/trash/:type/:id/restore', authenticateToken, requirePermission('trash.manage'), async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        if (!TRASH_TYPES[type]) {
+            return res.status(400).json({ error: `type must be one of: ${Object.keys(TRASH_TYPES).join(', ')}` });
+        }
+
+        const restored = await TRASH_TYPES[type].model.restore(id);
+        if (!restored) {
+            return res.status(404).json({ error: 'Deleted record not found' });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'RESTORE_RECORD',
+            details: { type, id },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Record restored successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to restore record' });
+    }
+});
+
+const buildInviteUrl = (invitation) => {
+    const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    return `${baseUrl}/accept-invite?token=${encodeURIComponent(Invitation.signToken(invitation))}`;
+};
+
+// Email an invitation; a failed send is reported but keeps the invitation
+const deliverInvitation = async (invitation, inviter) => {
+    const inviteUrl = buildInviteUrl(invitation);
+    try {
+        await sendInvitationEmail(invitation.email, {
+            inviteUrl,
+            inviterName: inviter.full_name,
+            role: invitation.role,
+            expiresAt: invitation.expires_at
+        });
+        return { invite_url: inviteUrl, email_sent: true };
+    } catch (error) {
+        return { invite_url: inviteUrl, email_sent: false };
+    }
+};
+
+// List invitations (?status=pending|accepted|revoked|expired)
+router.get('/invitations', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+    try {
+        const invitations = await Invitation.findAll({ status: req.query.status });
+        res.json(invitations);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to fetch invitations' });
+    }
+});
+
+// Invite a user with a preset role and an optional linked employee record
+router.post('/invitations', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+    try {
+        const { role = 'employee', employee_id = null } = req.body;
+        let { email, full_name = null } = req.body;
+
+        let employee = null;
+        if (employee_id) {
+            employee = await Employee.findById(employee_id);
+            if (!employee) {
+                return res.status(404).json({ error: 'Employee not found' });
+            }
+            const [[linked]] = await pool.execute('SELECT id FROM profiles WHERE employee_id = ?', [employee_id]);
+            if (linked) {
+                return res.status(409).json({ error: 'Employee already has a user account', linked_user_id: linked.id });
+            }
+            email = email || employee.email;
+            full_name = full_name || employee.full_name;
+        }
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email or employee_id is required' });
+        }
+        if (!(await Role.exists(role))) {
+            return res.status(400).json({ error: 'Invalid role' });
+        }
+
+        // Without users.manage_roles, only roles within the inviter's own permissions can be handed out
+        const granted = await getUserPermissions(req);
+        if (!granted.includes('users.manage_roles')) {
+            const beyond = (await Role.getPermissions(role)).filter(permission => !granted.includes(permission));
+            if (beyond.length > 0) {
+                return res.status(403).json({
+                    error: 'Inviting this role requires users.manage_roles',
+                    missing: beyond
+                });
+            }
+        }
+
+        if (await User.findByEmail(email)) {
+            return res.status(409).json({ error: 'User with this email already exists' });
+        }
+
+        await Invitation.revokePendingForEmail(email);
+        const id = await Invitation.create({ email, full_name, role, employee_id, invited_by: req.user.id });
+        const invitation = await Invitation.findById(id);
+        const delivery = await deliverInvitation(invitation, req.user);
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'CREATE_INVITATION',
+            details: { invitation_id: id, email, role, employee_id },
+            ip_address: req.ip
+        });
+
+        res.status(201).json({
+            message: 'Invitation created successfully',
+            invitation: {
+                id,
+                email,
+                full_name,
+                role,
+                employee_id,
+                expires_at: invitation.expires_at
+            },
+            ...delivery
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to create invitation' });
+    }
+});
+
+// Resend a pending invitation email
+router.post('/invitations/:id/resend', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+    try {
+        const invitation = await Invitation.findById(req.params.id);
+        if (!invitation) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+        if (!Invitation.isPending(invitation)) {
+            return res.status(409).json({ error: 'Invitation is no longer pending' });
+        }
+
+        const delivery = await deliverInvitation(invitation, req.user);
+        res.json({ message: 'Invitation resent', ...delivery });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to resend invitation' });
+    }
+});
+
+// Revoke a pending invitation
+router.delete('/invitations/:id', authenticateToken, requirePermission('users.invite'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const success = await Invitation.revoke(id);
+
+        if (!success) {
+            return res.status(404).json({ error: 'Pending invitation not found' });
+        }
+
+        await AuditLog.create({
+            user_id: req.user.id,
+            action: 'REVOKE_INVITATION',
+            details: { invitation_id: id },
+            ip_address: req.ip
+        });
+
+        res.json({ message: 'Invitation revoked successfully' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ error: 'Failed to revoke invitation' });
+    }
+});
+
 export default router;
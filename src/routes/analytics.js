@@ -1,14 +1,17 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { Task } from '../models/Task.js';
+import { TimeEntry } from '../models/TimeEntry.js';
+import { parseRollupQuery } from '../services/timeTrackingService.js';
 
 const router = express.Router();
 
 // Analytics: revenue, pipeline, productivity
-router.get('/overview', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('analytics.read'), async (req, res) => {
   res.json({ module: 'analytics', status: 'ok' });
 });
 
-router.get('/revenue', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/revenue', authenticateToken, requirePermission('analytics.read'), async (req, res) => {
   res.json({
     totalRevenueYtd: 0,
     revenueVsTargetPct: 0,
@@ -20,7 +23,7 @@ router.get('/revenue', authenticateToken, requireRole(['admin', 'manager']), asy
   });
 });
 
-router.get('/pipeline', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/pipeline', authenticateToken, requirePermission('analytics.read'), async (req, res) => {
   res.json({
     pipelineValue: 0,
     openDeals: 0,
@@ -31,15 +34,45 @@ router.get('/pipeline', authenticateToken, requireRole(['admin', 'manager']), as
   });
 });
 
-router.get('/productivity', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
-  res.json({
-    taskCompletionRatePct: 0,
-    onTimeProjectsPct: 0,
-    absenteeismRatePct: 0,
-    overtimeHours: 0,
-    projectTimeline: [],
-    teamOutput: [],
-  });
+router.get('/productivity', authenticateToken, requirePermission('analytics.read'), async (req, res) => {
+  try {
+    const tasks = await Task.getCompletionStats();
+    res.json({
+      taskCompletionRatePct: tasks.total === 0 ? 0 : Math.round(tasks.done / tasks.total * 100),
+      onTimeProjectsPct: 0,
+      absenteeismRatePct: 0,
+      overtimeHours: 0,
+      projectTimeline: [],
+      teamOutput: [],
+    });
+  } catch (error) {
+    console.error('Productivity analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logged hours across all projects (?group=project|employee|week, ?from=&to=, ?approved_only=true)
+router.get('/time', authenticateToken, requirePermission('analytics.read'), async (req, res) => {
+  try {
+    const rollup = parseRollupQuery(req.query, ['project', 'employee', 'week']);
+    if (rollup.error) {
+      return res.status(400).json({ error: rollup.error });
+    }
+
+    const { totals, groups } = await TimeEntry.rollup(rollup);
+    res.json({
+      group: rollup.groupBy,
+      from: rollup.from,
+      to: rollup.to,
+      approved_only: rollup.approvedOnly,
+      billableRatePct: totals.hours === 0 ? 0 : Math.round(totals.billable_hours / totals.hours * 100),
+      totals,
+      groups
+    });
+  } catch (error) {
+    console.error('Time analytics error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 export default router;
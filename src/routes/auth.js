@@ -1,17 +1,82 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import { User } from '../models/User.js'; //  Import the User model
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authenticateMfaToken, getUserPermissions, forbidImpersonation } from '../middleware/auth.js';
 import { google } from 'googleapis';
 import pool from '../config/database.js';
+import { createSession, rotateSession, revokeSession, revokeAllSessions } from '../services/sessionService.js';
+import { generateSecret, buildOtpauthUri, verifyCode, generateRecoveryCodes } from '../services/totpService.js';
+import { UserMfa } from '../models/UserMfa.js';
+import { Setting } from '../models/Setting.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { PasswordResetOtp } from '../models/PasswordResetOtp.js';
+import { Invitation } from '../models/Invitation.js';
+import { EmailVerification } from '../models/EmailVerification.js';
+import { UserSession } from '../models/UserSession.js';
+import { sendVerificationEmail, sendEmailChangedNotice } from '../services/emailService.js';
+import { enforceThrottle, recordFailedAttempt, clearFailedAttempts } from '../middleware/throttle.js';
+import { createOAuthClient, getGoogleAuthUrl, saveGoogleTokens } from '../services/tokenVault.js';
+import { autoLinkProfile } from '../services/employeeLinkService.js';
 
 const router = express.Router();
 
+// Client details recorded on the session
+const requestContext = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+// Returns the MFA step a user must pass before getting a session, or null if none
+const getMfaChallenge = async (user) => {
+  if (await UserMfa.isEnabled(user.id)) {
+    return {
+      message: 'MFA verification required',
+      mfa_required: true,
+      mfa_token: User.generateMfaToken(user, 'verify')
+    };
+  }
+
+  const requiredRoles = await Setting.get('mfa_required_roles', []);
+  if (requiredRoles.includes(user.role)) {
+    return {
+      message: 'MFA enrollment required',
+      mfa_enrollment_required: true,
+      mfa_token: User.generateMfaToken(user, 'enroll')
+    };
+  }
+
+  return null;
+};
+
+// Email a confirmation link for an address; returns whether the email went out
+const sendEmailVerification = async (userId, email, purpose) => {
+  const token = await EmailVerification.create(userId, email, purpose);
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  try {
+    await sendVerificationEmail(email, { verifyUrl: `${baseUrl}/verify-email?token=${token}`, purpose });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// MFA setup can be reached with a normal session or with an enrollment-only MFA token
+const authenticateForEnrollment = (req, res, next) => {
+  if (req.body?.mfa_token) {
+    return authenticateMfaToken('enroll')(req, res, next);
+  }
+  return authenticateToken(req, res, next);
+};
+
 // Register new user (Corrected)
 router.post('/register', async (req, res) => {
   try {
     const { email, password, full_name } = req.body;
 
+    // 0. Admins can switch off self-registration in favour of invitations
+    const registrationEnabled = await Setting.get('public_registration_enabled', true);
+    if (!registrationEnabled) {
+      return res.status(403).json({ error: 'Public registration is disabled. Please ask an administrator for an invitation.' });
+    }
+
     // 1. Validation
     if (!email || !password || !full_name) {
       return res.status(400).json({ error: 'Email, password, and full name are required' });
@@ -39,9 +104,15 @@ router.post('/register', async (req, res) => {
 
     // 5. Fetch the newly created user to get all details (like role)
     const newUser = await User.findById(userId);
+    const verificationSent = await sendEmailVerification(userId, email, 'verify');
 
-    // 6. Generate a real JWT
-    const token = User.generateToken(newUser);
+    const challenge = await getMfaChallenge(newUser);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+
+    // 6. Start a session (access token + refresh token)
+    const session = await createSession(newUser, requestContext(req));
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -50,8 +121,10 @@ router.post('/register', async (req, res) => {
         email: newUser.email,
         full_name: newUser.full_name,
         role: newUser.role,
+        email_verified: false,
       },
-      token
+      verification_email_sent: verificationSent,
+      ...session
     });
 
   } catch (error) {
@@ -60,8 +133,109 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Look up an invitation from its token (lets the frontend prefill the accept form)
+router.get('/invitations/:token', async (req, res) => {
+  try {
+    const invitationId = Invitation.verifyToken(req.params.token);
+    const invitation = invitationId && await Invitation.findById(invitationId);
+
+    if (!invitation || !Invitation.isPending(invitation)) {
+      return res.status(404).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      full_name: invitation.full_name,
+      role: invitation.role,
+      invited_by: invitation.invited_by_name,
+      expires_at: invitation.expires_at
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation: create the account with the invited role and set its password
+router.post('/accept-invite', async (req, res) => {
+  try {
+    const { token, password, full_name } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    if (password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const invitationId = Invitation.verifyToken(token);
+    const invitation = invitationId && await Invitation.findById(invitationId);
+    if (!invitation || !Invitation.isPending(invitation)) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const name = full_name || invitation.full_name;
+    if (!name) {
+      return res.status(400).json({ error: 'Full name is required' });
+    }
+
+    if (await User.findByEmail(invitation.email)) {
+      return res.status(409).json({ error: 'User with this email already exists' });
+    }
+
+    // Claim the invitation before creating the account so it cannot be used twice
+    if (!(await Invitation.markAccepted(invitation.id))) {
+      return res.status(400).json({ error: 'Invitation is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = await User.create({
+      email: invitation.email,
+      password: hashedPassword,
+      full_name: name,
+      role: invitation.role
+    });
+    await Invitation.setAcceptedUser(invitation.id, userId);
+    // Link to the employee the invitation was made for, or else the one with this email
+    await autoLinkProfile({ id: userId, email: invitation.email }, invitation.employee_id);
+
+    // The invitation link was delivered to this address, so it is already verified
+    await User.update(userId, { email_verified_at: new Date() });
+
+    await AuditLog.create({
+      user_id: userId,
+      action: 'ACCEPT_INVITATION',
+      details: { invitation_id: invitation.id, role: invitation.role },
+      ip_address: req.ip
+    });
+
+    const newUser = await User.findById(userId);
+
+    const challenge = await getMfaChallenge(newUser);
+    if (challenge) {
+      return res.status(201).json(challenge);
+    }
+
+    const session = await createSession(newUser, requestContext(req));
+
+    res.status(201).json({
+      message: 'Invitation accepted successfully',
+      user: {
+        id: newUser.id,
+        email: newUser.email,
+        full_name: newUser.full_name,
+        role: newUser.role,
+      },
+      ...session
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 //  Login user 
-router.post('/login', async (req, res) => {
+router.post('/login', enforceThrottle('login', req => req.body?.email), async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -74,18 +248,32 @@ router.post('/login', async (req, res) => {
     const user = await User.findByEmail(email);
     if (!user) {
       // Use a generic message for security
+      await recordFailedAttempt(req);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // 3. Check the password; failures count towards account and IP lockout
     const isMatch = await User.verifyPassword(password, user.password);
     if (!isMatch) {
+      await recordFailedAttempt(req, user.id);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
+    await clearFailedAttempts(req);
+
+    if (user.deactivated_at) {
+      return res.status(403).json({ error: 'Account has been deactivated' });
+    }
+
+    // 4. Admins/managers may need a second factor before a session is issued
+    const challenge = await getMfaChallenge(user);
+    if (challenge) {
+      return res.json(challenge);
+    }
 
-    // 4. Generate a real JWT
-    const token = User.generateToken(user);
+    // 5. Start a session (access token + refresh token)
+    const session = await createSession(user, requestContext(req));
 
-    // 5. Send response (don't send the password back)
+    // 6. Send response (don't send the password back)
     res.json({
       message: 'Login successful',
       user: {
@@ -94,7 +282,7 @@ router.post('/login', async (req, res) => {
         full_name: user.full_name,
         role: user.role,
       },
-      token
+      ...session
     });
 
   } catch (error) {
@@ -108,13 +296,17 @@ router.get('/me', authenticateToken, async (req, res) => {
   try {
     // req.user is already populated by the authenticateToken middleware
     const user = req.user;
+    const pendingChange = await EmailVerification.findPendingChange(user.id);
 
     res.json({
       id: user.id,
       email: user.email,
+      email_verified: !!user.email_verified_at,
+      pending_email: pendingChange ? pendingChange.email : null,
       full_name: user.full_name,
       avatar_url: user.avatar_url,
       role: user.role,
+      impersonator: user.impersonator || null,
     });
   } catch (error) {
     console.error('Get profile error:', error);
@@ -122,23 +314,40 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Effective permissions of the caller, so the frontend can hide actions it cannot perform
+router.get('/me/permissions', authenticateToken, async (req, res) => {
+  try {
+    const permissions = await getUserPermissions(req);
+    res.json({ role: req.user.role, permissions });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update profile
-router.put('/me', authenticateToken, async (req, res) => {
+router.put('/me', authenticateToken, forbidImpersonation, async (req, res) => {
   try {
     const { email, password, old_password, full_name } = req.body;
     const userId = req.user.id;
 
     const updates = {};
-    if (email) updates.email = email;
     if (full_name) updates.full_name = full_name;
 
-    // If user wants to change password, verify old password first
-    if (password) {
+    // A new email only takes effect once confirmed from that address
+    const newEmail = email && email !== req.user.email ? email : null;
+
+    // Changing the password or the email requires the current password
+    if (password || newEmail) {
       if (!old_password) {
-        return res.status(400).json({ error: 'Old password is required to set a new password' });
+        return res.status(400).json({
+          error: password
+            ? 'Old password is required to set a new password'
+            : 'Old password is required to change email'
+        });
       }
 
-      if (password.length < 6) {
+      if (password && password.length < 6) {
         return res.status(400).json({ error: 'Password must be at least 6 characters long' });
       }
 
@@ -150,26 +359,42 @@ router.put('/me', authenticateToken, async (req, res) => {
         return res.status(401).json({ error: 'Old password is incorrect' });
       }
 
-      updates.password = await bcrypt.hash(password, 10);
+      if (password) {
+        updates.password = await bcrypt.hash(password, 10);
+      }
+    }
+
+    if (newEmail && await User.findByEmail(newEmail)) {
+      return res.status(409).json({ error: 'User with this email already exists' });
     }
 
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && !newEmail) {
       return res.status(400).json({ error: 'No updates provided' });
     }
 
-    await User.update(userId, updates);
+    if (Object.keys(updates).length > 0) {
+      await User.update(userId, updates);
+    }
+
+    let verificationSent = null;
+    if (newEmail) {
+      verificationSent = await sendEmailVerification(userId, newEmail, 'change');
+    }
 
     // Fetch updated user
     const updatedUser = await User.findById(userId);
 
     res.json({
-      message: 'Profile updated successfully',
+      message: newEmail
+        ? 'Profile updated. Confirm your new email address from the link we sent to it.'
+        : 'Profile updated successfully',
       user: {
         id: updatedUser.id,
         email: updatedUser.email,
         full_name: updatedUser.full_name,
         role: updatedUser.role,
-      }
+      },
+      ...(newEmail && { pending_email: newEmail, verification_email_sent: verificationSent })
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -177,8 +402,191 @@ router.put('/me', authenticateToken, async (req, res) => {
   }
 });
 
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+// Confirm an email address from a verification link
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const verification = await EmailVerification.findValidByToken(token);
+    if (!verification) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(verification.user_id);
+    if (!user) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (verification.purpose === 'change') {
+      const existing = await User.findByEmail(verification.email);
+      if (existing && existing.id !== user.id) {
+        return res.status(409).json({ error: 'User with this email already exists' });
+      }
+    }
+
+    // A 'verify' link only counts while the account still uses that address
+    if (verification.purpose === 'verify' && verification.email !== user.email) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (!(await EmailVerification.markUsed(verification.id))) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+
+    if (verification.purpose === 'change') {
+      const oldEmail = user.email;
+      await User.update(user.id, { email: verification.email, email_verified_at: new Date() });
+      await autoLinkProfile({ ...user, email: verification.email });
+
+      await AuditLog.create({
+        user_id: user.id,
+        action: 'CHANGE_EMAIL',
+        details: { old_email: oldEmail, new_email: verification.email },
+        ip_address: req.ip
+      });
+
+      try {
+        await sendEmailChangedNotice(oldEmail, { newEmail: verification.email });
+      } catch (error) {
+        // The change stands even if the notice could not be delivered
+      }
+
+      return res.json({ message: 'Email changed successfully', email: verification.email });
+    }
+
+    await User.update(user.id, { email_verified_at: new Date() });
+    // Self-registered accounts are matched to an employee only once they have proven the address
+    await autoLinkProfile(user);
+    res.json({ message: 'Email verified successfully', email: user.email });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a fresh verification link for the current address
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    const sent = await sendEmailVerification(req.user.id, req.user.email, 'verify');
+    if (!sent) {
+      return res.status(500).json({ error: 'Failed to send verification email' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh pair (rotation)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const session = await rotateSession(refresh_token, requestContext(req));
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const { user, ...tokens } = session;
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the caller's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await UserSession.findActiveByUser(req.user.id);
+    res.json(sessions.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sign out one of the caller's sessions (e.g. a lost device)
+router.delete('/sessions/:id', authenticateToken, forbidImpersonation, async (req, res) => {
+  try {
+    const session = await UserSession.findById(req.params.id);
+    if (!session || session.user_id !== req.user.id || session.revoked_at) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id);
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'REVOKE_SESSION',
+      details: { session_id: session.id },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// End an impersonation session and return to the admin's own session
+router.post('/impersonation/stop', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.impersonator) {
+      return res.status(400).json({ error: 'Not impersonating' });
+    }
+
+    await revokeSession(req.sessionId);
+
+    await AuditLog.create({
+      user_id: req.user.impersonator.id,
+      action: 'IMPERSONATION_ENDED',
+      details: { target_user_id: req.user.id, session_id: req.sessionId },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Impersonation ended' });
+  } catch (error) {
+    console.error('Stop impersonation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Logout revokes the whole refresh token family behind the current access token
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 // Forgot Password - Request OTP
@@ -192,24 +600,13 @@ router.post('/forgot-password', async (req, res) => {
 
     // Check if user exists
     const user = await User.findByEmail(email);
-    if (!user) {
+    if (!user || user.deactivated_at) {
       // Don't reveal if email exists for security
       return res.json({ message: 'If the email exists, an OTP has been sent' });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-
-    // Store OTP in database
-    const { v4: uuidv4 } = await import('uuid');
-    const pool = (await import('../config/database.js')).default;
-    const otpId = uuidv4();
-    const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-
-    await pool.query(
-      'INSERT INTO password_reset_otps (id, user_id, otp, expires_at) VALUES (?, ?, ?, ?)',
-      [otpId, user.id, otp, expiresAt]
-    );
+    // Generate and store a 6-digit OTP (hashed, valid for 5 minutes)
+    const otp = await PasswordResetOtp.create(user.id);
 
     // Send OTP via email
     const { sendOTPEmail } = await import('../services/emailService.js');
@@ -223,7 +620,7 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // Verify OTP
-router.post('/verify-otp', async (req, res) => {
+router.post('/verify-otp', enforceThrottle('otp', req => req.body?.email), async (req, res) => {
   try {
     const { email, otp } = req.body;
 
@@ -234,19 +631,14 @@ router.post('/verify-otp', async (req, res) => {
     // Find user
     const user = await User.findByEmail(email);
     if (!user) {
+      await recordFailedAttempt(req);
       return res.status(401).json({ error: 'Invalid OTP' });
     }
 
-    // Check OTP
-    const pool = (await import('../config/database.js')).default;
-    const [otpRecords] = await pool.query(
-      `SELECT * FROM password_reset_otps 
-       WHERE user_id = ? AND otp = ? AND used = FALSE AND expires_at > NOW()
-       ORDER BY created_at DESC LIMIT 1`,
-      [user.id, otp]
-    );
-
-    if (otpRecords.length === 0) {
+    // Check OTP (wrong guesses count against the OTP and the account)
+    const otpRecord = await PasswordResetOtp.verify(user.id, otp);
+    if (!otpRecord) {
+      await recordFailedAttempt(req, user.id);
       return res.status(401).json({ error: 'Invalid or expired OTP' });
     }
 
@@ -258,7 +650,7 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // Reset Password with OTP
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', enforceThrottle('otp', req => req.body?.email), async (req, res) => {
   try {
     const { email, otp, new_password } = req.body;
 
@@ -273,32 +665,28 @@ router.post('/reset-password', async (req, res) => {
     // Find user
     const user = await User.findByEmail(email);
     if (!user) {
+      await recordFailedAttempt(req);
       return res.status(401).json({ error: 'Invalid request' });
     }
 
     // Verify OTP
-    const pool = (await import('../config/database.js')).default;
-    const [otpRecords] = await pool.query(
-      `SELECT * FROM password_reset_otps 
-       WHERE user_id = ? AND otp = ? AND used = FALSE AND expires_at > NOW()
-       ORDER BY created_at DESC LIMIT 1`,
-      [user.id, otp]
-    );
-
-    if (otpRecords.length === 0) {
+    const otpRecord = await PasswordResetOtp.verify(user.id, otp);
+    if (!otpRecord) {
+      await recordFailedAttempt(req, user.id);
       return res.status(401).json({ error: 'Invalid or expired OTP' });
     }
 
     // Mark OTP as used
-    await pool.query(
-      'UPDATE password_reset_otps SET used = TRUE WHERE id = ?',
-      [otpRecords[0].id]
-    );
+    await PasswordResetOtp.markUsed(otpRecord.id);
+    await clearFailedAttempts(req);
 
     // Update password
     const hashedPassword = await bcrypt.hash(new_password, 10);
     await User.update(user.id, { password: hashedPassword });
 
+    // Sign out everywhere; sessions opened with the old password are no longer trusted
+    await revokeAllSessions(user.id);
+
     res.json({ message: 'Password reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
@@ -306,30 +694,241 @@ router.post('/reset-password', async (req, res) => {
   }
 });
 
+// --- Two-factor authentication (TOTP) ---
+
+// Second login step: exchange the pending MFA token plus a TOTP or recovery code for a session
+router.post('/mfa/verify', authenticateMfaToken('verify'), enforceThrottle('mfa', req => req.user.id), async (req, res) => {
+  try {
+    const { code, recovery_code } = req.body;
+    const user = req.user;
+
+    if (!code && !recovery_code) {
+      return res.status(400).json({ error: 'Code or recovery code is required' });
+    }
+
+    const mfa = await UserMfa.findByUserId(user.id);
+    if (!mfa || !mfa.enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled for this account' });
+    }
+
+    if (code) {
+      const step = verifyCode(mfa.secret, code, { lastStep: mfa.last_used_step });
+      if (step === null) {
+        await recordFailedAttempt(req, user.id);
+        return res.status(401).json({ error: 'Invalid verification code' });
+      }
+      await UserMfa.recordUsedStep(user.id, step);
+    } else {
+      const consumed = await UserMfa.consumeRecoveryCode(user.id, recovery_code);
+      if (!consumed) {
+        await recordFailedAttempt(req, user.id);
+        return res.status(401).json({ error: 'Invalid recovery code' });
+      }
+      await AuditLog.create({
+        user_id: user.id,
+        action: 'MFA_RECOVERY_CODE_USED',
+        details: { remaining: await UserMfa.countRemainingRecoveryCodes(user.id) },
+        ip_address: req.ip
+      });
+    }
+
+    await clearFailedAttempts(req);
+    const session = await createSession(user, requestContext(req));
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user.id,
+        email: user.email,
+        full_name: user.full_name,
+        role: user.role,
+      },
+      ...session
+    });
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/mfa/status', authenticateToken, async (req, res) => {
+  try {
+    const mfa = await UserMfa.findByUserId(req.user.id);
+    const requiredRoles = await Setting.get('mfa_required_roles', []);
+
+    res.json({
+      enabled: !!(mfa && mfa.enabled),
+      required: requiredRoles.includes(req.user.role),
+      recovery_codes_remaining: mfa && mfa.enabled
+        ? await UserMfa.countRemainingRecoveryCodes(req.user.id)
+        : 0
+    });
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start enrollment: generate a secret and the otpauth:// URI to render as a QR code
+router.post('/mfa/setup', authenticateForEnrollment, forbidImpersonation, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (await UserMfa.isEnabled(user.id)) {
+      return res.status(409).json({ error: 'MFA is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await UserMfa.savePendingSecret(user.id, secret);
+
+    res.json({
+      secret,
+      otpauth_url: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Finish enrollment with a code from the authenticator app; returns recovery codes once
+router.post('/mfa/confirm', authenticateForEnrollment, forbidImpersonation, enforceThrottle('mfa', req => req.user.id), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const mfa = await UserMfa.findByUserId(user.id);
+    if (!mfa) {
+      return res.status(400).json({ error: 'MFA setup has not been started' });
+    }
+    if (mfa.enabled) {
+      return res.status(409).json({ error: 'MFA is already enabled' });
+    }
+
+    const step = verifyCode(mfa.secret, code);
+    if (step === null) {
+      await recordFailedAttempt(req, user.id);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+
+    await clearFailedAttempts(req);
+    await UserMfa.enable(user.id, step);
+    const recoveryCodes = generateRecoveryCodes();
+    await UserMfa.replaceRecoveryCodes(user.id, recoveryCodes);
+
+    await AuditLog.create({
+      user_id: user.id,
+      action: 'MFA_ENABLED',
+      details: {},
+      ip_address: req.ip
+    });
+
+    const response = {
+      message: 'MFA enabled successfully',
+      recovery_codes: recoveryCodes
+    };
+
+    // Enrollment forced at login: the user has now passed both factors
+    if (req.mfaPurpose === 'enroll') {
+      Object.assign(response, await createSession(user, requestContext(req)));
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('MFA confirm error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/recovery-codes', authenticateToken, forbidImpersonation, enforceThrottle('mfa', req => req.user.id), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const mfa = await UserMfa.findByUserId(req.user.id);
+
+    if (!mfa || !mfa.enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled for this account' });
+    }
+
+    const step = verifyCode(mfa.secret, code, { lastStep: mfa.last_used_step });
+    if (step === null) {
+      await recordFailedAttempt(req, req.user.id);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    await UserMfa.recordUsedStep(req.user.id, step);
+    await clearFailedAttempts(req);
+
+    const recoveryCodes = generateRecoveryCodes();
+    await UserMfa.replaceRecoveryCodes(req.user.id, recoveryCodes);
+
+    res.json({ recovery_codes: recoveryCodes });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/mfa/disable', authenticateToken, forbidImpersonation, enforceThrottle('mfa', req => req.user.id), async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const userId = req.user.id;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and verification code are required' });
+    }
+
+    const requiredRoles = await Setting.get('mfa_required_roles', []);
+    if (requiredRoles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'MFA is required for your role and cannot be disabled' });
+    }
+
+    const user = await User.findById(userId);
+    const isPasswordValid = await User.verifyPassword(password, user.password);
+    if (!isPasswordValid) {
+      await recordFailedAttempt(req, userId);
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const mfa = await UserMfa.findByUserId(userId);
+    if (!mfa || !mfa.enabled) {
+      return res.status(400).json({ error: 'MFA is not enabled for this account' });
+    }
+
+    const step = verifyCode(mfa.secret, code, { lastStep: mfa.last_used_step });
+    if (step === null) {
+      await recordFailedAttempt(req, userId);
+      return res.status(401).json({ error: 'Invalid verification code' });
+    }
+    await UserMfa.recordUsedStep(userId, step);
+    await clearFailedAttempts(req);
+
+    await UserMfa.disable(userId);
+
+    await AuditLog.create({
+      user_id: userId,
+      action: 'MFA_DISABLED',
+      details: {},
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'MFA disabled successfully' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
 
 // --- Google OAuth Routes ---
 
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_CLIENT_ID,
-  process.env.GOOGLE_CLIENT_SECRET,
-  process.env.GOOGLE_REDIRECT_URI
-);
-
 // 1. Initiate Google Login
-router.get('/google', authenticateToken, (req, res) => {
-  const scopes = [
-    'https://www.googleapis.com/auth/forms.body',
-    'https://www.googleapis.com/auth/drive.file'
-  ];
-
-  const url = oauth2Client.generateAuthUrl({
-    access_type: 'offline', // Request refresh token
-    scope: scopes,
-    state: req.user.id // Pass user ID to associate token later
-  });
-
-  res.json({ url });
+router.get('/google', authenticateToken, forbidImpersonation, (req, res) => {
+  // state carries the user ID to associate the token later
+  res.json({ url: getGoogleAuthUrl(req.user.id) });
 });
 
 // 2. Handle Callback
@@ -341,6 +940,7 @@ router.get('/google/callback', async (req, res) => {
   }
 
   try {
+    const oauth2Client = createOAuthClient();
     const { tokens } = await oauth2Client.getToken(code);
 
     // If state is missing, get user info from Google to find the user
@@ -365,17 +965,8 @@ router.get('/google/callback', async (req, res) => {
       userId = users[0].id;
     }
 
-    // Store tokens in database
-    await pool.query(
-      `INSERT INTO oauth_tokens (user_id, access_token, refresh_token, expiry_date) 
-       VALUES (?, ?, ?, ?)
-       ON DUPLICATE KEY UPDATE 
-       access_token = VALUES(access_token), 
-       refresh_token = IF(VALUES(refresh_token) IS NOT NULL, VALUES(refresh_token), refresh_token),
-       expiry_date = VALUES(expiry_date),
-       updated_at = NOW()`,
-      [userId, tokens.access_token, tokens.refresh_token, tokens.expiry_date]
-    );
+    // Store tokens encrypted in database
+    await saveGoogleTokens(userId, tokens);
 
     // Redirect back to frontend (adjust URL as needed)
     res.redirect('http://localhost:5173/questionnaires?google_auth=success');
@@ -1,36 +1,108 @@
 import express from 'express';
 import { Employee } from '../models/Employee.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, authenticateOptional, guardIncludeDeleted, requirePermission, getUserPermissions } from '../middleware/auth.js';
+import { parseListQuery, buildPagination } from '../utils/listQuery.js';
+import multer from 'multer';
+import { AuditLog } from '../models/AuditLog.js';
+import { EXPORT_FORMATS, parseExportColumns, streamExport } from '../services/exportService.js';
+import { EmployeeHistory } from '../models/EmployeeHistory.js';
+import { isValidDate, validateScheduledChange } from '../services/employeeHistoryService.js';
+import { IMPORT_MODES, parseEmployeeFile, validateEmployeeRows, commitEmployeeImport } from '../services/employeeImportService.js';
+import { EmployeeDocument, DOCUMENT_TYPES } from '../models/EmployeeDocument.js';
+import { getDocumentStorage } from '../services/documentStorage.js';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { CustomField } from '../models/CustomField.js';
+import { Skill, MIN_SKILL_LEVEL, MAX_SKILL_LEVEL } from '../models/Skill.js';
+import { validateCustomValues, withCustomFieldFilters, withCustomFieldColumns, attachCustomFields } from '../services/customFieldService.js';
+import { TimeEntry } from '../models/TimeEntry.js';
+import { parseRollupQuery } from '../services/timeTrackingService.js';
 
 const router = express.Router();
 
-// Get all employees (with pagination) — temporarily public for dashboard
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
-    const department = req.query.department;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.DOCUMENT_MAX_BYTES || String(10 * 1024 * 1024)) }
+});
+
+const DOCUMENT_MIME_TYPES = [
+  'application/pdf',
+  'image/jpeg',
+  'image/png',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Accepts a single multipart `file` field; upload problems are the client's fault
+const acceptFile = (uploader) => (req, res, next) => {
+  uploader.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: `Upload failed: ${error.message}` });
+    }
+    next();
+  });
+};
+
+const uploadImportFile = acceptFile(upload);
+const uploadDocumentFile = acceptFile(documentUpload);
+
+// Document types the caller may see; sensitive ones need documents.view_sensitive
+const visibleDocumentTypes = async (req) => {
+  const canViewSensitive = (await getUserPermissions(req)).includes('documents.view_sensitive');
+  return Object.keys(DOCUMENT_TYPES).filter(type => canViewSensitive || !DOCUMENT_TYPES[type].sensitive);
+};
 
-    let employees;
-    let total;
+// Hourly cost rate used for project costing; omitted or null falls back to the salary
+const isValidCostRate = (rate) => rate === undefined || rate === null ||
+  (typeof rate === 'number' && rate >= 0 && rate < 1e8);
 
-    if (department) {
-      employees = await Employee.findByDepartment(department, limit, offset);
-      total = employees.length;
-    } else {
-      employees = await Employee.findAll(limit, offset);
-      total = await Employee.count();
+// Checks a proposed `reports_to`; returns an error response body or null if it is fine
+const checkManager = async (employeeId, managerId) => {
+  if (managerId === null) return null;
+  if (!(await Employee.findById(managerId))) {
+    return { status: 400, error: 'reports_to must be an existing employee' };
+  }
+  if (employeeId && (await Employee.wouldCreateCycle(employeeId, managerId))) {
+    return { status: 409, error: 'reports_to would create a reporting loop' };
+  }
+  return null;
+};
+
+// Checks that an email is free; deleted employees keep theirs (unique) until the retention purge
+const checkEmail = async (employeeId, email) => {
+  const sameEmail = email ? await Employee.findByEmail(email, { includeDeleted: true }) : null;
+  if (!sameEmail || sameEmail.id === employeeId) return null;
+  return sameEmail.deleted_at
+    ? { status: 409, error: 'This email belongs to a deleted employee; restore it instead', employee_id: sameEmail.id }
+    : { status: 409, error: 'An employee with this email already exists', employee_id: sameEmail.id };
+};
+
+// Get all employees (search, filter, sort, pagination, as-of date) — temporarily public for dashboard
+router.get('/', authenticateOptional, guardIncludeDeleted, async (req, res) => {
+  try {
+    const customFields = await CustomField.findAll('employee');
+    const listQuery = parseListQuery(req.query, withCustomFieldFilters(Employee.listQuerySpec, customFields, 'e'));
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
     }
 
+    // ?as_of=YYYY-MM-DD lists employees with the position/department/salary/status they had on that date
+    const asOf = req.query.as_of;
+    if (asOf !== undefined && !isValidDate(asOf)) {
+      return res.status(400).json({ error: 'as_of must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const { rows, total } = await Employee.search({ ...listQuery, asOf });
+    await attachCustomFields(customFields, rows);
+
     res.json({
-      employees,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      employees: rows,
+      pagination: buildPagination(listQuery, total)
     });
   } catch (error) {
     console.error('Get employees error:', error);
@@ -38,16 +110,110 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export employees as CSV, XLSX or JSON (?format=csv|xlsx|json, ?columns=a,b).
+// Takes the same search, filter and sort parameters as the list route.
+router.get('/export', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const customFields = await CustomField.findAll('employee');
+    const listQuery = parseListQuery(req.query, withCustomFieldFilters(Employee.listQuerySpec, customFields, 'e'));
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const available = withCustomFieldColumns(Employee.exportColumns, customFields, 'e');
+    const { columns, error } = parseExportColumns(req.query.columns, available);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Salaries are blanked unless the caller may see them
+    const canViewSalary = (await getUserPermissions(req)).includes('employees.view_salary');
+    const redact = columns.includes('salary') && !canViewSalary ? ['salary'] : [];
+    if (!canViewSalary && listQuery.orderBy.includes('e.salary')) {
+      return res.status(403).json({ error: 'Sorting by salary requires the employees.view_salary permission' });
+    }
+
+    const rowCount = await streamExport(res, {
+      format,
+      filename: `employees-${new Date().toISOString().slice(0, 10)}`,
+      columns,
+      redact,
+      ...Employee.exportQuery(listQuery, columns, available)
+    });
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'EXPORT_EMPLOYEES',
+      details: { format, columns, filters: req.query, rows: rowCount, redacted: redact },
+      ip_address: req.ip
+    });
+  } catch (error) {
+    console.error('Export employees error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Org chart as nested JSON (?root=<employee id> for one branch)
+router.get('/org-chart', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const chart = await Employee.getOrgChart(req.query.root || null);
+    if (!chart) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ roots: chart });
+  } catch (error) {
+    console.error('Get org chart error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Documents expiring within ?days= days (default 30), including already expired ones
+router.get('/documents/expiring', authenticateToken, requirePermission('documents.read'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({ error: 'days must be a whole number between 0 and 365' });
+    }
+
+    const documents = await EmployeeDocument.findExpiring(days, await visibleDocumentTypes(req));
+    res.json({ days, items: documents, count: documents.length });
+  } catch (error) {
+    console.error('Get expiring documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Custom fields defined for employees (for building forms and filters)
+router.get('/custom-fields', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const fields = await CustomField.findAll('employee');
+    res.json({ items: fields, count: fields.length });
+  } catch (error) {
+    console.error('Get employee custom fields error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get employee by ID — temporarily public for dashboard
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateOptional, guardIncludeDeleted, async (req, res) => {
   try {
     const { id } = req.params;
-    const employee = await Employee.findById(id);
+    const employee = await Employee.findById(id, { includeDeleted: req.query.include === 'deleted' });
 
     if (!employee) {
       return res.status(404).json({ error: 'Employee not found' });
     }
 
+    await attachCustomFields(await CustomField.findAll('employee'), [employee]);
     res.json(employee);
   } catch (error) {
     console.error('Get employee error:', error);
@@ -55,16 +221,406 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Direct reports of an employee
+router.get('/:id/direct-reports', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const reports = await Employee.getDirectReports(id);
+    res.json({ items: reports, count: reports.length });
+  } catch (error) {
+    console.error('Get direct reports error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Everyone below an employee, with depth
+router.get('/:id/subtree', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const subtree = await Employee.getSubtree(id);
+    res.json({ items: subtree, count: subtree.length });
+  } catch (error) {
+    console.error('Get subtree error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Managers above an employee, nearest first
+router.get('/:id/chain', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const chain = await Employee.getManagementChain(id);
+    res.json({ items: chain, count: chain.length });
+  } catch (error) {
+    console.error('Get management chain error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set or clear an employee's manager
+router.put('/:id/manager', authenticateToken, requirePermission('employees.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reportsTo = req.body.reports_to ?? null;
+
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const invalid = await checkManager(id, reportsTo);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    await Employee.update(id, { reports_to: reportsTo }, req.user.id);
+    const employee = await Employee.findById(id);
+
+    res.json({
+      message: 'Manager updated successfully',
+      employee
+    });
+  } catch (error) {
+    console.error('Update manager error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Timeline of position/department/salary/status changes, including scheduled ones
+router.get('/:id/history', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    let history = await EmployeeHistory.findByEmployee(id);
+    if (!(await getUserPermissions(req)).includes('employees.view_salary')) {
+      history = history.filter(entry => entry.field !== 'salary');
+    }
+
+    res.json({ items: history, count: history.length });
+  } catch (error) {
+    console.error('Get employee history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Schedule changes that apply automatically on a future date
+router.post('/:id/scheduled-changes', authenticateToken, requirePermission('employees.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { changes, effective_date } = req.body;
+
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const invalid = validateScheduledChange(changes, effective_date);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const ids = await EmployeeHistory.schedule(id, changes, effective_date, req.user.id);
+
+    res.status(201).json({
+      message: 'Changes scheduled successfully',
+      effective_date,
+      ids
+    });
+  } catch (error) {
+    console.error('Schedule employee change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a scheduled change before it applies
+router.delete('/:id/scheduled-changes/:changeId', authenticateToken, requirePermission('employees.update'), async (req, res) => {
+  try {
+    const { id, changeId } = req.params;
+    const cancelled = await EmployeeHistory.cancel(id, changeId);
+
+    if (!cancelled) {
+      return res.status(404).json({ error: 'Scheduled change not found or already applied' });
+    }
+
+    res.json({ message: 'Scheduled change cancelled successfully' });
+  } catch (error) {
+    console.error('Cancel scheduled change error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hours an employee logged, billable and non-billable (?group=project|week, ?from=&to=, ?approved_only=true)
+router.get('/:id/time', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const rollup = parseRollupQuery(req.query, ['project', 'week']);
+    if (rollup.error) {
+      return res.status(400).json({ error: rollup.error });
+    }
+
+    const { totals, groups } = await TimeEntry.rollup({ ...rollup, employeeId: id });
+    res.json({ employee_id: id, group: rollup.groupBy, from: rollup.from, to: rollup.to, approved_only: rollup.approvedOnly, totals, groups });
+  } catch (error) {
+    console.error('Get employee time error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Skills of an employee, strongest first
+router.get('/:id/skills', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const skills = await Skill.getEmployeeSkills(id);
+    res.json({ items: skills, count: skills.length });
+  } catch (error) {
+    console.error('Get employee skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set an employee's level in a skill
+router.put('/:id/skills/:skillId', authenticateToken, requirePermission('employees.update'), async (req, res) => {
+  try {
+    const { id, skillId } = req.params;
+    const { level } = req.body;
+
+    if (!Number.isInteger(level) || level < MIN_SKILL_LEVEL || level > MAX_SKILL_LEVEL) {
+      return res.status(400).json({ error: `level must be a whole number between ${MIN_SKILL_LEVEL} and ${MAX_SKILL_LEVEL}` });
+    }
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!(await Skill.findById(skillId))) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    await Skill.setEmployeeSkill(id, skillId, level, req.user.id);
+    res.json({ message: 'Skill level saved successfully', skill_id: skillId, level });
+  } catch (error) {
+    console.error('Set employee skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:id/skills/:skillId', authenticateToken, requirePermission('employees.update'), async (req, res) => {
+  try {
+    const { id, skillId } = req.params;
+    if (!(await Skill.removeEmployeeSkill(id, skillId))) {
+      return res.status(404).json({ error: 'Employee does not have this skill' });
+    }
+
+    res.json({ message: 'Skill removed successfully' });
+  } catch (error) {
+    console.error('Remove employee skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Documents attached to an employee
+router.get('/:id/documents', authenticateToken, requirePermission('documents.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const documents = await EmployeeDocument.findByEmployee(id, await visibleDocumentTypes(req));
+    res.json({ items: documents, count: documents.length });
+  } catch (error) {
+    console.error('Get employee documents error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Upload a document (multipart field `file`, plus document_type, optional title and expires_at)
+router.post('/:id/documents', authenticateToken, requirePermission('documents.manage'), uploadDocumentFile, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { document_type, title, expires_at } = req.body;
+
+    if (!(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A file is required' });
+    }
+    if (!DOCUMENT_TYPES[document_type]) {
+      return res.status(400).json({ error: `document_type must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}` });
+    }
+    if (!DOCUMENT_MIME_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({ error: 'Only PDF, JPEG, PNG and Word documents can be uploaded' });
+    }
+    if (expires_at && !isValidDate(expires_at)) {
+      return res.status(400).json({ error: 'expires_at must be a valid date (YYYY-MM-DD)' });
+    }
+    if (title && title.length > 255) {
+      return res.status(400).json({ error: 'title must be at most 255 characters' });
+    }
+
+    const documentId = uuidv4();
+    const storageKey = `${id}/${documentId}`;
+    const storage = getDocumentStorage();
+
+    await storage.put(storageKey, req.file.buffer);
+    try {
+      await EmployeeDocument.create({
+        id: documentId,
+        employee_id: id,
+        document_type,
+        title: title || req.file.originalname,
+        original_name: req.file.originalname,
+        mime_type: req.file.mimetype,
+        size_bytes: req.file.size,
+        storage_key: storageKey,
+        expires_at: expires_at || null,
+        uploaded_by: req.user.id
+      });
+    } catch (error) {
+      await storage.remove(storageKey);
+      throw error;
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'UPLOAD_EMPLOYEE_DOCUMENT',
+      details: { employee_id: id, document_id: documentId, document_type, file_name: req.file.originalname },
+      ip_address: req.ip
+    });
+
+    const { storage_key, ...document } = await EmployeeDocument.findById(id, documentId);
+    res.status(201).json({ message: 'Document uploaded successfully', document });
+  } catch (error) {
+    console.error('Upload employee document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a document
+router.get('/:id/documents/:documentId/download', authenticateToken, requirePermission('documents.read'), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const document = await EmployeeDocument.findById(id, documentId);
+
+    if (!document || !(await Employee.findById(id))) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    if (!(await visibleDocumentTypes(req)).includes(document.document_type)) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: ['documents.view_sensitive'], missing: ['documents.view_sensitive'] });
+    }
+
+    let stream;
+    try {
+      stream = await getDocumentStorage().get(document.storage_key);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Document file is missing from storage' });
+      }
+      throw error;
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'DOWNLOAD_EMPLOYEE_DOCUMENT',
+      details: { employee_id: id, document_id: documentId, document_type: document.document_type },
+      ip_address: req.ip
+    });
+
+    res.setHeader('Content-Type', document.mime_type);
+    res.setHeader('Content-Length', document.size_bytes);
+    res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(document.original_name)}`);
+    await pipeline(stream, res);
+  } catch (error) {
+    console.error('Download employee document error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+// Delete a document and its file
+router.delete('/:id/documents/:documentId', authenticateToken, requirePermission('documents.manage'), async (req, res) => {
+  try {
+    const { id, documentId } = req.params;
+    const document = await EmployeeDocument.findById(id, documentId);
+
+    // Sensitive documents the caller cannot see are treated as missing
+    if (!document || !(await visibleDocumentTypes(req)).includes(document.document_type)) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    await EmployeeDocument.delete(documentId);
+    await getDocumentStorage().remove(document.storage_key);
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'DELETE_EMPLOYEE_DOCUMENT',
+      details: { employee_id: id, document_id: documentId, document_type: document.document_type, file_name: document.original_name },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Document deleted successfully' });
+  } catch (error) {
+    console.error('Delete employee document error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Create new employee (admin/manager only)
-router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('employees.create'), async (req, res) => {
   try {
+    const { custom_fields, ...body } = req.body;
     const employeeData = {
-      ...req.body,
+      ...body,
       created_by: req.user.id
     };
 
+    if (!isValidCostRate(req.body.cost_rate)) {
+      return res.status(400).json({ error: 'cost_rate must be a non-negative hourly rate or null' });
+    }
+
+    const emailTaken = await checkEmail(null, req.body.email);
+    if (emailTaken) {
+      return res.status(emailTaken.status).json({ error: emailTaken.error, employee_id: emailTaken.employee_id });
+    }
+
+    if (req.body.reports_to) {
+      const invalid = await checkManager(null, req.body.reports_to);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+    }
+
+    const customFields = await CustomField.findAll('employee');
+    const { values, errors } = validateCustomValues(customFields, custom_fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+    }
+
     const employeeId = await Employee.create(employeeData);
+    await CustomField.setValues(employeeId, values);
     const employee = await Employee.findById(employeeId);
+    await attachCustomFields(customFields, [employee]);
 
     res.status(201).json({
       message: 'Employee created successfully',
@@ -76,18 +632,99 @@ router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (re
   }
 });
 
+// Bulk import employees from CSV/XLSX (multipart field `file`).
+// ?dry_run=true only reports what would happen; ?mode=upsert updates existing employees matched by email.
+// Nothing is written unless every row is valid.
+router.post('/import', authenticateToken, requirePermission('employees.create'), uploadImportFile, async (req, res) => {
+  try {
+    const mode = req.query.mode || 'insert';
+    const dryRun = req.query.dry_run === 'true';
+
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${IMPORT_MODES.join(', ')}` });
+    }
+    if (mode === 'upsert' && !(await getUserPermissions(req)).includes('employees.update')) {
+      return res.status(403).json({ error: 'Insufficient permissions', required: ['employees.update'], missing: ['employees.update'] });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+    }
+
+    let rows;
+    try {
+      rows = await parseEmployeeFile(req.file);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not read file: ${error.message}` });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'The file has no data rows' });
+    }
+
+    const { valid, summary, rows: report, ...validation } = await validateEmployeeRows(rows, { mode });
+    const body = { dry_run: dryRun, mode, committed: false, summary, rows: report };
+
+    if (!valid) {
+      return res.status(422).json({ error: 'Import has invalid rows; nothing was imported', ...body });
+    }
+    if (dryRun) {
+      return res.json(body);
+    }
+
+    await commitEmployeeImport(validation, req.user.id);
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'IMPORT_EMPLOYEES',
+      details: { mode, file_name: req.file.originalname, ...summary },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: 'Employees imported successfully', ...body, committed: true });
+  } catch (error) {
+    console.error('Import employees error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update employee (admin/manager only)
-router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('employees.update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { custom_fields, ...updates } = req.body;
 
-    const success = await Employee.update(id, updates);
-    if (!success) {
+    if (!isValidCostRate(updates.cost_rate)) {
+      return res.status(400).json({ error: 'cost_rate must be a non-negative hourly rate or null' });
+    }
+
+    if (updates.email !== undefined) {
+      const emailTaken = await checkEmail(id, updates.email);
+      if (emailTaken) {
+        return res.status(emailTaken.status).json({ error: emailTaken.error, employee_id: emailTaken.employee_id });
+      }
+    }
+
+    if (updates.reports_to !== undefined) {
+      const invalid = await checkManager(id, updates.reports_to);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+    }
+
+    const customFields = await CustomField.findAll('employee');
+    const { values, errors } = validateCustomValues(customFields, custom_fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+    }
+
+    // A body with only custom fields leaves the built-in columns alone
+    const success = await Employee.update(id, updates, req.user.id);
+    if (success === false || (success === null && (values.length === 0 || !(await Employee.findById(id))))) {
       return res.status(404).json({ error: 'Employee not found' });
     }
+    await CustomField.setValues(id, values);
 
     const employee = await Employee.findById(id);
+    await attachCustomFields(customFields, [employee]);
     res.json({
       message: 'Employee updated successfully',
       employee
@@ -99,10 +736,10 @@ router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (
 });
 
 // Delete employee (admin only)
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('employees.delete'), async (req, res) => {
   try {
     const { id } = req.params;
-    const success = await Employee.delete(id);
+    const success = await Employee.delete(id, req.user.id);
 
     if (!success) {
       return res.status(404).json({ error: 'Employee not found' });
@@ -1,22 +1,22 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Finance: expenses, invoices, P/L, Razorpay webhook placeholder
-router.get('/overview', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('finance.read'), async (req, res) => {
   res.json({ module: 'finance', status: 'ok' });
 });
 
-router.get('/expenses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/expenses', authenticateToken, requirePermission('finance.read'), async (req, res) => {
   res.json({ items: [], count: 0 });
 });
 
-router.get('/invoices', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/invoices', authenticateToken, requirePermission('finance.read'), async (req, res) => {
   res.json({ items: [], count: 0 });
 });
 
-router.get('/profit-loss', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/profit-loss', authenticateToken, requirePermission('finance.read'), async (req, res) => {
   res.json({ revenue: 0, expenses: 0, profit: 0 });
 });
 
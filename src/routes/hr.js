@@ -1,30 +1,56 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission, requireEmployee } from '../middleware/auth.js';
+import { Employee } from '../models/Employee.js';
+import { LeaveRequest, LEAVE_TYPES } from '../models/LeaveRequest.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { isValidDate } from '../services/employeeHistoryService.js';
+import { TimeEntry, weekStartOf } from '../models/TimeEntry.js';
+import { Timesheet } from '../models/Timesheet.js';
+import { checkTimeEntry, getWeekLock } from '../services/timeTrackingService.js';
 
 const router = express.Router();
 
+// The caller's team: direct reports, or everyone below them with ?scope=all.
+// Callers without a linked employee record have no team.
+const getTeam = async (req) => {
+  const manager = req.employee;
+  if (!manager) return { manager: null, members: [] };
+
+  const members = req.query.scope === 'all'
+    ? await Employee.getSubtree(manager.id)
+    : await Employee.getDirectReports(manager.id);
+  return { manager, members };
+};
+
 // HR: Employee profiles, attendance, leave, payroll, recruitment
-router.get('/overview', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('hr.read'), async (req, res) => {
   res.json({ module: 'hr', status: 'ok' });
 });
 
-router.get('/employees', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/employees', authenticateToken, requirePermission('hr.read'), async (req, res) => {
   res.json({ items: [], count: 0 });
 });
 
-router.get('/attendance', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/attendance', authenticateToken, requirePermission('hr.read'), async (req, res) => {
   res.json({ records: [], count: 0 });
 });
 
-router.get('/leave', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
-  res.json({ requests: [], count: 0 });
+// All leave requests (?status=pending|approved|rejected|cancelled)
+router.get('/leave', authenticateToken, requirePermission('hr.read'), async (req, res) => {
+  try {
+    const requests = await LeaveRequest.findAll({ status: req.query.status || null });
+    res.json({ requests, count: requests.length });
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.get('/payroll', authenticateToken, requireRole('admin'), async (req, res) => {
+router.get('/payroll', authenticateToken, requirePermission('payroll.read'), async (req, res) => {
   res.json({ runs: [], count: 0 });
 });
 
-router.get('/recruitment', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/recruitment', authenticateToken, requirePermission('recruitment.read'), async (req, res) => {
   res.json({ applicants: [], count: 0 });
 });
 
@@ -32,7 +58,10 @@ router.get('/recruitment', authenticateToken, requireRole(['admin', 'manager']),
 router.get('/profile', authenticateToken, async (req, res) => {
   res.json({
     id: req.user.id,
-    phone: null,
+    employee_id: req.employee?.id ?? null,
+    department: req.employee?.department ?? null,
+    position: req.employee?.position ?? null,
+    phone: req.employee?.phone ?? null,
     personal_email: null,
     address: null,
     emergency_contact: null,
@@ -44,31 +73,203 @@ router.put('/profile', authenticateToken, async (req, res) => {
   res.json({ updated: true });
 });
 
-router.get('/leaves/balance', authenticateToken, async (req, res) => {
-  res.json({ casual: 0, sick: 0, earned: 0 });
+router.get('/leaves/balance', authenticateToken, requireEmployee, async (req, res) => {
+  res.json({ employee_id: req.employee.id, casual: 0, sick: 0, earned: 0 });
 });
 
-router.post('/leaves/apply', authenticateToken, async (req, res) => {
-  res.status(201).json({ id: null });
+// The caller's own leave requests
+router.get('/leaves', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const requests = await LeaveRequest.findAll({ employeeIds: [req.employee.id] });
+    res.json({ items: requests, count: requests.length });
+  } catch (error) {
+    console.error('Get my leave requests error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.get('/payslips', authenticateToken, async (req, res) => {
-  res.json({ items: [] });
+router.post('/leaves/apply', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { leave_type, start_date, end_date, reason = null } = req.body;
+
+    if (!LEAVE_TYPES.includes(leave_type)) {
+      return res.status(400).json({ error: `leave_type must be one of: ${LEAVE_TYPES.join(', ')}` });
+    }
+    if (!isValidDate(start_date) || !isValidDate(end_date) || end_date < start_date) {
+      return res.status(400).json({ error: 'start_date and end_date must be valid dates (YYYY-MM-DD) with end_date on or after start_date' });
+    }
+
+    const overlapping = await LeaveRequest.findOverlapping(req.employee.id, start_date, end_date);
+    if (overlapping) {
+      return res.status(409).json({
+        error: `These dates overlap your ${overlapping.status} leave from ${overlapping.start_date} to ${overlapping.end_date}`,
+        leave_request_id: overlapping.id
+      });
+    }
+
+    const id = await LeaveRequest.create({ employee_id: req.employee.id, leave_type, start_date, end_date, reason });
+    res.status(201).json({ id, request: await LeaveRequest.findById(id) });
+  } catch (error) {
+    console.error('Apply for leave error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel one of the caller's own pending or approved leave requests
+router.post('/leaves/:id/cancel', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const request = await LeaveRequest.findById(id);
+    if (!request || request.employee_id !== req.employee.id) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (!(await LeaveRequest.cancel(id, req.employee.id))) {
+      return res.status(409).json({ error: `Leave request is already ${request.status}` });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'CANCEL_LEAVE',
+      details: { leave_request_id: id, employee_id: request.employee_id, start_date: request.start_date, end_date: request.end_date },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Leave request cancelled', request: await LeaveRequest.findById(id) });
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/payslips', authenticateToken, requireEmployee, async (req, res) => {
+  res.json({ employee_id: req.employee.id, items: [] });
 });
 
 router.get('/attendance', authenticateToken, async (req, res) => {
   res.json({ records: [] });
 });
 
-router.post('/timesheets', authenticateToken, async (req, res) => {
-  res.status(201).json({ id: null });
+// The caller's week (?week=<any date in it>, default this week): entries and timesheet status
+router.get('/timesheets', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { week } = req.query;
+    if (week && !isValidDate(week)) {
+      return res.status(400).json({ error: 'week must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const weekStart = weekStartOf(week || new Date().toISOString().slice(0, 10));
+    const [entries, timesheet] = await Promise.all([
+      TimeEntry.findByWeek(req.employee.id, weekStart),
+      Timesheet.findByWeek(req.employee.id, weekStart)
+    ]);
+
+    const total = entries.reduce((sum, entry) => sum + entry.hours, 0);
+    const billable = entries.filter(entry => entry.billable).reduce((sum, entry) => sum + entry.hours, 0);
+    res.json({
+      week_start: weekStart,
+      status: timesheet ? timesheet.status : 'draft',
+      timesheet: timesheet || null,
+      total_hours: total,
+      billable_hours: billable,
+      entries
+    });
+  } catch (error) {
+    console.error('Get timesheet error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Log time for the caller on a project they are assigned to
+router.post('/timesheets', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { project_id, task_id = null, work_date, hours, billable = true, description = null } = req.body;
+    const invalid = await checkTimeEntry(req.employee.id, { project_id, task_id, work_date, hours, billable, description });
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    const id = await TimeEntry.create({ employee_id: req.employee.id, project_id, task_id, work_date, hours, billable, description });
+    res.status(201).json({ id, entry: await TimeEntry.findById(id) });
+  } catch (error) {
+    console.error('Log time error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change one of the caller's entries while its week is still editable
+router.put('/timesheets/entries/:id', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.id);
+    if (!entry || entry.employee_id !== req.employee.id) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+
+    const { project_id, task_id, work_date, hours, billable, description } = req.body;
+    const updates = { project_id, task_id, work_date, hours, billable, description };
+    const invalid = await checkTimeEntry(req.employee.id, updates, entry);
+    if (invalid) {
+      return res.status(invalid.status).json({ error: invalid.error });
+    }
+
+    await TimeEntry.update(entry.id, updates);
+    res.json({ message: 'Time entry updated successfully', entry: await TimeEntry.findById(entry.id) });
+  } catch (error) {
+    console.error('Update time entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/timesheets/entries/:id', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const entry = await TimeEntry.findById(req.params.id);
+    if (!entry || entry.employee_id !== req.employee.id) {
+      return res.status(404).json({ error: 'Time entry not found' });
+    }
+
+    const lock = await getWeekLock(req.employee.id, entry.work_date);
+    if (lock) {
+      return res.status(409).json({ error: `The timesheet for the week of ${entry.week_start} is ${lock} and can no longer be changed` });
+    }
+
+    await TimeEntry.delete(entry.id);
+    res.json({ message: 'Time entry deleted successfully' });
+  } catch (error) {
+    console.error('Delete time entry error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Submit the caller's week for approval; its entries are locked until a rejection
+router.post('/timesheets/submit', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const { week } = req.body;
+    if (!isValidDate(week)) {
+      return res.status(400).json({ error: 'week must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const weekStart = weekStartOf(week);
+    if ((await TimeEntry.findByWeek(req.employee.id, weekStart)).length === 0) {
+      return res.status(400).json({ error: 'There is no time logged for this week' });
+    }
+
+    if (!(await Timesheet.submit(req.employee.id, weekStart))) {
+      const existing = await Timesheet.findByWeek(req.employee.id, weekStart);
+      return res.status(409).json({ error: `The timesheet for this week is already ${existing.status}` });
+    }
+
+    res.json({ message: 'Timesheet submitted', timesheet: await Timesheet.findByWeek(req.employee.id, weekStart) });
+  } catch (error) {
+    console.error('Submit timesheet error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 router.post('/expenses', authenticateToken, async (req, res) => {
   res.status(201).json({ id: null });
 });
 
-router.get('/directory', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/directory', authenticateToken, requirePermission('hr.read'), async (req, res) => {
   res.json({ items: [] });
 });
 
@@ -84,15 +285,39 @@ router.get('/holidays', authenticateToken, async (req, res) => {
   res.json({ items: [] });
 });
 
-router.get('/manager/team', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
-  res.json({ items: [] });
+router.get('/manager/team', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const { members } = await getTeam(req);
+    res.json({ items: members, count: members.length });
+  } catch (error) {
+    console.error('Get team error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.get('/manager/approvals', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
-  res.json({ items: [] });
+router.get('/manager/approvals', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const { members } = await getTeam(req);
+    const employeeIds = members.map(m => m.id);
+    // Expenses are still a placeholder
+    const [leave, timesheets] = await Promise.all([
+      LeaveRequest.findAll({ employeeIds, status: 'pending' }),
+      Timesheet.findSubmitted(employeeIds)
+    ]);
+    res.json({
+      items: [
+        ...leave.map(request => ({ type: 'leave', ...request })),
+        ...timesheets.map(timesheet => ({ type: 'timesheet', ...timesheet }))
+      ],
+      employee_ids: employeeIds
+    });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-router.get('/manager/calendar', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/manager/calendar', authenticateToken, requirePermission('team.manage'), async (req, res) => {
   res.json({ items: [] });
 });
 
@@ -100,7 +325,7 @@ router.get('/performance/goals', authenticateToken, async (req, res) => {
   res.json({ items: [] });
 });
 
-router.get('/performance/reviews', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/performance/reviews', authenticateToken, requirePermission('performance.review'), async (req, res) => {
   res.json({ items: [] });
 });
 
@@ -108,6 +333,86 @@ router.get('/performance/trainings', authenticateToken, async (req, res) => {
   res.json({ items: [] });
 });
 
+// Approve or reject a pending leave request from someone in the caller's reporting line
+router.post('/manager/approvals/leave/:id', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be approved or rejected' });
+    }
+
+    const request = await LeaveRequest.findById(id);
+    if (!request) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    const team = req.employee ? await Employee.getSubtree(req.employee.id) : [];
+    if (!team.some(member => member.id === request.employee_id)) {
+      return res.status(403).json({ error: 'You can only decide leave for people who report to you' });
+    }
+
+    if (!(await LeaveRequest.decide(id, decision, req.user.id))) {
+      return res.status(409).json({ error: `Leave request is already ${request.status}` });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: decision === 'approved' ? 'APPROVE_LEAVE' : 'REJECT_LEAVE',
+      details: { leave_request_id: id, employee_id: request.employee_id, start_date: request.start_date, end_date: request.end_date },
+      ip_address: req.ip
+    });
+
+    res.json({ message: `Leave request ${decision}`, request: await LeaveRequest.findById(id) });
+  } catch (error) {
+    console.error('Decide leave request error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve or reject a submitted timesheet from someone in the caller's reporting line.
+// Approved weeks stay locked; rejected weeks can be corrected and submitted again.
+router.post('/manager/approvals/timesheet/:id', authenticateToken, requirePermission('team.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { decision, note = null } = req.body;
+
+    if (!['approved', 'rejected'].includes(decision)) {
+      return res.status(400).json({ error: 'decision must be approved or rejected' });
+    }
+    if (note && String(note).length > 500) {
+      return res.status(400).json({ error: 'note must be at most 500 characters' });
+    }
+
+    const timesheet = await Timesheet.findById(id);
+    if (!timesheet) {
+      return res.status(404).json({ error: 'Timesheet not found' });
+    }
+
+    const team = req.employee ? await Employee.getSubtree(req.employee.id) : [];
+    if (!team.some(member => member.id === timesheet.employee_id)) {
+      return res.status(403).json({ error: 'You can only decide timesheets for people who report to you' });
+    }
+
+    if (!(await Timesheet.decide(id, decision, req.user.id, note))) {
+      return res.status(409).json({ error: `Timesheet is already ${timesheet.status}` });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: decision === 'approved' ? 'APPROVE_TIMESHEET' : 'REJECT_TIMESHEET',
+      details: { timesheet_id: id, employee_id: timesheet.employee_id, week_start: timesheet.week_start, total_hours: timesheet.total_hours },
+      ip_address: req.ip
+    });
+
+    res.json({ message: `Timesheet ${decision}`, timesheet: await Timesheet.findById(id) });
+  } catch (error) {
+    console.error('Decide timesheet error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 export default router;
 
 
@@ -1,22 +1,22 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Operations: meetings, resources, notifications
-router.get('/overview', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('operations.read'), async (req, res) => {
   res.json({ module: 'operations', status: 'ok' });
 });
 
-router.get('/meetings', authenticateToken, requireRole(['admin', 'manager', 'employee']), async (req, res) => {
+router.get('/meetings', authenticateToken, requirePermission('meetings.read'), async (req, res) => {
   res.json({ items: [], count: 0 });
 });
 
-router.get('/resources', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/resources', authenticateToken, requirePermission('operations.read'), async (req, res) => {
   res.json({ items: [], count: 0 });
 });
 
-router.post('/notifications/test', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.post('/notifications/test', authenticateToken, requirePermission('notifications.send'), async (req, res) => {
   res.json({ sent: true });
 });
 
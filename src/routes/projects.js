@@ -1,36 +1,92 @@
 import express from 'express';
 import { Project } from '../models/Project.js';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { Employee } from '../models/Employee.js';
+import { authenticateToken, authenticateOptional, guardIncludeDeleted, requirePermission, requireEmployee, getUserPermissions, hasPermission } from '../middleware/auth.js';
+import { parseListQuery, buildPagination } from '../utils/listQuery.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { EXPORT_FORMATS, parseExportColumns, streamExport } from '../services/exportService.js';
+import { CustomField } from '../models/CustomField.js';
+import { validateCustomValues, withCustomFieldFilters, withCustomFieldColumns, attachCustomFields } from '../services/customFieldService.js';
+import { parseSkillRequirements, findStaffingCandidates } from '../services/staffingService.js';
+import { isValidDate } from '../services/employeeHistoryService.js';
+import { Task, TASK_STATUSES, TASK_PRIORITIES } from '../models/Task.js';
+import { Milestone } from '../models/Milestone.js';
+import { TaskDependency } from '../models/TaskDependency.js';
+import { getProjectSchedule, previewTaskMove } from '../services/scheduleService.js';
+import { TimeEntry } from '../models/TimeEntry.js';
+import { parseRollupQuery } from '../services/timeTrackingService.js';
+import { ProjectExpense } from '../models/ProjectExpense.js';
+import { getBudgetSummary, getBudgetPortfolio } from '../services/projectBudgetService.js';
+import { findOverallocatedWeeks, parseCapacityRange, getCapacityHeatmap } from '../services/capacityService.js';
+import { INITIAL_PROJECT_STATUSES, getAllowedTransitions, transitionProjectStatus } from '../services/projectStatusService.js';
+import { ProjectStatusHistory } from '../models/ProjectStatusHistory.js';
 
 const router = express.Router();
 
-// Get all projects (with pagination) — temporarily public for dashboard
-router.get('/', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = (page - 1) * limit;
-    const status = req.query.status;
+// Checks task fields against the project (and the task being updated, if any); returns an error message or null
+const checkTaskFields = async (projectId, current, body) => {
+  if (body.title !== undefined && (!body.title || String(body.title).length > 255)) {
+    return 'title is required (max 255 characters)';
+  }
+  if (body.status !== undefined && !TASK_STATUSES.includes(body.status)) {
+    return `status must be one of: ${TASK_STATUSES.join(', ')}`;
+  }
+  if (body.priority !== undefined && !TASK_PRIORITIES.includes(body.priority)) {
+    return `priority must be one of: ${TASK_PRIORITIES.join(', ')}`;
+  }
+  for (const field of ['start_date', 'due_date']) {
+    if (body[field] && !isValidDate(body[field])) {
+      return `${field} must be a valid date (YYYY-MM-DD)`;
+    }
+  }
+  const startDate = body.start_date !== undefined ? body.start_date : current?.start_date;
+  const dueDate = body.due_date !== undefined ? body.due_date : current?.due_date;
+  if (startDate && dueDate && startDate > dueDate) {
+    return 'start_date must be on or before due_date';
+  }
+  if (body.assignee_id && !(await Project.isAssigned(projectId, body.assignee_id))) {
+    return 'assignee_id must be an employee currently assigned to this project';
+  }
+  if (body.milestone_id && !(await Milestone.findById(projectId, body.milestone_id))) {
+    return 'milestone_id must be a milestone of this project';
+  }
+  if (body.parent_task_id) {
+    if (!(await Task.findById(projectId, body.parent_task_id))) {
+      return 'parent_task_id must be a task of this project';
+    }
+    if (current && (await Task.wouldCreateCycle(current.id, body.parent_task_id))) {
+      return 'parent_task_id would make the task its own ancestor';
+    }
+  }
+  return null;
+};
 
-    let projects;
-    let total;
+// Checks a milestone body; returns an error message or null
+const checkMilestoneFields = (body, partial = false) => {
+  if ((!partial || body.name !== undefined) && (!body.name || String(body.name).length > 255)) {
+    return 'name is required (max 255 characters)';
+  }
+  if (body.due_date && !isValidDate(body.due_date)) {
+    return 'due_date must be a valid date (YYYY-MM-DD)';
+  }
+  return null;
+};
 
-    if (status) {
-      projects = await Project.findByStatus(status, limit, offset);
-      total = projects.length;
-    } else {
-      projects = await Project.findAll(limit, offset);
-      total = await Project.count();
+// Get all projects (search, filter, sort, pagination) — temporarily public for dashboard
+router.get('/', authenticateOptional, guardIncludeDeleted, async (req, res) => {
+  try {
+    const customFields = await CustomField.findAll('project');
+    const listQuery = parseListQuery(req.query, withCustomFieldFilters(Project.listQuerySpec, customFields, 'p'));
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
     }
 
+    const { rows, total } = await Project.search(listQuery);
+    await attachCustomFields(customFields, rows);
+
     res.json({
-      projects,
-      pagination: {
-        page,
-        limit,
-        total,
-        pages: Math.ceil(total / limit)
-      }
+      projects: rows,
+      pagination: buildPagination(listQuery, total)
     });
   } catch (error) {
     console.error('Get projects error:', error);
@@ -38,11 +94,176 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Export projects as CSV, XLSX or JSON (?format=csv|xlsx|json, ?columns=a,b).
+// Takes the same search, filter and sort parameters as the list route.
+router.get('/export', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const customFields = await CustomField.findAll('project');
+    const listQuery = parseListQuery(req.query, withCustomFieldFilters(Project.listQuerySpec, customFields, 'p'));
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const available = withCustomFieldColumns(Project.exportColumns, customFields, 'p');
+    const { columns, error } = parseExportColumns(req.query.columns, available);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rowCount = await streamExport(res, {
+      format,
+      filename: `projects-${new Date().toISOString().slice(0, 10)}`,
+      columns,
+      ...Project.exportQuery(listQuery, columns, available)
+    });
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'EXPORT_PROJECTS',
+      details: { format, columns, filters: req.query, rows: rowCount },
+      ip_address: req.ip
+    });
+  } catch (error) {
+    console.error('Export projects error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export project assignments as CSV, XLSX or JSON (?format=csv|xlsx|json, ?columns=a,b).
+// Filters: project_id, employee_id, project_status, department, assigned_at_from/_to; ?include_ended=true adds ended assignments.
+router.get('/assignments/export', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const listQuery = parseListQuery(req.query, Project.assignmentListQuerySpec);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { columns, error } = parseExportColumns(req.query.columns, Project.assignmentExportColumns);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rowCount = await streamExport(res, {
+      format,
+      filename: `project-assignments-${new Date().toISOString().slice(0, 10)}`,
+      columns,
+      ...Project.assignmentExportQuery(listQuery, columns, req.query.include_ended === 'true')
+    });
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'EXPORT_PROJECT_ASSIGNMENTS',
+      details: { format, columns, filters: req.query, rows: rowCount },
+      ip_address: req.ip
+    });
+  } catch (error) {
+    console.error('Export project assignments error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tasks assigned to the caller across all projects (same filters as the project task list)
+router.get('/tasks/mine', authenticateToken, requireEmployee, async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, Task.listQuerySpec);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { rows, total } = await Task.search(listQuery, { assigneeId: req.employee.id });
+    res.json({ tasks: rows, pagination: buildPagination(listQuery, total) });
+  } catch (error) {
+    console.error('Get my tasks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Open tasks past their due date, across projects (?project_id=, ?assignee_id=, ...)
+router.get('/tasks/overdue', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const listQuery = parseListQuery(req.query, Task.listQuerySpec);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { rows, total } = await Task.search(listQuery, { overdue: true });
+    res.json({ tasks: rows, pagination: buildPagination(listQuery, total) });
+  } catch (error) {
+    console.error('Get overdue tasks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Budget vs. actual for all live projects, highest burn first (?status=, ?alert=warning|critical)
+router.get('/reports/budget', authenticateToken, requirePermission('finance.read'), async (req, res) => {
+  try {
+    const { status = null, alert = null } = req.query;
+    if (alert && !['warning', 'critical'].includes(alert)) {
+      return res.status(400).json({ error: 'alert must be warning or critical' });
+    }
+    if (status && !Project.listQuerySpec.filters.status.values.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Project.listQuerySpec.filters.status.values.join(', ')}` });
+    }
+
+    res.json(await getBudgetPortfolio({ status, alertLevel: alert }));
+  } catch (error) {
+    console.error('Budget report error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Capacity heatmap: allocation % per week over live assignments
+// (?from=&to=, default the next 12 weeks; ?department=; ?group=employee|department)
+router.get('/capacity', authenticateToken, requirePermission('projects.assign'), async (req, res) => {
+  try {
+    const range = parseCapacityRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+    const { group = 'employee', department = null } = req.query;
+    if (!['employee', 'department'].includes(group)) {
+      return res.status(400).json({ error: 'group must be employee or department' });
+    }
+
+    res.json(await getCapacityHeatmap({ ...range, department, groupBy: group }));
+  } catch (error) {
+    console.error('Capacity heatmap error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Custom fields defined for projects (for building forms and filters)
+router.get('/custom-fields', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const fields = await CustomField.findAll('project');
+    res.json({ items: fields, count: fields.length });
+  } catch (error) {
+    console.error('Get project custom fields error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get project by ID — temporarily public for dashboard
-router.get('/:id', async (req, res) => {
+router.get('/:id', authenticateOptional, guardIncludeDeleted, async (req, res) => {
   try {
     const { id } = req.params;
-    const project = await Project.findById(id);
+    const project = await Project.findById(id, { includeDeleted: req.query.include === 'deleted' });
 
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
@@ -51,6 +272,12 @@ router.get('/:id', async (req, res) => {
     // Get project assignments
     const assignments = await Project.getProjectAssignments(id);
     project.assignments = assignments;
+    await attachCustomFields(await CustomField.findAll('project'), [project]);
+    // Costs derive from salaries and timesheets: only for callers who can see finance data
+    if (await hasPermission(req, 'finance.read')) {
+      project.budget_summary = await getBudgetSummary(project);
+    }
+    project.allowed_status_transitions = getAllowedTransitions(project.status);
 
     res.json(project);
   } catch (error) {
@@ -60,15 +287,28 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new project (admin/manager only)
-router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('projects.create'), async (req, res) => {
   try {
+    const { custom_fields, ...body } = req.body;
     const projectData = {
-      ...req.body,
+      ...body,
       created_by: req.user.id
     };
 
+    if (body.status !== undefined && !INITIAL_PROJECT_STATUSES.includes(body.status)) {
+      return res.status(400).json({ error: `A new project must start as ${INITIAL_PROJECT_STATUSES.join(' or ')}` });
+    }
+
+    const customFields = await CustomField.findAll('project');
+    const { values, errors } = validateCustomValues(customFields, custom_fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+    }
+
     const projectId = await Project.create(projectData);
+    await CustomField.setValues(projectId, values);
     const project = await Project.findById(projectId);
+    await attachCustomFields(customFields, [project]);
 
     res.status(201).json({
       message: 'Project created successfully',
@@ -80,18 +320,41 @@ router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (re
   }
 });
 
-// Update project (admin/manager only)
-router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+// Update project (admin/manager only). Status is changed through POST /:id/status; sending the
+// current status back unchanged is accepted and ignored.
+router.put('/:id', authenticateToken, requirePermission('projects.update'), async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
+    const { custom_fields, status, ...updates } = req.body;
+
+    if (status !== undefined) {
+      const current = await Project.findById(id);
+      if (!current) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (status !== current.status) {
+        return res.status(400).json({ error: 'Status cannot be changed here; use POST /api/projects/:id/status' });
+      }
+    }
 
+    const customFields = await CustomField.findAll('project');
+    const { values, errors } = validateCustomValues(customFields, custom_fields, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid custom fields', details: errors });
+    }
+
+    // A body with only custom fields leaves the built-in columns alone
     const success = await Project.update(id, updates);
-    if (!success) {
+    if (success === false || (success === null && !(await Project.findById(id)))) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    if (success === null && values.length === 0 && status === undefined) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+    await CustomField.setValues(id, values);
 
     const project = await Project.findById(id);
+    await attachCustomFields(customFields, [project]);
     res.json({
       message: 'Project updated successfully',
       project
@@ -102,11 +365,57 @@ router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (
   }
 });
 
+// Move the project to another status ({ status, reason }); reasons are required for on_hold and cancelled
+router.post('/:id/status', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason = null } = req.body;
+
+    const result = await transitionProjectStatus(id, status, { reason, changedBy: req.user.id });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, ...(result.allowed && { allowed: result.allowed }) });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'CHANGE_PROJECT_STATUS',
+      details: { project_id: id, from_status: result.from_status, to_status: result.to_status, reason },
+      ip_address: req.ip
+    });
+
+    const project = await Project.findById(id);
+    res.json({
+      message: `Project moved to ${result.to_status}`,
+      project: { ...project, allowed_status_transitions: getAllowedTransitions(project.status) },
+      transition: result
+    });
+  } catch (error) {
+    console.error('Change project status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Status changes of a project, newest first
+router.get('/:id/status-history', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id, { includeDeleted: true }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const history = await ProjectStatusHistory.findByProject(id);
+    res.json({ items: history, count: history.length });
+  } catch (error) {
+    console.error('Get project status history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Delete project (admin only)
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('projects.delete'), async (req, res) => {
   try {
     const { id } = req.params;
-    const success = await Project.delete(id);
+    const success = await Project.delete(id, req.user.id);
 
     if (!success) {
       return res.status(404).json({ error: 'Project not found' });
@@ -119,21 +428,48 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
   }
 });
 
-// Assign employee to project
-router.post('/:id/assign', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+// Assign employee to project (or change their allocation). Going over 100% in any week is
+// rejected with the offending weeks, unless allow_overallocation is set; then it is only a warning.
+router.post('/:id/assign', authenticateToken, requirePermission('projects.assign'), async (req, res) => {
   try {
     const { id: projectId } = req.params;
-    const { employee_id, role } = req.body;
+    const { employee_id, role, allocation_pct = 100, start_date = null, end_date = null, allow_overallocation = false } = req.body;
 
     if (!employee_id) {
       return res.status(400).json({ error: 'Employee ID is required' });
     }
+    if (!Number.isInteger(allocation_pct) || allocation_pct < 1 || allocation_pct > 100) {
+      return res.status(400).json({ error: 'allocation_pct must be a whole number between 1 and 100' });
+    }
+    if ((start_date && !isValidDate(start_date)) || (end_date && !isValidDate(end_date)) ||
+      (start_date && end_date && end_date < start_date)) {
+      return res.status(400).json({ error: 'start_date and end_date must be valid dates (YYYY-MM-DD) with end_date on or after start_date' });
+    }
+
+    if (!(await Project.findById(projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!(await Employee.findById(employee_id))) {
+      return res.status(400).json({ error: 'Employee not found' });
+    }
+
+    const overallocated = await findOverallocatedWeeks(employee_id, { project_id: projectId, allocation_pct, start_date, end_date });
+    if (overallocated.length > 0 && allow_overallocation !== true) {
+      return res.status(409).json({
+        error: `This assignment would put the employee over 100% in ${overallocated.length} week(s)`,
+        overallocated_weeks: overallocated
+      });
+    }
 
-    const assignmentId = await Project.assignEmployee(projectId, employee_id, role);
+    const assignmentId = await Project.assignEmployee(projectId, employee_id, role, { allocation_pct, start_date, end_date });
     
     res.status(201).json({
       message: 'Employee assigned to project successfully',
-      assignment_id: assignmentId
+      assignment_id: assignmentId,
+      ...(overallocated.length > 0 && {
+        warnings: [`The employee is over 100% allocated in ${overallocated.length} week(s)`],
+        overallocated_weeks: overallocated
+      })
     });
   } catch (error) {
     console.error('Assign employee error:', error);
@@ -141,8 +477,444 @@ router.post('/:id/assign', authenticateToken, requireRole(['admin', 'manager']),
   }
 });
 
+// Rank employees for the project by required skills and weekly allocation
+// (?skills=React:4,SQL:2, ?from=&to= to override the project dates, ?department=, ?limit=)
+router.get('/:id/staffing', authenticateToken, requirePermission('projects.assign'), async (req, res) => {
+  try {
+    const { requirements, error } = await parseSkillRequirements(req.query.skills);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const result = await findStaffingCandidates(req.params.id, requirements, {
+      from: req.query.from,
+      to: req.query.to,
+      department: req.query.department || null,
+      limit
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Staffing search error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Milestones of a project with their completion percentage
+router.get('/:id/milestones', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const milestones = await Milestone.findByProject(id);
+    res.json({ items: milestones, count: milestones.length });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/:id/milestones', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const invalid = checkMilestoneFields(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { name, description = null, due_date = null } = req.body;
+    const milestoneId = await Milestone.create({ project_id: id, name, description, due_date, created_by: req.user.id });
+
+    res.status(201).json({ message: 'Milestone created successfully', milestone: await Milestone.findById(id, milestoneId) });
+  } catch (error) {
+    console.error('Create milestone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/:id/milestones/:milestoneId', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, milestoneId } = req.params;
+    if (!(await Project.findById(id)) || !(await Milestone.findById(id, milestoneId))) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    const invalid = checkMilestoneFields(req.body, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { name, description, due_date } = req.body;
+    await Milestone.update(milestoneId, { name, description, due_date });
+
+    res.json({ message: 'Milestone updated successfully', milestone: await Milestone.findById(id, milestoneId) });
+  } catch (error) {
+    console.error('Update milestone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deleting a milestone keeps its tasks, without a milestone
+router.delete('/:id/milestones/:milestoneId', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, milestoneId } = req.params;
+    if (!(await Milestone.findById(id, milestoneId))) {
+      return res.status(404).json({ error: 'Milestone not found' });
+    }
+
+    await Milestone.delete(milestoneId);
+    res.json({ message: 'Milestone deleted successfully' });
+  } catch (error) {
+    console.error('Delete milestone error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tasks of a project (search, filter, sort, pagination — see Task.listQuerySpec)
+router.get('/:id/tasks', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const listQuery = parseListQuery(req.query, Task.listQuerySpec);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
+
+    const { rows, total } = await Task.search(listQuery, { projectId: id });
+    res.json({ tasks: rows, pagination: buildPagination(listQuery, total) });
+  } catch (error) {
+    console.error('Get tasks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.get('/:id/tasks/:taskId', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    const task = await Task.findById(id, taskId);
+    if (!task || !(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(task);
+  } catch (error) {
+    console.error('Get task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/:id/tasks', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const invalid = await checkTaskFields(id, null, { ...req.body, title: req.body.title ?? '' });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { title, description, milestone_id, parent_task_id, assignee_id, status, priority, start_date, due_date } = req.body;
+    const taskId = await Task.create({
+      project_id: id,
+      title,
+      description,
+      milestone_id,
+      parent_task_id,
+      assignee_id,
+      status,
+      priority,
+      start_date,
+      due_date,
+      created_by: req.user.id
+    });
+
+    res.status(201).json({ message: 'Task created successfully', task: await Task.findById(id, taskId) });
+  } catch (error) {
+    console.error('Create task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a task. The assignee may change the status of their own task without projects.update.
+// When the dates change, the response lists the downstream tasks and milestones that slip.
+router.put('/:id/tasks/:taskId', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    const task = await Task.findById(id, taskId);
+    if (!task || !(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { title, description, milestone_id, parent_task_id, assignee_id, status, priority, start_date, due_date } = req.body;
+    const updates = { title, description, milestone_id, parent_task_id, assignee_id, status, priority, start_date, due_date };
+
+    if (!(await getUserPermissions(req)).includes('projects.update')) {
+      const isAssignee = req.employee && req.employee.id === task.assignee_id;
+      const others = Object.keys(updates).filter(key => key !== 'status' && updates[key] !== undefined);
+      if (!isAssignee || others.length > 0) {
+        return res.status(403).json({ error: 'Insufficient permissions', required: ['projects.update'], missing: ['projects.update'] });
+      }
+    }
+
+    const invalid = await checkTaskFields(id, task, updates);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const datesChanged = (start_date !== undefined && start_date !== task.start_date) ||
+      (due_date !== undefined && due_date !== task.due_date);
+    const impact = datesChanged ? await previewTaskMove(id, taskId, { start_date, due_date }) : null;
+
+    await Task.update(taskId, updates);
+    res.json({
+      message: 'Task updated successfully',
+      task: await Task.findById(id, taskId),
+      ...(impact && { impact })
+    });
+  } catch (error) {
+    console.error('Update task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Hours logged on the project, billable and non-billable
+// (?group=employee|task|week, ?from=&to=, ?approved_only=true for approved timesheets only)
+router.get('/:id/time', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const rollup = parseRollupQuery(req.query, ['employee', 'task', 'week']);
+    if (rollup.error) {
+      return res.status(400).json({ error: rollup.error });
+    }
+
+    const { totals, groups } = await TimeEntry.rollup({ ...rollup, projectId: id });
+    res.json({ project_id: id, group: rollup.groupBy, from: rollup.from, to: rollup.to, approved_only: rollup.approvedOnly, totals, groups });
+  } catch (error) {
+    console.error('Get project time error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Non-labour costs booked against the project
+router.get('/:id/expenses', authenticateToken, requirePermission('finance.read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const expenses = await ProjectExpense.findByProject(id);
+    res.json({ items: expenses, count: expenses.length });
+  } catch (error) {
+    console.error('Get project expenses error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/:id/expenses', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await Project.findById(id))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const { expense_date, amount, category = null, description = null } = req.body;
+    if (!isValidDate(expense_date)) {
+      return res.status(400).json({ error: 'expense_date must be a valid date (YYYY-MM-DD)' });
+    }
+    if (typeof amount !== 'number' || !(amount > 0) || amount >= 1e10) {
+      return res.status(400).json({ error: 'amount must be a positive number' });
+    }
+    if ((category && String(category).length > 100) || (description && String(description).length > 500)) {
+      return res.status(400).json({ error: 'category must be at most 100 and description at most 500 characters' });
+    }
+
+    const expenseId = await ProjectExpense.create({ project_id: id, expense_date, amount, category, description, created_by: req.user.id });
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'CREATE_PROJECT_EXPENSE',
+      details: { project_id: id, expense_id: expenseId, amount, expense_date },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: 'Expense recorded successfully', expense: await ProjectExpense.findById(id, expenseId) });
+  } catch (error) {
+    console.error('Create project expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:id/expenses/:expenseId', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, expenseId } = req.params;
+    const expense = await ProjectExpense.findById(id, expenseId);
+    if (!expense || !(await ProjectExpense.delete(expenseId))) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'DELETE_PROJECT_EXPENSE',
+      details: { project_id: id, expense_id: expenseId, amount: expense.amount, expense_date: expense.expense_date },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Expense deleted successfully' });
+  } catch (error) {
+    console.error('Delete project expense error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Gantt payload: early/late dates, slack and the critical path of the project's tasks
+router.get('/:id/schedule', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const schedule = await getProjectSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    console.error('Get project schedule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dry run: which downstream tasks and milestones would slip if the task got these dates
+router.post('/:id/tasks/:taskId/impact', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    const task = await Task.findById(id, taskId);
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    const { start_date, due_date } = req.body;
+    if (start_date === undefined && due_date === undefined) {
+      return res.status(400).json({ error: 'start_date or due_date is required' });
+    }
+    const invalid = await checkTaskFields(id, task, { start_date, due_date });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const impact = await previewTaskMove(id, taskId, { start_date, due_date });
+    if (!impact) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(impact);
+  } catch (error) {
+    console.error('Task impact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Direct predecessors and successors of a task
+router.get('/:id/tasks/:taskId/dependencies', authenticateToken, requirePermission('projects.read'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    if (!(await Task.findById(id, taskId))) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(await TaskDependency.findByTask(taskId));
+  } catch (error) {
+    console.error('Get task dependencies error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make the task wait for another task of the project to finish (finish-to-start, optional lag in days)
+router.post('/:id/tasks/:taskId/dependencies', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    const { predecessor_id, lag_days = 0 } = req.body;
+    if (!(await Task.findById(id, taskId))) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+    if (!predecessor_id || !(await Task.findById(id, predecessor_id))) {
+      return res.status(400).json({ error: 'predecessor_id must be a task of this project' });
+    }
+    if (!Number.isInteger(lag_days) || lag_days < -365 || lag_days > 365) {
+      return res.status(400).json({ error: 'lag_days must be an integer between -365 and 365' });
+    }
+    if (await TaskDependency.wouldCreateCycle(predecessor_id, taskId)) {
+      return res.status(409).json({ error: 'This dependency would create a cycle' });
+    }
+
+    try {
+      await TaskDependency.create({ predecessor_id, successor_id: taskId, lag_days, created_by: req.user.id });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: 'Dependency already exists' });
+      }
+      throw error;
+    }
+
+    res.status(201).json({ message: 'Dependency added successfully', ...(await TaskDependency.findByTask(taskId)) });
+  } catch (error) {
+    console.error('Add task dependency error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.delete('/:id/tasks/:taskId/dependencies/:predecessorId', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, taskId, predecessorId } = req.params;
+    if (!(await Task.findById(id, taskId)) || !(await TaskDependency.delete(predecessorId, taskId))) {
+      return res.status(404).json({ error: 'Dependency not found' });
+    }
+
+    res.json({ message: 'Dependency removed successfully' });
+  } catch (error) {
+    console.error('Remove task dependency error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deleting a task also deletes its subtasks
+router.delete('/:id/tasks/:taskId', authenticateToken, requirePermission('projects.update'), async (req, res) => {
+  try {
+    const { id, taskId } = req.params;
+    if (!(await Task.findById(id, taskId))) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    await Task.delete(taskId);
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    console.error('Delete task error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Remove employee from project
-router.delete('/:id/assign/:employee_id', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.delete('/:id/assign/:employee_id', authenticateToken, requirePermission('projects.assign'), async (req, res) => {
   try {
     const { id: projectId, employee_id } = req.params;
     const success = await Project.removeEmployeeAssignment(projectId, employee_id);
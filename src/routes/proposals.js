@@ -1,14 +1,15 @@
 import express from 'express';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, guardIncludeDeleted, requirePermission } from '../middleware/auth.js';
 import { Proposal } from '../models/Proposal.js';
 import { AuditLog } from '../models/AuditLog.js';
 
 const router = express.Router();
 
 // Get all proposals
-router.get('/', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/', authenticateToken, requirePermission('proposals.read'), guardIncludeDeleted, async (req, res) => {
   try {
-    const proposals = await Proposal.findAll();
+    // ?include=deleted also lists soft-deleted proposals (trash.manage only)
+    const proposals = await Proposal.findAll({ includeDeleted: req.query.include === 'deleted' });
     res.json(proposals);
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch proposals' });
@@ -16,7 +17,7 @@ router.get('/', authenticateToken, requireRole(['admin', 'manager']), async (req
 });
 
 // Create proposal
-router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/', authenticateToken, requirePermission('proposals.write'), async (req, res) => {
   try {
     const { title, description, client_name, value, status } = req.body;
 
@@ -44,7 +45,7 @@ router.post('/', authenticateToken, requireRole(['admin', 'manager']), async (re
 });
 
 // Update proposal
-router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.put('/:id', authenticateToken, requirePermission('proposals.write'), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -69,10 +70,10 @@ router.put('/:id', authenticateToken, requireRole(['admin', 'manager']), async (
 });
 
 // Delete proposal
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('proposals.delete'), async (req, res) => {
   try {
     const { id } = req.params;
-    const success = await Proposal.delete(id);
+    const success = await Proposal.delete(id, req.user.id);
 
     if (!success) {
       return res.status(404).json({ error: 'Proposal not found' });
@@ -1,10 +1,11 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
-import { authenticateToken, requireRole } from '../middleware/auth.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
 import db from '../config/database.js'; // Assuming this provides the database connection pool
 import { google } from 'googleapis';
 import { FormResponse } from '../models/FormResponse.js';
 import { SheetsService } from '../services/sheets.js';
+import { getGoogleClient, getGoogleAuthUrl } from '../services/tokenVault.js';
 
 const router = express.Router();
 
@@ -68,12 +69,12 @@ async function createQuestionnaireInDB(questionnaireData, userId) {
 // --- ACTUAL ROUTE IMPLEMENTATION ---
 
 // GET /api/questionnaires/overview
-router.get('/overview', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/overview', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   res.json({ module: 'questionnaires', status: 'ok' });
 });
 
 // GET /api/questionnaires/forms
-router.get('/forms', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/forms', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   try {
     const [rows] = await db.execute(
       'SELECT id, title, description, purpose, created_at, google_form_id, google_form_url FROM questionnaires ORDER BY created_at DESC'
@@ -86,7 +87,7 @@ router.get('/forms', authenticateToken, requireRole(['admin', 'manager']), async
 });
 
 // GET /api/questionnaires/:id/questions - Get questions for a questionnaire
-router.get('/:id/questions', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/:id/questions', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   const questionnaireId = req.params.id;
 
   try {
@@ -105,9 +106,9 @@ router.get('/:id/questions', authenticateToken, requireRole(['admin', 'manager']
 
 /**
  * POST /api/questionnaires/forms - Create a New Questionnaire
- * Requires admin/manager role.
+ * Requires the questionnaires.write permission.
  */
-router.post('/forms', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/forms', authenticateToken, requirePermission('questionnaires.write'), async (req, res) => {
   // Check if req.user exists and has a primary identifier
   const userId = req.user?.id || req.user?.employeeId; // Adjust based on your auth middleware
   if (!userId) {
@@ -130,7 +131,7 @@ router.post('/forms', authenticateToken, requireRole(['admin', 'manager']), asyn
 });
 
 // POST /api/questionnaires/:id/convert - Convert to Google Form
-router.post('/:id/convert', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/:id/convert', authenticateToken, requirePermission('questionnaires.write'), async (req, res) => {
   const questionnaireId = req.params.id;
   const userId = req.user.id;
 
@@ -140,50 +141,16 @@ router.post('/:id/convert', authenticateToken, requireRole(['admin', 'manager'])
 
   try {
     // 1. Check for Google Token
-    const [tokens] = await db.execute(
-      'SELECT access_token, refresh_token, expiry_date FROM oauth_tokens WHERE user_id = ?',
-      [userId]
-    );
+    const oauth2Client = await getGoogleClient(userId);
 
-    if (tokens.length === 0) {
+    if (!oauth2Client) {
       // No token found, user needs to authenticate
-      // Generate the Google Auth URL directly here
-      const oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-      );
-
-      const scopes = [
-        'https://www.googleapis.com/auth/forms.body',
-        'https://www.googleapis.com/auth/drive.file'
-      ];
-
-      const url = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: scopes,
-        state: userId
-      });
-
       return res.status(401).json({
         message: 'Google authentication required',
-        authUrl: url
+        authUrl: getGoogleAuthUrl(userId)
       });
     }
 
-    const tokenData = tokens[0];
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expiry_date: tokenData.expiry_date
-    });
-
     // 2. Fetch Questionnaire Data
     const [questionnaireRows] = await db.execute(
       'SELECT * FROM questionnaires WHERE id = ?',
@@ -310,20 +277,7 @@ router.post('/:id/convert', authenticateToken, requireRole(['admin', 'manager'])
     });
     if (error.code === 401 || (error.response && error.response.status === 401)) {
       // Regenerate auth URL for re-authentication
-      const oauth2Client = new google.auth.OAuth2(
-        process.env.GOOGLE_CLIENT_ID,
-        process.env.GOOGLE_CLIENT_SECRET,
-        process.env.GOOGLE_REDIRECT_URI
-      );
-      const scopes = [
-        'https://www.googleapis.com/auth/forms.body',
-        'https://www.googleapis.com/auth/drive.file'
-      ];
-      const url = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: scopes,
-        state: userId
-      });
+      const url = getGoogleAuthUrl(userId);
 
       return res.status(401).json({
         message: 'Google token expired or invalid',
@@ -335,12 +289,12 @@ router.post('/:id/convert', authenticateToken, requireRole(['admin', 'manager'])
 });
 
 // Existing endpoints (placeholders for other functionality)
-router.get('/responses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/responses', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   res.json({ items: [] });
 });
 
 // DELETE /api/questionnaires/:id - Delete a questionnaire and all its data
-router.delete('/:id', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.delete('/:id', authenticateToken, requirePermission('questionnaires.delete'), async (req, res) => {
   const questionnaireId = req.params.id;
 
   try {
@@ -393,7 +347,7 @@ router.delete('/:id', authenticateToken, requireRole(['admin', 'manager']), asyn
 });
 
 // DELETE /api/questionnaires/responses/:responseId - Delete a single response
-router.delete('/responses/:responseId', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.delete('/responses/:responseId', authenticateToken, requirePermission('questionnaires.delete'), async (req, res) => {
   const responseId = req.params.responseId;
 
   try {
@@ -438,12 +392,12 @@ router.delete('/responses/:responseId', authenticateToken, requireRole(['admin',
   }
 });
 
-router.post('/assign', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/assign', authenticateToken, requirePermission('questionnaires.write'), async (req, res) => {
   res.status(201).json({ id: null, scheduled: false });
 });
 
 // GET /api/questionnaires/forms/:id/responses - Get stored responses from database
-router.get('/forms/:id/responses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/forms/:id/responses', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   const questionnaireId = req.params.id;
 
   try {
@@ -461,12 +415,12 @@ router.get('/forms/:id/responses', authenticateToken, requireRole(['admin', 'man
   }
 });
 
-router.get('/forms/:id/export', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/forms/:id/export', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   res.json({ url: null, format: req.query.format || 'csv' });
 });
 
 // GET /api/questionnaires/:id/google-responses - Get Google Form Responses (Direct from API)
-router.get('/:id/google-responses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/:id/google-responses', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   const questionnaireId = req.params.id;
   const userId = req.user.id;
 
@@ -488,28 +442,12 @@ router.get('/:id/google-responses', authenticateToken, requireRole(['admin', 'ma
     }
 
     // 2. Get user's Google OAuth token
-    const [tokens] = await db.execute(
-      'SELECT access_token, refresh_token, expiry_date FROM oauth_tokens WHERE user_id = ?',
-      [userId]
-    );
+    const oauth2Client = await getGoogleClient(userId);
 
-    if (tokens.length === 0) {
+    if (!oauth2Client) {
       return res.status(401).json({ message: 'Google authentication required' });
     }
 
-    const tokenData = tokens[0];
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expiry_date: tokenData.expiry_date
-    });
-
     // 3. Fetch responses from Google Forms API
     const forms = google.forms({ version: 'v1', auth: oauth2Client });
 
@@ -531,7 +469,7 @@ router.get('/:id/google-responses', authenticateToken, requireRole(['admin', 'ma
 });
 
 // POST /api/questionnaires/:id/sync-responses - Sync responses from Google Forms to database
-router.post('/:id/sync-responses', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/:id/sync-responses', authenticateToken, requirePermission('questionnaires.write'), async (req, res) => {
   const questionnaireId = req.params.id;
   const userId = req.user.id;
 
@@ -578,12 +516,9 @@ router.post('/:id/sync-responses', authenticateToken, requireRole(['admin', 'man
     }
 
     // 2. Get user's Google OAuth token
-    const [tokens] = await db.execute(
-      'SELECT access_token, refresh_token, expiry_date FROM oauth_tokens WHERE user_id = ?',
-      [userId]
-    );
+    const oauth2Client = await getGoogleClient(userId);
 
-    if (tokens.length === 0) {
+    if (!oauth2Client) {
       await FormResponse.updateSyncLog(syncLogId, {
         status: 'failed',
         error: 'Google authentication required',
@@ -595,19 +530,6 @@ router.post('/:id/sync-responses', authenticateToken, requireRole(['admin', 'man
       return res.status(401).json({ message: 'Google authentication required' });
     }
 
-    const tokenData = tokens[0];
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expiry_date: tokenData.expiry_date
-    });
-
     // 3. Fetch responses from Google Forms API
     const forms = google.forms({ version: 'v1', auth: oauth2Client });
 
@@ -685,7 +607,7 @@ router.post('/:id/sync-responses', authenticateToken, requireRole(['admin', 'man
 });
 
 // POST /api/questionnaires/:id/export-to-sheets - Export responses to Google Sheets
-router.post('/:id/export-to-sheets', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.post('/:id/export-to-sheets', authenticateToken, requirePermission('questionnaires.write'), async (req, res) => {
   const questionnaireId = req.params.id;
   const userId = req.user.id;
 
@@ -723,28 +645,12 @@ router.post('/:id/export-to-sheets', authenticateToken, requireRole(['admin', 'm
     }
 
     // 4. Get user's Google OAuth token
-    const [tokens] = await db.execute(
-      'SELECT access_token, refresh_token, expiry_date FROM oauth_tokens WHERE user_id = ?',
-      [userId]
-    );
+    const oauth2Client = await getGoogleClient(userId);
 
-    if (tokens.length === 0) {
+    if (!oauth2Client) {
       return res.status(401).json({ message: 'Google authentication required' });
     }
 
-    const tokenData = tokens[0];
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET,
-      process.env.GOOGLE_REDIRECT_URI
-    );
-
-    oauth2Client.setCredentials({
-      access_token: tokenData.access_token,
-      refresh_token: tokenData.refresh_token,
-      expiry_date: tokenData.expiry_date
-    });
-
     // 5. Create Google Sheet
     const sheetsService = new SheetsService(oauth2Client);
     const sheetInfo = await sheetsService.exportResponsesToSheet(questionnaire, questions, responses);
@@ -771,7 +677,7 @@ router.post('/:id/export-to-sheets', authenticateToken, requireRole(['admin', 'm
 });
 
 // GET /api/questionnaires/:id/sync-status - Get sync status and statistics
-router.get('/:id/sync-status', authenticateToken, requireRole(['admin', 'manager']), async (req, res) => {
+router.get('/:id/sync-status', authenticateToken, requirePermission('questionnaires.read'), async (req, res) => {
   const questionnaireId = req.params.id;
 
   try {
@@ -0,0 +1,126 @@
+import express from 'express';
+import { Skill } from '../models/Skill.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { AuditLog } from '../models/AuditLog.js';
+
+const router = express.Router();
+
+// Checks a skill create/update body; returns an error message or null
+const validateSkill = (body, partial = false) => {
+  if ((!partial || body.name !== undefined) && (!body.name || String(body.name).trim().length === 0 || body.name.length > 100)) {
+    return 'name is required (max 100 characters)';
+  }
+  if (body.category && body.category.length > 100) {
+    return 'category must be at most 100 characters';
+  }
+  return null;
+};
+
+// Skills catalog
+router.get('/', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const skills = await Skill.findAll();
+    res.json({ items: skills, count: skills.length });
+  } catch (error) {
+    console.error('Get skills error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Skills matrix: active employees x skills (?department=, ?skills=<id>,<id>)
+router.get('/matrix', authenticateToken, requirePermission('employees.read'), async (req, res) => {
+  try {
+    const skillIds = String(req.query.skills || '').split(',').map(v => v.trim()).filter(Boolean);
+    const matrix = await Skill.getMatrix({ department: req.query.department || null, skillIds });
+    res.json(matrix);
+  } catch (error) {
+    console.error('Get skills matrix error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.post('/', authenticateToken, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const invalid = validateSkill(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { name, category = null, description = null } = req.body;
+    let id;
+    try {
+      id = await Skill.create({ name: name.trim(), category, description });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: `Skill "${name}" already exists` });
+      }
+      throw error;
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'CREATE_SKILL',
+      details: { skill_id: id, name },
+      ip_address: req.ip
+    });
+
+    res.status(201).json({ message: 'Skill created successfully', skill: await Skill.findById(id) });
+  } catch (error) {
+    console.error('Create skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+router.put('/:id', authenticateToken, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const invalid = validateSkill(req.body, true);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { name, category, description } = req.body;
+    let success;
+    try {
+      success = await Skill.update(id, { name: name?.trim(), category, description });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ error: `Skill "${name}" already exists` });
+      }
+      throw error;
+    }
+    if (!success && !(await Skill.findById(id))) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    res.json({ message: 'Skill updated successfully', skill: await Skill.findById(id) });
+  } catch (error) {
+    console.error('Update skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Deleting a skill also removes it from every employee
+router.delete('/:id', authenticateToken, requirePermission('skills.manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const skill = await Skill.findById(id);
+    if (!skill || !(await Skill.delete(id))) {
+      return res.status(404).json({ error: 'Skill not found' });
+    }
+
+    await AuditLog.create({
+      user_id: req.user.id,
+      action: 'DELETE_SKILL',
+      details: { skill_id: id, name: skill.name },
+      ip_address: req.ip
+    });
+
+    res.json({ message: 'Skill deleted successfully' });
+  } catch (error) {
+    console.error('Delete skill error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -12,7 +12,11 @@ import analyticsRoutes from './routes/analytics.js';
 import questionnairesRoutes from './routes/questionnaires.js';
 import proposalsRoutes from './routes/proposals.js';
 import adminRoutes from './routes/admin.js';
+import skillsRoutes from './routes/skills.js';
 import { initSchema } from './models/schema.js';
+import { startReencryptionJob } from './services/tokenVault.js';
+import { startScheduledChangeJob } from './services/employeeHistoryService.js';
+import { startPurgeJob } from './services/retentionService.js';
 
 dotenv.config();
 const app = express();
@@ -33,6 +37,15 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 testConnection();
 initSchema();
 
+// Move Google tokens onto the current vault key in the background
+startReencryptionJob();
+
+// Apply future-dated employee changes once their effective date arrives
+startScheduledChangeJob();
+
+// Permanently remove soft-deleted records once their retention period is over
+startPurgeJob();
+
 // Base route
 app.get('/', (req, res) => {
   res.json({
@@ -64,6 +77,7 @@ app.use('/api/analytics', analyticsRoutes);
 app.use('/api/questionnaires', questionnairesRoutes);
 app.use('/api/proposals', proposalsRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/skills', skillsRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,200 @@
+import pool from '../config/database.js';
+import { weekStartOf } from '../models/TimeEntry.js';
+import { isValidDate } from './employeeHistoryService.js';
+
+/**
+ * Capacity planning
+ * Weekly allocation of employees across their live project assignments. An assignment runs from
+ * its own start/end date, falling back to the project's dates; a missing end means open-ended.
+ * An assignment counts in full for every week (Monday to Sunday) it overlaps.
+ */
+
+export const MAX_CAPACITY_WEEKS = 53;
+const DEFAULT_CAPACITY_WEEKS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+// Monday of every week from the week of `from` through the week of `to`
+const weeksBetween = (from, to) => {
+    const weeks = [];
+    for (let week = weekStartOf(from); week <= to; week = addDays(week, 7)) {
+        weeks.push(week);
+    }
+    return weeks;
+};
+
+/**
+ * Live assignments overlapping a date range
+ * @param {object} filters
+ * @param {string} filters.from - YYYY-MM-DD
+ * @param {string} filters.to - YYYY-MM-DD
+ * @param {string[]} [filters.employeeIds] - Only these employees
+ * @param {string} [filters.excludeProjectId] - Leave this project out (when its assignment is being replaced)
+ * @returns {Promise<object[]>} { employee_id, project_id, project_name, allocation_pct, start_date, end_date }
+ */
+export const getAllocations = async ({ from, to, employeeIds = null, excludeProjectId = null }) => {
+    if (employeeIds && employeeIds.length === 0) return [];
+    const conditions = [
+        'pa.ended_at IS NULL',
+        'p.deleted_at IS NULL',
+        "p.status NOT IN ('completed', 'cancelled')",
+        '(COALESCE(pa.start_date, p.start_date) IS NULL OR COALESCE(pa.start_date, p.start_date) <= ?)',
+        '(COALESCE(pa.end_date, p.end_date) IS NULL OR COALESCE(pa.end_date, p.end_date) >= ?)'
+    ];
+    const params = [to, from];
+    if (employeeIds) {
+        conditions.push('pa.employee_id IN (?)');
+        params.push(employeeIds);
+    }
+    if (excludeProjectId) {
+        conditions.push('pa.project_id <> ?');
+        params.push(excludeProjectId);
+    }
+
+    const [rows] = await pool.query(
+        `SELECT pa.employee_id, pa.project_id, p.name AS project_name, pa.allocation_pct,
+                DATE_FORMAT(COALESCE(pa.start_date, p.start_date), '%Y-%m-%d') AS start_date,
+                DATE_FORMAT(COALESCE(pa.end_date, p.end_date), '%Y-%m-%d') AS end_date
+         FROM project_assignments pa
+         JOIN projects p ON pa.project_id = p.id
+         WHERE ${conditions.join(' AND ')}`,
+        params
+    );
+    return rows;
+};
+
+const overlapsWeek = (allocation, week) =>
+    (!allocation.start_date || allocation.start_date <= addDays(week, 6)) &&
+    (!allocation.end_date || allocation.end_date >= week);
+
+// Total allocation per week for one employee's assignments
+const weeklyTotals = (allocations, weeks) => weeks.map(week =>
+    allocations.filter(a => overlapsWeek(a, week)).reduce((sum, a) => sum + a.allocation_pct, 0));
+
+/**
+ * Weeks in which a new or changed assignment would put the employee over 100%
+ * @param {string} employeeId
+ * @param {object} assignment - { project_id, allocation_pct, start_date, end_date }; missing dates fall back to
+ *                              the project's (a start in the past from today on), an open end is checked
+ *                              for MAX_CAPACITY_WEEKS weeks from today or the start, whichever is later
+ * @returns {Promise<object[]>} { week_start, allocation_pct, projects: [{project_id, project_name, allocation_pct}] }
+ */
+export const findOverallocatedWeeks = async (employeeId, assignment) => {
+    const [[project]] = await pool.execute(
+        `SELECT DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+         FROM projects WHERE id = ?`,
+        [assignment.project_id]
+    );
+    const today = new Date().toISOString().slice(0, 10);
+    const from = assignment.start_date || (project?.start_date && project.start_date > today ? project.start_date : today);
+    const to = assignment.end_date || project?.end_date || addDays(from > today ? from : today, MAX_CAPACITY_WEEKS * 7 - 1);
+    if (to < from) return [];
+    const others = await getAllocations({ from, to, employeeIds: [employeeId], excludeProjectId: assignment.project_id });
+
+    const proposed = { ...assignment, project_name: null, start_date: from, end_date: to };
+    const all = [...others, proposed];
+    return weeksBetween(from, to)
+        .map(week => {
+            const projects = all.filter(a => overlapsWeek(a, week));
+            return {
+                week_start: week,
+                allocation_pct: projects.reduce((sum, a) => sum + a.allocation_pct, 0),
+                projects: projects.map(a => ({ project_id: a.project_id, project_name: a.project_name, allocation_pct: a.allocation_pct }))
+            };
+        })
+        .filter(week => week.allocation_pct > 100);
+};
+
+/**
+ * Parse `?from=&to=` for the capacity heatmap (default: this week and the next 11)
+ * @returns {object} { from, to } or { error }
+ */
+export const parseCapacityRange = (query) => {
+    const from = query.from || new Date().toISOString().slice(0, 10);
+    const to = query.to || addDays(weekStartOf(from), DEFAULT_CAPACITY_WEEKS * 7 - 1);
+    if (!isValidDate(from) || !isValidDate(to) || to < from) {
+        return { error: 'from and to must be valid dates (YYYY-MM-DD) with to on or after from' };
+    }
+    if (weeksBetween(from, to).length > MAX_CAPACITY_WEEKS) {
+        return { error: `The range can span at most ${MAX_CAPACITY_WEEKS} weeks` };
+    }
+    return { from, to };
+};
+
+/**
+ * Capacity heatmap: allocation % per week, by employee or by department
+ * @param {object} options
+ * @param {string} options.from - YYYY-MM-DD
+ * @param {string} options.to - YYYY-MM-DD
+ * @param {string} [options.department] - Only this department
+ * @param {string} [options.groupBy] - 'employee' (default) or 'department'
+ * @returns {Promise<object>} { weeks, rows }; each row's `allocation` lines up with `weeks`
+ */
+export const getCapacityHeatmap = async ({ from, to, department = null, groupBy = 'employee' }) => {
+    const weeks = weeksBetween(from, to);
+    const [employees] = await pool.execute(
+        `SELECT id, full_name, department FROM employees
+         WHERE deleted_at IS NULL AND status = 'active'${department ? ' AND department = ?' : ''}
+         ORDER BY department, full_name`,
+        department ? [department] : []
+    );
+
+    const allocations = await getAllocations({ from, to, employeeIds: employees.map(e => e.id) });
+    const byEmployee = new Map(employees.map(e => [e.id, []]));
+    for (const allocation of allocations) {
+        byEmployee.get(allocation.employee_id)?.push(allocation);
+    }
+
+    const employeeRows = employees.map(employee => {
+        const allocation = weeklyTotals(byEmployee.get(employee.id), weeks);
+        return {
+            employee_id: employee.id,
+            full_name: employee.full_name,
+            department: employee.department,
+            allocation,
+            peak_pct: Math.max(0, ...allocation),
+            overallocated_weeks: allocation.filter(pct => pct > 100).length
+        };
+    });
+
+    if (groupBy !== 'department') {
+        return { from, to, group: 'employee', weeks, rows: employeeRows };
+    }
+
+    // Department allocation is the average across its active members
+    const departments = new Map();
+    for (const row of employeeRows) {
+        const key = row.department || null;
+        if (!departments.has(key)) departments.set(key, []);
+        departments.get(key).push(row);
+    }
+    const rows = [...departments].map(([name, members]) => {
+        const allocation = weeks.map((_, i) =>
+            Math.round(members.reduce((sum, m) => sum + m.allocation[i], 0) / members.length));
+        return {
+            department: name,
+            headcount: members.length,
+            allocation,
+            overallocated_people: weeks.map((_, i) => members.filter(m => m.allocation[i] > 100).length),
+            peak_pct: Math.max(0, ...allocation)
+        };
+    });
+    return { from, to, group: 'department', weeks, rows };
+};
+
+/**
+ * Highest weekly allocation of each employee over a date range
+ * @returns {Promise<Map<string, number>>} Employee ID -> peak allocation %
+ */
+export const getPeakAllocations = async (employeeIds, from, to) => {
+    const weeks = weeksBetween(from, to).slice(0, MAX_CAPACITY_WEEKS);
+    const allocations = await getAllocations({ from, to, employeeIds });
+    const byEmployee = new Map(employeeIds.map(id => [id, []]));
+    for (const allocation of allocations) {
+        byEmployee.get(allocation.employee_id)?.push(allocation);
+    }
+    return new Map([...byEmployee].map(([id, list]) => [id, Math.max(0, ...weeklyTotals(list, weeks))]));
+};
+
+export default { getAllocations, findOverallocatedWeeks, parseCapacityRange, getCapacityHeatmap, getPeakAllocations };
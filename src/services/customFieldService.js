@@ -0,0 +1,246 @@
+import { CustomField, CUSTOM_FIELD_ENTITIES, CUSTOM_FIELD_TYPES } from '../models/CustomField.js';
+import { isValidDate } from './employeeHistoryService.js';
+
+/**
+ * Custom fields
+ * Validation of field definitions and values, and the glue that lets list, filter, sort and
+ * export treat custom fields like built-in columns. In query strings and export columns a
+ * custom field is addressed as `cf.<field_key>` (e.g. ?cf.cost_center=CC-10&sort=cf.cost_center).
+ *
+ * Per-type `validation` rules:
+ *   text:   { max_length, pattern }
+ *   number: { min, max, integer }
+ *   date:   { min, max }            (YYYY-MM-DD)
+ *   select: `options` lists the allowed values
+ */
+
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+const MAX_VALUE_LENGTH = 1000;
+
+export const CUSTOM_FIELD_PREFIX = 'cf.';
+
+const VALIDATION_RULES = {
+    text: ['max_length', 'pattern'],
+    number: ['min', 'max', 'integer'],
+    date: ['min', 'max'],
+    select: []
+};
+
+/**
+ * Validate a field definition from a create or update request
+ * @param {object} body - Request body
+ * @param {object|null} existing - Current definition when updating
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateDefinition = (body, existing = null) => {
+    const fieldType = existing ? existing.field_type : body.field_type;
+
+    if (!existing) {
+        if (!CUSTOM_FIELD_ENTITIES.includes(body.entity)) {
+            return `entity must be one of: ${CUSTOM_FIELD_ENTITIES.join(', ')}`;
+        }
+        if (!FIELD_KEY_PATTERN.test(body.field_key || '')) {
+            return 'field_key must start with a letter and contain only lowercase letters, digits and underscores (max 64)';
+        }
+        if (!CUSTOM_FIELD_TYPES.includes(fieldType)) {
+            return `field_type must be one of: ${CUSTOM_FIELD_TYPES.join(', ')}`;
+        }
+    }
+
+    if ((!existing || body.label !== undefined) && (!body.label || String(body.label).length > 255)) {
+        return 'label is required (max 255 characters)';
+    }
+    if (body.is_required !== undefined && typeof body.is_required !== 'boolean') {
+        return 'is_required must be true or false';
+    }
+    if (body.sort_order !== undefined && !Number.isInteger(body.sort_order)) {
+        return 'sort_order must be a whole number';
+    }
+
+    const options = body.options !== undefined ? body.options : existing?.options;
+    if (fieldType === 'select') {
+        if (!Array.isArray(options) || options.length === 0 || !options.every(o => typeof o === 'string' && o.length > 0 && o.length <= MAX_VALUE_LENGTH)) {
+            return 'select fields need options: a non-empty list of strings';
+        }
+        if (new Set(options).size !== options.length) {
+            return 'options must not contain duplicates';
+        }
+    } else if (body.options !== undefined && body.options !== null) {
+        return 'options are only allowed on select fields';
+    }
+
+    const validation = body.validation;
+    if (validation !== undefined && validation !== null) {
+        if (typeof validation !== 'object' || Array.isArray(validation)) {
+            return 'validation must be an object';
+        }
+        const unknown = Object.keys(validation).filter(rule => !VALIDATION_RULES[fieldType].includes(rule));
+        if (unknown.length > 0) {
+            return `Unsupported validation for ${fieldType} fields: ${unknown.join(', ')}`;
+        }
+        if (validation.max_length !== undefined && !(Number.isInteger(validation.max_length) && validation.max_length > 0 && validation.max_length <= MAX_VALUE_LENGTH)) {
+            return `max_length must be a whole number between 1 and ${MAX_VALUE_LENGTH}`;
+        }
+        if (validation.pattern !== undefined) {
+            try {
+                new RegExp(validation.pattern);
+            } catch (error) {
+                return `pattern is not a valid regular expression: ${error.message}`;
+            }
+        }
+        for (const bound of ['min', 'max']) {
+            if (validation[bound] === undefined) continue;
+            const valid = fieldType === 'date' ? isValidDate(validation[bound]) : Number.isFinite(validation[bound]);
+            if (!valid) {
+                return `${bound} must be a ${fieldType === 'date' ? 'date (YYYY-MM-DD)' : 'number'}`;
+            }
+        }
+        if (validation.integer !== undefined && typeof validation.integer !== 'boolean') {
+            return 'integer must be true or false';
+        }
+    }
+    return null;
+};
+
+// Check one value against its definition; returns [storedValue, error]
+const normaliseValue = (definition, raw) => {
+    const rules = definition.validation || {};
+
+    switch (definition.field_type) {
+        case 'number': {
+            const number = typeof raw === 'number' ? raw : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : NaN);
+            if (!Number.isFinite(number)) return [null, 'must be a number'];
+            if (rules.integer && !Number.isInteger(number)) return [null, 'must be a whole number'];
+            if (rules.min !== undefined && number < rules.min) return [null, `must be at least ${rules.min}`];
+            if (rules.max !== undefined && number > rules.max) return [null, `must be at most ${rules.max}`];
+            return [String(number), null];
+        }
+        case 'date': {
+            if (!isValidDate(raw)) return [null, 'must be a date (YYYY-MM-DD)'];
+            if (rules.min !== undefined && raw < rules.min) return [null, `must be on or after ${rules.min}`];
+            if (rules.max !== undefined && raw > rules.max) return [null, `must be on or before ${rules.max}`];
+            return [raw, null];
+        }
+        case 'select': {
+            if (!definition.options.includes(raw)) return [null, `must be one of: ${definition.options.join(', ')}`];
+            return [raw, null];
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return [null, 'must be text'];
+            const text = String(raw);
+            const maxLength = rules.max_length || MAX_VALUE_LENGTH;
+            if (text.length > maxLength) return [null, `must be at most ${maxLength} characters`];
+            if (rules.pattern && !new RegExp(rules.pattern).test(text)) return [null, 'has an invalid format'];
+            return [text, null];
+        }
+    }
+};
+
+/**
+ * Validate the `custom_fields` object of a create or update request
+ * @param {object[]} definitions - Fields defined for the entity
+ * @param {object|undefined} input - Field key -> value; null or '' clears a value
+ * @param {object} options
+ * @param {boolean} options.partial - Update: only the given fields change, so missing required ones are fine
+ * @returns {{values: Array<{field_id: string, value: string|null}>, errors: string[]}}
+ */
+export const validateCustomValues = (definitions, input, { partial = false } = {}) => {
+    const values = [];
+    const errors = [];
+
+    if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+        return { values, errors: ['custom_fields must be an object of field key -> value'] };
+    }
+    const given = input || {};
+
+    const byKey = new Map(definitions.map(d => [d.field_key, d]));
+    const unknown = Object.keys(given).filter(key => !byKey.has(key));
+    if (unknown.length > 0) {
+        errors.push(`Unknown custom fields: ${unknown.join(', ')}`);
+    }
+
+    for (const definition of definitions) {
+        const key = definition.field_key;
+        const provided = Object.prototype.hasOwnProperty.call(given, key);
+        const raw = given[key];
+        const empty = raw === null || raw === undefined || raw === '';
+
+        if (!provided && partial) continue;
+        if (empty) {
+            if (definition.is_required) {
+                errors.push(`${key} is required`);
+            } else if (provided) {
+                values.push({ field_id: definition.id, value: null });
+            }
+            continue;
+        }
+
+        const [value, error] = normaliseValue(definition, raw);
+        if (error) {
+            errors.push(`${key} ${error}`);
+        } else {
+            values.push({ field_id: definition.id, value });
+        }
+    }
+    return { values, errors };
+};
+
+/**
+ * A list query spec with the entity's custom fields added as `cf.<key>` filters and sort fields
+ * @param {object} spec - Built-in spec (e.g. Employee.listQuerySpec)
+ * @param {object[]} definitions - Fields defined for the entity
+ * @param {string} alias - Alias of the main table in the list query
+ * @returns {object}
+ */
+export const withCustomFieldFilters = (spec, definitions, alias) => {
+    const filters = { ...spec.filters };
+    const sortable = { ...spec.sortable };
+
+    for (const definition of definitions) {
+        const name = `${CUSTOM_FIELD_PREFIX}${definition.field_key}`;
+        const column = CustomField.valueExpression(definition, alias);
+        filters[name] = definition.field_type === 'select'
+            ? { column, type: 'enum', values: definition.options }
+            : { column, type: definition.field_type === 'date' ? 'date' : 'string' };
+        sortable[name] = column;
+    }
+    return { ...spec, filters, sortable };
+};
+
+/**
+ * Export columns with the entity's custom fields added as `cf.<key>`
+ * @param {object} columns - Built-in export columns
+ * @param {object[]} definitions - Fields defined for the entity
+ * @param {string} alias - Alias of the main table in the export query
+ * @returns {object}
+ */
+export const withCustomFieldColumns = (columns, definitions, alias) => ({
+    ...columns,
+    ...Object.fromEntries(definitions.map(definition => [
+        `${CUSTOM_FIELD_PREFIX}${definition.field_key}`,
+        CustomField.valueExpression(definition, alias)
+    ]))
+});
+
+/**
+ * Add a `custom_fields` object to each row
+ * @param {object[]} definitions - Fields defined for the entity
+ * @param {object[]} rows - Employees or projects (need `id`)
+ * @returns {Promise<object[]>} The same rows
+ */
+export const attachCustomFields = async (definitions, rows) => {
+    const values = await CustomField.getValues(definitions, rows.map(row => row.id));
+    for (const row of rows) {
+        row.custom_fields = values.get(row.id);
+    }
+    return rows;
+};
+
+export default {
+    CUSTOM_FIELD_PREFIX,
+    validateDefinition,
+    validateCustomValues,
+    withCustomFieldFilters,
+    withCustomFieldColumns,
+    attachCustomFields
+};
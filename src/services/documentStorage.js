@@ -0,0 +1,68 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Document storage
+ * Employee documents are stored as opaque blobs under a key (e.g. `<employeeId>/<documentId>`).
+ * Every backend implements the same interface:
+ *
+ *   put(key, buffer)  -> Promise<void>
+ *   get(key)          -> Promise<Readable>   rejects with code 'ENOENT' if the file is missing
+ *   remove(key)       -> Promise<void>       missing files are ignored
+ *
+ * The backend is chosen with DOCUMENT_STORAGE_DRIVER; only `local` exists today.
+ */
+
+export class LocalDiskStorage {
+    constructor(root) {
+        this.root = path.resolve(root);
+    }
+
+    // Keys are generated by us, but never let one escape the storage root
+    resolve(key) {
+        const filePath = path.resolve(this.root, key);
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    }
+
+    async get(key) {
+        const filePath = this.resolve(key);
+        await fs.promises.access(filePath, fs.constants.R_OK);
+        return fs.createReadStream(filePath);
+    }
+
+    async remove(key) {
+        await fs.promises.rm(this.resolve(key), { force: true });
+    }
+}
+
+const drivers = {
+    local: () => new LocalDiskStorage(process.env.DOCUMENT_STORAGE_PATH || 'storage/documents'),
+};
+
+let storage;
+
+/**
+ * Storage backend configured for this process
+ * @returns {LocalDiskStorage}
+ */
+export const getDocumentStorage = () => {
+    if (!storage) {
+        const driver = process.env.DOCUMENT_STORAGE_DRIVER || 'local';
+        if (!drivers[driver]) {
+            throw new Error(`Unknown DOCUMENT_STORAGE_DRIVER "${driver}". Available: ${Object.keys(drivers).join(', ')}`);
+        }
+        storage = drivers[driver]();
+    }
+    return storage;
+};
+
+export default { LocalDiskStorage, getDocumentStorage };
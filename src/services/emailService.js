@@ -105,4 +105,192 @@ export const sendOTPEmail = async (email, otp) => {
     }
 };
 
-export default { sendOTPEmail };
+/**
+ * Send an invitation to join the system
+ * @param {string} email - Recipient email address
+ * @param {object} invitation - { inviteUrl, inviterName, role, expiresAt }
+ * @returns {Promise<void>}
+ */
+export const sendInvitationEmail = async (email, { inviteUrl, inviterName, role, expiresAt }) => {
+    const expiresText = new Date(expiresAt).toDateString();
+    const mailOptions = {
+        from: process.env.FROM_EMAIL || process.env.SMTP_USER,
+        to: email,
+        subject: 'You have been invited to Nexus Internal System',
+        html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+            .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>👋 You're Invited</h1>
+            </div>
+            <div class="content">
+              <p>Hello,</p>
+              <p>${inviterName} has invited you to join Nexus Internal System as <strong>${role}</strong>.</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a class="button" href="${inviteUrl}">Accept Invitation</a>
+              </p>
+              <p>This invitation expires on <strong>${expiresText}</strong>. If you weren't expecting it, you can ignore this email.</p>
+
+              <div class="footer">
+                <p>This is an automated email. Please do not reply.</p>
+                <p>&copy; ${new Date().getFullYear()} Nexus Internal System. All rights reserved.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `,
+        text: `
+      You're Invited
+
+      ${inviterName} has invited you to join Nexus Internal System as ${role}.
+
+      Accept the invitation: ${inviteUrl}
+
+      This invitation expires on ${expiresText}.
+    `,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log(`✅ Invitation email sent to ${email}`);
+    } catch (error) {
+        console.error('❌ Failed to send invitation email:', error);
+        throw new Error('Failed to send invitation email. Please check email configuration.');
+    }
+};
+
+/**
+ * Send an email address verification link
+ * @param {string} email - Address being verified
+ * @param {object} options - { verifyUrl, purpose: 'verify' | 'change' }
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (email, { verifyUrl, purpose }) => {
+    const intro = purpose === 'change'
+        ? 'You asked to use this address for your Nexus Internal System account. Your email will only change once you confirm it.'
+        : 'Please confirm the email address for your Nexus Internal System account.';
+
+    const mailOptions = {
+        from: process.env.FROM_EMAIL || process.env.SMTP_USER,
+        to: email,
+        subject: 'Confirm your email - Nexus Internal System',
+        html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold; }
+            .footer { text-align: center; color: #666; font-size: 12px; margin-top: 20px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>✉️ Confirm Your Email</h1>
+            </div>
+            <div class="content">
+              <p>Hello,</p>
+              <p>${intro}</p>
+              <p style="text-align: center; margin: 30px 0;">
+                <a class="button" href="${verifyUrl}">Confirm Email</a>
+              </p>
+              <p>This link is valid for <strong>24 hours</strong>. If you didn't request this, please ignore this email.</p>
+
+              <div class="footer">
+                <p>This is an automated email. Please do not reply.</p>
+                <p>&copy; ${new Date().getFullYear()} Nexus Internal System. All rights reserved.</p>
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `,
+        text: `
+      Confirm Your Email
+
+      ${intro}
+
+      Confirm: ${verifyUrl}
+
+      This link is valid for 24 hours.
+    `,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log(`✅ Verification email sent to ${email}`);
+    } catch (error) {
+        console.error('❌ Failed to send verification email:', error);
+        throw new Error('Failed to send verification email. Please check email configuration.');
+    }
+};
+
+/**
+ * Notify the previous address that the account email was changed
+ * @param {string} email - The old email address
+ * @param {object} options - { newEmail }
+ * @returns {Promise<void>}
+ */
+export const sendEmailChangedNotice = async (email, { newEmail }) => {
+    const mailOptions = {
+        from: process.env.FROM_EMAIL || process.env.SMTP_USER,
+        to: email,
+        subject: 'Your account email was changed - Nexus Internal System',
+        html: `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 10px; }
+            .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 12px; margin: 20px 0; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="content">
+              <p>Hello,</p>
+              <p>The email address on your Nexus Internal System account was changed to <strong>${newEmail}</strong>.</p>
+              <div class="warning">
+                <strong>⚠️ Didn't make this change?</strong> Contact your administrator immediately.
+              </div>
+            </div>
+          </div>
+        </body>
+      </html>
+    `,
+        text: `
+      The email address on your Nexus Internal System account was changed to ${newEmail}.
+
+      If you didn't make this change, contact your administrator immediately.
+    `,
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log(`✅ Email change notice sent to ${email}`);
+    } catch (error) {
+        console.error('❌ Failed to send email change notice:', error);
+        throw new Error('Failed to send email change notice. Please check email configuration.');
+    }
+};
+
+export default { sendOTPEmail, sendInvitationEmail, sendVerificationEmail, sendEmailChangedNotice };
@@ -0,0 +1,70 @@
+import { EmployeeHistory, TRACKED_FIELDS } from '../models/EmployeeHistory.js';
+
+const STATUSES = ['active', 'inactive', 'terminated'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isValidDate = (value) => {
+    if (!DATE_PATTERN.test(value || '')) return false;
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === value;
+};
+
+/**
+ * Validate a scheduled change request body
+ * @param {object} changes - Field -> new value (subset of TRACKED_FIELDS)
+ * @param {string} effectiveDate - YYYY-MM-DD, must be in the future
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateScheduledChange = (changes, effectiveDate) => {
+    if (!isValidDate(effectiveDate)) {
+        return 'effective_date must be a valid date (YYYY-MM-DD)';
+    }
+    if (effectiveDate <= new Date().toISOString().slice(0, 10)) {
+        return 'effective_date must be in the future; use PUT /api/employees/:id for changes effective today';
+    }
+    if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+        return `changes must set at least one of: ${TRACKED_FIELDS.join(', ')}`;
+    }
+
+    const unknown = Object.keys(changes).filter(field => !TRACKED_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return `Only ${TRACKED_FIELDS.join(', ')} can be scheduled (got: ${unknown.join(', ')})`;
+    }
+    if (changes.status !== undefined && !STATUSES.includes(changes.status)) {
+        return `status must be one of: ${STATUSES.join(', ')}`;
+    }
+    if (changes.salary !== undefined && changes.salary !== null && !/^\d+(\.\d{1,2})?$/.test(String(changes.salary))) {
+        return 'salary must be a non-negative amount with at most 2 decimals';
+    }
+    for (const field of ['position', 'department']) {
+        if (changes[field] && String(changes[field]).length > 100) {
+            return `${field} must be at most 100 characters`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Apply due scheduled employee changes now and then every `intervalMs`
+ * @param {number} intervalMs - Delay between runs
+ * @returns {NodeJS.Timeout}
+ */
+export const startScheduledChangeJob = (intervalMs = 60 * 60 * 1000) => {
+    const run = async () => {
+        try {
+            const count = await EmployeeHistory.applyDueChanges();
+            if (count > 0) {
+                console.log(`📅 Applied ${count} scheduled employee change(s)`);
+            }
+        } catch (error) {
+            console.error('Scheduled employee change job failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default { isValidDate, validateScheduledChange, startScheduledChangeJob };
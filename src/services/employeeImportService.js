@@ -0,0 +1,250 @@
+import ExcelJS from 'exceljs';
+import { parse } from 'csv-parse/sync';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../config/database.js';
+import { EmployeeHistory } from '../models/EmployeeHistory.js';
+
+/**
+ * Employee Import
+ * Parses a CSV/XLSX upload, validates every row against the `employees` schema and
+ * writes the batch all-or-nothing.
+ */
+
+export const IMPORT_MODES = ['insert', 'upsert'];
+
+const STATUSES = ['active', 'inactive', 'terminated'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SALARY = 99999999.99; // DECIMAL(10, 2)
+
+// Columns an upsert may change on an existing employee (email is the match key)
+const UPDATABLE_COLUMNS = ['full_name', 'phone', 'department', 'position', 'salary', 'join_date', 'status'];
+
+// Column name -> max length, matching database/schema.sql
+const TEXT_COLUMNS = {
+    full_name: 255,
+    email: 255,
+    phone: 20,
+    department: 100,
+    position: 100,
+};
+
+// "Full Name" / "full-name" -> "full_name"
+const normalizeHeader = (header) => String(header ?? '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+const cellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return toDateString(value);
+    if (typeof value === 'object') {
+        // Hyperlinks, formulas and rich text cells
+        if ('text' in value) return cellValue(value.text);
+        if ('result' in value) return cellValue(value.result);
+        if ('richText' in value) return value.richText.map(part => part.text).join('');
+    }
+    return String(value).trim();
+};
+
+const parseCsv = (buffer) => parse(buffer, {
+    columns: headers => headers.map(normalizeHeader),
+    skip_empty_lines: true,
+    skip_records_with_empty_values: true,
+    trim: true,
+    bom: true,
+});
+
+const parseXlsx = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const headers = [];
+    sheet.getRow(1).eachCell((cell, col) => {
+        headers[col] = normalizeHeader(cellValue(cell.value));
+    });
+
+    const rows = [];
+    sheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        const record = {};
+        headers.forEach((header, col) => {
+            if (header) record[header] = cellValue(row.getCell(col).value);
+        });
+        if (Object.values(record).some(Boolean)) rows.push(record);
+    });
+    return rows;
+};
+
+/**
+ * Read the uploaded file into plain row objects keyed by normalized header
+ * @param {object} file - multer file ({ buffer, originalname, mimetype })
+ * @returns {Promise<object[]>}
+ */
+export const parseEmployeeFile = async (file) => {
+    const name = (file.originalname || '').toLowerCase();
+    if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+        return parseXlsx(file.buffer);
+    }
+    if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+        return parseCsv(file.buffer);
+    }
+    throw new Error('Unsupported file type: upload a .csv or .xlsx file');
+};
+
+const validateRow = (raw) => {
+    const errors = [];
+    const employee = {};
+
+    for (const [column, maxLength] of Object.entries(TEXT_COLUMNS)) {
+        const value = cellValue(raw[column]);
+        if (value.length > maxLength) {
+            errors.push(`${column} must be at most ${maxLength} characters`);
+        }
+        employee[column] = value || null;
+    }
+
+    if (!employee.email) {
+        errors.push('email is required');
+    } else {
+        employee.email = employee.email.toLowerCase();
+        if (!EMAIL_PATTERN.test(employee.email)) errors.push('email is not a valid address');
+    }
+
+    const status = cellValue(raw.status).toLowerCase();
+    if (status && !STATUSES.includes(status)) {
+        errors.push(`status must be one of: ${STATUSES.join(', ')}`);
+    }
+    employee.status = status || null;
+
+    const joinDate = cellValue(raw.join_date);
+    if (joinDate) {
+        const parsed = new Date(`${joinDate}T00:00:00Z`);
+        if (!DATE_PATTERN.test(joinDate) || isNaN(parsed) || toDateString(parsed) !== joinDate) {
+            errors.push('join_date must be a valid date (YYYY-MM-DD)');
+        }
+    }
+    employee.join_date = joinDate || null;
+
+    const salary = cellValue(raw.salary).replace(/,/g, '');
+    if (salary) {
+        if (!/^\d+(\.\d{1,2})?$/.test(salary) || Number(salary) > MAX_SALARY) {
+            errors.push(`salary must be a non-negative amount up to ${MAX_SALARY} with at most 2 decimals`);
+        }
+    }
+    employee.salary = salary || null;
+
+    return { employee, errors };
+};
+
+/**
+ * Validate every row and decide what committing it would do.
+ * Rows are numbered as in the file (header is row 1).
+ * @param {object[]} rows - Output of parseEmployeeFile
+ * @param {object} options
+ * @param {string} options.mode - 'insert' (existing emails are errors) or 'upsert' (existing emails are updated;
+ *   empty cells leave the current value unchanged)
+ * @returns {Promise<{valid: boolean, summary: object, rows: object[]}>}
+ */
+export const validateEmployeeRows = async (rows, { mode }) => {
+    const results = rows.map((raw, index) => ({ row: index + 2, ...validateRow(raw) }));
+
+    const emails = results.map(r => r.employee.email).filter(Boolean);
+    const existing = new Map();
+    if (emails.length > 0) {
+        const [found] = await pool.query('SELECT id, LOWER(email) AS email, deleted_at FROM employees WHERE LOWER(email) IN (?)', [emails]);
+        found.forEach(e => existing.set(e.email, e));
+    }
+
+    const seen = new Map();
+    for (const result of results) {
+        const { email } = result.employee;
+        if (!email) continue;
+
+        if (seen.has(email)) {
+            result.errors.push(`email is duplicated in the file (row ${seen.get(email)})`);
+        } else {
+            seen.set(email, result.row);
+        }
+
+        if (existing.has(email)) {
+            const match = existing.get(email);
+            if (match.deleted_at) {
+                result.errors.push('this email belongs to a deleted employee; restore it instead');
+            } else if (mode === 'upsert') {
+                result.existing_id = match.id;
+            } else {
+                result.errors.push('an employee with this email already exists');
+            }
+        }
+
+        if (!result.existing_id && !result.employee.full_name) {
+            result.errors.push('full_name is required');
+        }
+    }
+
+    const report = results.map(r => ({
+        row: r.row,
+        email: r.employee.email,
+        action: r.errors.length > 0 ? 'error' : (r.existing_id ? 'update' : 'create'),
+        ...(r.errors.length > 0 && { errors: r.errors }),
+    }));
+
+    const count = action => report.filter(r => r.action === action).length;
+
+    return {
+        valid: results.length > 0 && count('error') === 0,
+        summary: { total: results.length, create: count('create'), update: count('update'), errors: count('error') },
+        rows: report,
+        // Kept for commitEmployeeImport; stripped before responding
+        results,
+    };
+};
+
+/**
+ * Write a validated import in one transaction; nothing is written if any row fails
+ * @param {object} validation - Output of validateEmployeeRows (must be valid)
+ * @param {string} userId - Profile ID recorded as created_by
+ */
+export const commitEmployeeImport = async (validation, userId) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        for (const { employee, existing_id } of validation.results) {
+            if (existing_id) {
+                // Empty cells keep the current value
+                const columns = UPDATABLE_COLUMNS.filter(c => employee[c] !== null);
+                if (columns.length === 0) continue;
+                const [[before]] = await connection.execute('SELECT * FROM employees WHERE id = ? FOR UPDATE', [existing_id]);
+                await connection.execute(
+                    `UPDATE employees SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = NOW() WHERE id = ?`,
+                    [...columns.map(c => employee[c]), existing_id]
+                );
+                await EmployeeHistory.recordChanges(connection, before, Object.fromEntries(columns.map(c => [c, employee[c]])), userId);
+            } else {
+                await connection.execute(
+                    `INSERT INTO employees (id, full_name, email, phone, department, position, salary, join_date, status, created_by, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())`,
+                    [uuidv4(), employee.full_name, employee.email, employee.phone, employee.department,
+                        employee.position, employee.salary, employee.join_date, employee.status || 'active', userId]
+                );
+            }
+        }
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+export default { IMPORT_MODES, parseEmployeeFile, validateEmployeeRows, commitEmployeeImport };
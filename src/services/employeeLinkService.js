@@ -0,0 +1,146 @@
+import pool from '../config/database.js';
+
+/**
+ * Profile <-> employee links
+ * `profiles.employee_id` says which employee record a login account belongs to (at most one
+ * account per employee). Links are made automatically by email when an account is verified or an
+ * invitation is accepted; admins link, unlink and resolve conflicts by hand.
+ */
+
+/**
+ * Link a profile to an employee
+ * @param {string} userId - The profile ID
+ * @param {string} employeeId - The employee ID
+ * @param {object} options
+ * @param {boolean} options.force - Take the employee over from a profile it is already linked to
+ * @returns {Promise<{linked: boolean, conflict_user_id?: string, previous_user_id?: string}>} linked is
+ *   false when the employee belongs to another profile and force was not set
+ */
+export const linkProfile = async (userId, employeeId, { force = false } = {}) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [[holder]] = await connection.execute(
+            'SELECT id FROM profiles WHERE employee_id = ? AND id <> ? FOR UPDATE',
+            [employeeId, userId]
+        );
+        if (holder) {
+            if (!force) {
+                await connection.rollback();
+                return { linked: false, conflict_user_id: holder.id };
+            }
+            await connection.execute('UPDATE profiles SET employee_id = NULL, updated_at = NOW() WHERE id = ?', [holder.id]);
+        }
+
+        await connection.execute(
+            'UPDATE profiles SET employee_id = ?, updated_at = NOW() WHERE id = ?',
+            [employeeId, userId]
+        );
+
+        await connection.commit();
+        return { linked: true, ...(holder && { previous_user_id: holder.id }) };
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+/**
+ * Remove a profile's employee link
+ * @param {string} userId - The profile ID
+ * @returns {Promise<boolean>} False if the profile was not linked
+ */
+export const unlinkProfile = async (userId) => {
+    const [result] = await pool.execute(
+        'UPDATE profiles SET employee_id = NULL, updated_at = NOW() WHERE id = ? AND employee_id IS NOT NULL',
+        [userId]
+    );
+    return result.affectedRows > 0;
+};
+
+/**
+ * Link an unlinked profile to the employee with the same email, or to `employeeId` if given
+ * (an invitation made for a specific employee). Never takes an employee from another profile;
+ * those cases show up in findLinkConflicts() for an admin to resolve.
+ * @param {object} user - Profile row (id, email, employee_id)
+ * @param {string|null} employeeId - Employee to link to instead of matching by email
+ * @returns {Promise<{linked: boolean, employee_id?: string, conflict_user_id?: string}>}
+ */
+export const autoLinkProfile = async (user, employeeId = null) => {
+    if (user.employee_id) {
+        return { linked: false };
+    }
+
+    const [[employee]] = employeeId
+        ? await pool.execute('SELECT id FROM employees WHERE id = ? AND deleted_at IS NULL', [employeeId])
+        : await pool.execute('SELECT id FROM employees WHERE LOWER(email) = LOWER(?) AND deleted_at IS NULL', [user.email]);
+    if (!employee) {
+        return { linked: false };
+    }
+
+    const result = await linkProfile(user.id, employee.id);
+    return { ...result, employee_id: employee.id };
+};
+
+/**
+ * Run email matching for every active, unlinked profile
+ * @returns {Promise<{linked: number, conflicts: number}>}
+ */
+export const autoLinkAll = async () => {
+    const [profiles] = await pool.execute(
+        'SELECT id, email, employee_id FROM profiles WHERE employee_id IS NULL AND deactivated_at IS NULL'
+    );
+
+    const counts = { linked: 0, conflicts: 0 };
+    for (const profile of profiles) {
+        const result = await autoLinkProfile(profile);
+        if (result.linked) counts.linked++;
+        if (result.conflict_user_id) counts.conflicts++;
+    }
+    return counts;
+};
+
+/**
+ * Links that need an admin's attention:
+ *  - `conflict`: an unlinked profile whose email matches an employee linked to another profile
+ *  - `mismatch`: a linked profile whose email differs from its employee's
+ *  - `invitation`: an accepted invitation made for an employee the account did not end up linked to
+ * @returns {Promise<object[]>}
+ */
+export const findLinkConflicts = async () => {
+    const [conflicts] = await pool.execute(
+        `SELECT 'conflict' AS type, p.id AS user_id, p.email AS user_email, e.id AS employee_id,
+                e.full_name AS employee_name, e.email AS employee_email, holder.id AS linked_user_id, holder.email AS linked_user_email
+         FROM profiles p
+         JOIN employees e ON LOWER(e.email) = LOWER(p.email) AND e.deleted_at IS NULL
+         JOIN profiles holder ON holder.employee_id = e.id AND holder.id <> p.id
+         WHERE p.employee_id IS NULL AND p.deactivated_at IS NULL`
+    );
+    const [mismatches] = await pool.execute(
+        `SELECT 'mismatch' AS type, p.id AS user_id, p.email AS user_email, e.id AS employee_id,
+                e.full_name AS employee_name, e.email AS employee_email, NULL AS linked_user_id, NULL AS linked_user_email
+         FROM profiles p
+         JOIN employees e ON p.employee_id = e.id
+         WHERE LOWER(e.email) <> LOWER(p.email)`
+    );
+    const [invitations] = await pool.execute(
+        `SELECT 'invitation' AS type, p.id AS user_id, p.email AS user_email, e.id AS employee_id,
+                e.full_name AS employee_name, e.email AS employee_email, holder.id AS linked_user_id, holder.email AS linked_user_email
+         FROM invitations i
+         JOIN profiles p ON i.accepted_user_id = p.id
+         JOIN employees e ON i.employee_id = e.id AND e.deleted_at IS NULL
+         LEFT JOIN profiles holder ON holder.employee_id = e.id
+         WHERE p.employee_id IS NULL AND p.deactivated_at IS NULL`
+    );
+    return [...conflicts, ...mismatches, ...invitations];
+};
+
+export default { linkProfile, unlinkProfile, autoLinkProfile, autoLinkAll, findLinkConflicts };
@@ -0,0 +1,142 @@
+import ExcelJS from 'exceljs';
+import pool from '../config/database.js';
+
+/**
+ * Data Export
+ * Streams query results to the response as CSV, XLSX or JSON without loading the whole
+ * result set into memory.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Resolve `?columns=a,b` against the columns an export allows
+ * @param {string|string[]} requested - Raw query value; all columns when empty
+ * @param {object} available - Column name -> SQL expression
+ * @returns {object} { columns } or { error }
+ */
+export const parseExportColumns = (requested, available) => {
+    const names = (Array.isArray(requested) ? requested : [requested || ''])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+
+    if (names.length === 0) {
+        return { columns: Object.keys(available) };
+    }
+
+    const unknown = names.filter(name => !available[name]);
+    if (unknown.length > 0) {
+        return { error: `Unknown columns: ${unknown.join(', ')}. Allowed: ${Object.keys(available).join(', ')}` };
+    }
+    return { columns: [...new Set(names)] };
+};
+
+// Read rows one at a time on a dedicated connection. If the consumer stops early
+// (client went away) the connection is destroyed instead of returned mid-result.
+async function* streamQuery(sql, params) {
+    const connection = await pool.getConnection();
+    let finished = false;
+    try {
+        yield* connection.connection.query(sql, params).stream();
+        finished = true;
+    } finally {
+        if (finished) {
+            connection.release();
+        } else {
+            connection.destroy();
+        }
+    }
+}
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+};
+
+const csvCell = (value) => {
+    let text = formatValue(value);
+    // Stop spreadsheet apps from evaluating exported text as a formula
+    if (/^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Resolves once the response can take more data, or false if the client disconnected
+const writeChunk = (res, chunk) => new Promise((resolve) => {
+    if (res.destroyed) return resolve(false);
+    if (res.write(chunk)) return resolve(true);
+
+    const onDrain = () => { res.off('close', onClose); resolve(true); };
+    const onClose = () => { res.off('drain', onDrain); resolve(false); };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+});
+
+/**
+ * Stream the result of a query to the client
+ * @param {object} res - Express response
+ * @param {object} options
+ * @param {string} options.format - One of EXPORT_FORMATS
+ * @param {string} options.filename - Download name without extension
+ * @param {string} options.sql - SELECT whose result columns are named after `columns`
+ * @param {Array} options.params - Query parameters
+ * @param {string[]} options.columns - Columns to write, in order
+ * @param {string[]} [options.redact] - Columns whose values are blanked
+ * @returns {Promise<number>} Number of rows written
+ */
+export const streamExport = async (res, { format, filename, sql, params, columns, redact = [] }) => {
+    const rows = streamQuery(sql, params);
+    const project = (row) => columns.map(column => (redact.includes(column) ? null : row[column]));
+    let count = 0;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    if (redact.length > 0) {
+        res.setHeader('X-Redacted-Columns', redact.join(','));
+    }
+
+    if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+        const sheet = workbook.addWorksheet(filename);
+        sheet.addRow(columns).commit();
+        for await (const row of rows) {
+            if (res.destroyed) break;
+            sheet.addRow(project(row)).commit();
+            count++;
+        }
+        await sheet.commit();
+        await workbook.commit();
+        return count;
+    }
+
+    if (format === 'csv') {
+        await writeChunk(res, '\uFEFF' + columns.map(csvCell).join(',') + '\r\n');
+        for await (const row of rows) {
+            if (!(await writeChunk(res, project(row).map(csvCell).join(',') + '\r\n'))) break;
+            count++;
+        }
+    } else {
+        await writeChunk(res, '[');
+        for await (const row of rows) {
+            const values = project(row);
+            const record = Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+            if (!(await writeChunk(res, (count > 0 ? ',\n' : '\n') + JSON.stringify(record)))) break;
+            count++;
+        }
+        await writeChunk(res, '\n]\n');
+    }
+
+    res.end();
+    return count;
+};
+
+export default { EXPORT_FORMATS, parseExportColumns, streamExport };
@@ -0,0 +1,110 @@
+import pool from '../config/database.js';
+import { EmployeeHistory } from '../models/EmployeeHistory.js';
+import { revokeAllSessions } from './sessionService.js';
+import { revokeGoogleTokens } from './tokenVault.js';
+
+/**
+ * Count the records a user owns that must be handed over before the account can be deactivated
+ * @param {string} userId - The profile ID
+ * @returns {Promise<{questionnaires: number, proposals: number}>}
+ */
+export const countOwnedRecords = async (userId) => {
+    const [[questionnaires]] = await pool.execute(
+        'SELECT COUNT(*) AS count FROM questionnaires WHERE created_by = ?',
+        [userId]
+    );
+    const [[proposals]] = await pool.execute(
+        'SELECT COUNT(*) AS count FROM proposals WHERE created_by = ?',
+        [userId]
+    );
+    return { questionnaires: questionnaires.count, proposals: proposals.count };
+};
+
+/**
+ * Deactivate an account and offboard the person behind it.
+ * Ownership transfer, employee termination and ending project assignments happen in one
+ * transaction; sessions and Google tokens are revoked once that has committed.
+ * @param {object} user - The user being deactivated
+ * @param {object} options
+ * @param {string|null} options.reassignTo - Profile that takes over owned questionnaires and proposals
+ * @param {string} options.deactivatedBy - Profile ID of the admin performing the offboarding
+ * @returns {Promise<object>} Summary of what was changed
+ */
+export const deactivateAccount = async (user, { reassignTo = null, deactivatedBy }) => {
+    let connection;
+    const summary = {};
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.execute(
+            'UPDATE profiles SET deactivated_at = NOW(), deactivated_by = ?, updated_at = NOW() WHERE id = ?',
+            [deactivatedBy, user.id]
+        );
+
+        if (reassignTo) {
+            const [questionnaires] = await connection.execute(
+                'UPDATE questionnaires SET created_by = ? WHERE created_by = ?',
+                [reassignTo, user.id]
+            );
+            const [proposals] = await connection.execute(
+                'UPDATE proposals SET created_by = ? WHERE created_by = ?',
+                [reassignTo, user.id]
+            );
+            summary.reassigned_questionnaires = questionnaires.affectedRows;
+            summary.reassigned_proposals = proposals.affectedRows;
+        }
+
+        // The employee record linked to the account, if any
+        const [employees] = await connection.execute(
+            'SELECT * FROM employees WHERE id = ? FOR UPDATE',
+            [user.employee_id]
+        );
+        summary.ended_assignments = 0;
+        for (const employee of employees) {
+            await connection.execute(
+                "UPDATE employees SET status = 'terminated', updated_at = NOW() WHERE id = ?",
+                [employee.id]
+            );
+            await EmployeeHistory.recordChanges(connection, employee, { status: 'terminated' }, deactivatedBy);
+            const [assignments] = await connection.execute(
+                'UPDATE project_assignments SET ended_at = NOW() WHERE employee_id = ? AND ended_at IS NULL',
+                [employee.id]
+            );
+            summary.ended_assignments += assignments.affectedRows;
+        }
+        summary.terminated_employee_ids = employees.map(e => e.id);
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+
+    summary.revoked_sessions = await revokeAllSessions(user.id);
+    summary.google_tokens_revoked = await revokeGoogleTokens(user.id);
+
+    return summary;
+};
+
+/**
+ * Allow a deactivated account to log in again. Ownership and assignments are not restored.
+ * @param {string} userId - The profile ID
+ * @returns {Promise<boolean>} False if the account was not deactivated
+ */
+export const reactivateAccount = async (userId) => {
+    const [result] = await pool.execute(
+        'UPDATE profiles SET deactivated_at = NULL, deactivated_by = NULL, updated_at = NOW() WHERE id = ? AND deactivated_at IS NOT NULL',
+        [userId]
+    );
+    return result.affectedRows > 0;
+};
+
+export default { countOwnedRecords, deactivateAccount, reactivateAccount };
@@ -0,0 +1,189 @@
+import pool from '../config/database.js';
+import { Setting } from '../models/Setting.js';
+
+/**
+ * Project budget vs. actual
+ * Actual cost = hours from approved timesheets x the employee's hourly cost rate, plus the
+ * project's expenses. The rate is `employees.cost_rate` when set, otherwise the yearly salary
+ * divided by the `cost_rate_annual_hours` setting. Current rates are applied to all past hours.
+ *
+ * The forecast at completion extrapolates the actual cost from the progress made so far: done
+ * tasks out of all non-cancelled tasks, or the share of the planned duration that has passed
+ * when the project has no tasks.
+ */
+
+export const DEFAULT_ANNUAL_HOURS = 2080;
+
+// Burn percentages that raise an alert, highest first
+export const BUDGET_ALERT_THRESHOLDS = [100, 80];
+
+export const getAnnualHours = () => Setting.get('cost_rate_annual_hours', DEFAULT_ANNUAL_HOURS);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labour cost, expenses and task progress per project
+const getProjectActuals = async (projectIds) => {
+    const actuals = new Map(projectIds.map(id => [id, {
+        approved_hours: 0, unrated_hours: 0, labor_cost: 0, expense_cost: 0, task_count: 0, done_count: 0
+    }]));
+    if (projectIds.length === 0) return actuals;
+
+    const annualHours = await getAnnualHours();
+    const [labor] = await pool.query(
+        `SELECT te.project_id,
+                SUM(te.hours) AS hours,
+                SUM(te.hours * COALESCE(e.cost_rate, e.salary / ?, 0)) AS cost,
+                SUM(CASE WHEN e.cost_rate IS NULL AND e.salary IS NULL THEN te.hours ELSE 0 END) AS unrated_hours
+         FROM time_entries te
+         JOIN employees e ON te.employee_id = e.id
+         JOIN timesheets ts ON ts.employee_id = te.employee_id AND ts.week_start = te.week_start AND ts.status = 'approved'
+         WHERE te.project_id IN (?)
+         GROUP BY te.project_id`,
+        [annualHours, projectIds]
+    );
+    for (const row of labor) {
+        Object.assign(actuals.get(row.project_id), {
+            approved_hours: Number(row.hours),
+            unrated_hours: Number(row.unrated_hours),
+            labor_cost: round2(Number(row.cost))
+        });
+    }
+
+    const [expenses] = await pool.query(
+        'SELECT project_id, SUM(amount) AS amount FROM project_expenses WHERE project_id IN (?) GROUP BY project_id',
+        [projectIds]
+    );
+    for (const row of expenses) {
+        actuals.get(row.project_id).expense_cost = round2(Number(row.amount));
+    }
+
+    const [tasks] = await pool.query(
+        `SELECT project_id, COUNT(*) AS task_count, COUNT(CASE WHEN status = 'done' THEN 1 END) AS done_count
+         FROM project_tasks WHERE project_id IN (?) AND status <> 'cancelled'
+         GROUP BY project_id`,
+        [projectIds]
+    );
+    for (const row of tasks) {
+        Object.assign(actuals.get(row.project_id), { task_count: Number(row.task_count), done_count: Number(row.done_count) });
+    }
+    return actuals;
+};
+
+// How far along the project is (0..1) and what that is based on
+const getProgress = (project, actual, today) => {
+    if (project.status === 'completed') return { progress: 1, basis: 'completed' };
+    if (actual.task_count > 0) return { progress: actual.done_count / actual.task_count, basis: 'tasks' };
+    if (project.start_date && project.end_date) {
+        const start = new Date(project.start_date).getTime();
+        const end = new Date(project.end_date).getTime() + DAY_MS;
+        if (end > start) {
+            return { progress: Math.min(Math.max((today - start) / (end - start), 0), 1), basis: 'schedule' };
+        }
+    }
+    return { progress: null, basis: null };
+};
+
+const summarize = (project, actual, today) => {
+    const budget = project.budget === null || project.budget === undefined ? null : Number(project.budget);
+    const actualCost = round2(actual.labor_cost + actual.expense_cost);
+    const { progress, basis } = getProgress(project, actual, today);
+    const forecast = progress ? round2(actualCost / progress) : null;
+    const burnPct = budget > 0 ? Math.round(actualCost / budget * 1000) / 10 : null;
+
+    const alerts = [];
+    const reached = burnPct === null ? undefined : BUDGET_ALERT_THRESHOLDS.find(threshold => burnPct >= threshold);
+    if (reached !== undefined) {
+        alerts.push({
+            type: 'burn',
+            level: reached >= 100 ? 'critical' : 'warning',
+            threshold_pct: reached,
+            message: reached >= 100
+                ? `Actual cost has reached ${burnPct}% of the budget`
+                : `Actual cost has passed ${reached}% of the budget (${burnPct}%)`
+        });
+    }
+    if (budget > 0 && forecast !== null && forecast > budget && basis !== 'completed') {
+        alerts.push({
+            type: 'forecast',
+            level: 'warning',
+            message: `Forecast at completion (${forecast}) exceeds the budget (${budget})`
+        });
+    }
+
+    return {
+        budget,
+        approved_hours: actual.approved_hours,
+        unrated_hours: actual.unrated_hours,
+        labor_cost: actual.labor_cost,
+        expense_cost: actual.expense_cost,
+        actual_cost: actualCost,
+        remaining_budget: budget === null ? null : round2(budget - actualCost),
+        burn_pct: burnPct,
+        progress_pct: progress === null ? null : Math.round(progress * 100),
+        forecast_basis: basis,
+        forecast_at_completion: forecast,
+        forecast_variance: budget === null || forecast === null ? null : round2(budget - forecast),
+        alert_level: alerts.some(a => a.level === 'critical') ? 'critical' : alerts.length > 0 ? 'warning' : null,
+        alerts
+    };
+};
+
+/**
+ * Budget vs. actual for one project
+ * @param {object} project - Project row (budget, status, start_date, end_date)
+ * @returns {Promise<object>}
+ */
+export const getBudgetSummary = async (project) => {
+    const actuals = await getProjectActuals([project.id]);
+    return summarize(project, actuals.get(project.id), Date.now());
+};
+
+/**
+ * Budget vs. actual across live projects
+ * @param {object} filters
+ * @param {string} [filters.status] - Only projects with this status
+ * @param {string} [filters.alertLevel] - Only projects at this alert level (warning includes critical)
+ * @returns {Promise<object>} { totals, items } with the highest burn first
+ */
+export const getBudgetPortfolio = async ({ status = null, alertLevel = null } = {}) => {
+    const [projects] = await pool.execute(
+        `SELECT id, name, client_name, status, budget, start_date, end_date
+         FROM projects
+         WHERE deleted_at IS NULL${status ? ' AND status = ?' : ''}
+         ORDER BY name`,
+        status ? [status] : []
+    );
+
+    const actuals = await getProjectActuals(projects.map(p => p.id));
+    const today = Date.now();
+    let items = projects.map(project => ({
+        id: project.id,
+        name: project.name,
+        client_name: project.client_name,
+        status: project.status,
+        ...summarize(project, actuals.get(project.id), today)
+    }));
+    if (alertLevel === 'critical') {
+        items = items.filter(item => item.alert_level === 'critical');
+    } else if (alertLevel === 'warning') {
+        items = items.filter(item => item.alert_level !== null);
+    }
+    items.sort((a, b) => (b.burn_pct ?? -1) - (a.burn_pct ?? -1) || a.name.localeCompare(b.name));
+
+    const sum = (key) => round2(items.reduce((total, item) => total + (item[key] || 0), 0));
+    return {
+        totals: {
+            projects: items.length,
+            budget: sum('budget'),
+            actual_cost: sum('actual_cost'),
+            remaining_budget: sum('remaining_budget'),
+            forecast_at_completion: sum('forecast_at_completion'),
+            warning: items.filter(item => item.alert_level === 'warning').length,
+            critical: items.filter(item => item.alert_level === 'critical').length
+        },
+        items
+    };
+};
+
+export default { getAnnualHours, getBudgetSummary, getBudgetPortfolio };
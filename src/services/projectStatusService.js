@@ -0,0 +1,102 @@
+import pool from '../config/database.js';
+import { ProjectStatusHistory } from '../models/ProjectStatusHistory.js';
+
+/**
+ * Project status workflow
+ * Status only changes through transitionProjectStatus(), which enforces the moves below and
+ * records each one in project_status_history. Cancelled projects stay cancelled; completed
+ * projects can be reopened.
+ */
+
+export const PROJECT_STATUSES = ['planning', 'in_progress', 'on_hold', 'completed', 'cancelled'];
+
+// Statuses a new project may start in
+export const INITIAL_PROJECT_STATUSES = ['planning', 'in_progress'];
+
+export const PROJECT_STATUS_TRANSITIONS = {
+    planning: ['in_progress', 'on_hold', 'cancelled'],
+    in_progress: ['on_hold', 'completed', 'cancelled'],
+    on_hold: ['planning', 'in_progress', 'cancelled'],
+    completed: ['in_progress'],
+    cancelled: []
+};
+
+// Moving to these statuses needs a reason
+export const REASON_REQUIRED_STATUSES = ['on_hold', 'cancelled'];
+
+export const getAllowedTransitions = (status) => PROJECT_STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Move a project to a new status
+ * @param {string} projectId
+ * @param {string} toStatus - Target status
+ * @param {object} options
+ * @param {string} [options.reason] - Why (required for REASON_REQUIRED_STATUSES, max 1000 characters)
+ * @param {string} [options.changedBy] - Profile ID making the change
+ * @returns {Promise<object>} { from_status, to_status, history_id } or { status, error, allowed? } to send back
+ */
+export const transitionProjectStatus = async (projectId, toStatus, { reason = null, changedBy = null } = {}) => {
+    if (!PROJECT_STATUSES.includes(toStatus)) {
+        return { status: 400, error: `status must be one of: ${PROJECT_STATUSES.join(', ')}` };
+    }
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : null;
+    if (REASON_REQUIRED_STATUSES.includes(toStatus) && !trimmedReason) {
+        return { status: 400, error: `A reason is required to move a project to ${toStatus}` };
+    }
+    if (trimmedReason && trimmedReason.length > 1000) {
+        return { status: 400, error: 'reason must be at most 1000 characters' };
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [[project]] = await connection.execute(
+            'SELECT id, status FROM projects WHERE id = ? AND deleted_at IS NULL FOR UPDATE',
+            [projectId]
+        );
+        if (!project) {
+            await connection.rollback();
+            return { status: 404, error: 'Project not found' };
+        }
+
+        const allowed = getAllowedTransitions(project.status);
+        if (!allowed.includes(toStatus)) {
+            await connection.rollback();
+            return {
+                status: 409,
+                error: project.status === toStatus
+                    ? `Project is already ${toStatus}`
+                    : `Cannot move a project from ${project.status} to ${toStatus}`,
+                allowed
+            };
+        }
+
+        await connection.execute(
+            'UPDATE projects SET status = ?, updated_at = NOW() WHERE id = ?',
+            [toStatus, projectId]
+        );
+        const historyId = await ProjectStatusHistory.record(connection, {
+            project_id: projectId,
+            from_status: project.status,
+            to_status: toStatus,
+            reason: trimmedReason || null,
+            changed_by: changedBy
+        });
+
+        await connection.commit();
+        return { from_status: project.status, to_status: toStatus, history_id: historyId };
+    } catch (error) {
+        if (connection) {
+            await connection.rollback();
+        }
+        throw error;
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+export default { getAllowedTransitions, transitionProjectStatus };
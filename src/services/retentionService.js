@@ -0,0 +1,111 @@
+import pool from '../config/database.js';
+import { Setting } from '../models/Setting.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Employee } from '../models/Employee.js';
+import { Project } from '../models/Project.js';
+import { Proposal } from '../models/Proposal.js';
+import { EmployeeDocument } from '../models/EmployeeDocument.js';
+import { getDocumentStorage } from './documentStorage.js';
+
+/**
+ * Soft-delete retention
+ * Deleted employees, projects and proposals stay restorable for a retention period
+ * (admin setting `soft_delete_retention_days`) and are then purged for good.
+ */
+
+export const DEFAULT_RETENTION_DAYS = parseInt(process.env.SOFT_DELETE_RETENTION_DAYS || '30');
+
+// Table and label column per record type; `model` provides restore()
+export const TRASH_TYPES = {
+    employees: { table: 'employees', label: 'full_name', model: Employee },
+    projects: { table: 'projects', label: 'name', model: Project },
+    proposals: { table: 'proposals', label: 'title', model: Proposal },
+};
+
+export const getRetentionDays = () => Setting.get('soft_delete_retention_days', DEFAULT_RETENTION_DAYS);
+
+/**
+ * Soft-deleted records of one type, most recently deleted first
+ * @param {string} type - Key of TRASH_TYPES
+ * @returns {Promise<object[]>} Rows with the date they will be purged
+ */
+export const listDeleted = async (type) => {
+    const { table, label } = TRASH_TYPES[type];
+    const retentionDays = Number(await getRetentionDays());
+    const [rows] = await pool.execute(
+        `SELECT t.id, t.${label} AS label, t.deleted_at, t.deleted_by, u.full_name AS deleted_by_name,
+                t.deleted_at + INTERVAL ${retentionDays} DAY AS purge_after
+         FROM ${table} t
+         LEFT JOIN profiles u ON t.deleted_by = u.id
+         WHERE t.deleted_at IS NOT NULL
+         ORDER BY t.deleted_at DESC`
+    );
+    return rows;
+};
+
+/**
+ * Permanently remove records deleted longer ago than the retention period.
+ * Dependent rows (assignments, history, documents) go with them through their foreign keys.
+ * @returns {Promise<object>} Count per type
+ */
+export const purgeExpired = async () => {
+    const retentionDays = Number(await getRetentionDays());
+    const purged = {};
+
+    for (const [type, { table }] of Object.entries(TRASH_TYPES)) {
+        const expired = `deleted_at IS NOT NULL AND deleted_at < NOW() - INTERVAL ${retentionDays} DAY`;
+
+        const [rows] = await pool.execute(`SELECT id FROM ${table} WHERE ${expired}`);
+        const ids = rows.map(row => row.id);
+        purged[type] = 0;
+        if (ids.length === 0) continue;
+
+        // Document rows cascade with the employee, but their files have to be removed from storage
+        const storageKeys = type === 'employees' ? await EmployeeDocument.findStorageKeys(ids) : [];
+
+        const [result] = await pool.query(`DELETE FROM ${table} WHERE id IN (?) AND ${expired}`, [ids]);
+        purged[type] = result.affectedRows;
+        // Custom field values are keyed by record ID without a foreign key
+        await pool.query('DELETE FROM custom_field_values WHERE entity_id IN (?)', [ids]);
+
+        for (const key of storageKeys) {
+            await getDocumentStorage().remove(key);
+        }
+    }
+
+    if (Object.values(purged).some(count => count > 0)) {
+        await AuditLog.create({
+            user_id: null,
+            action: 'PURGE_DELETED_RECORDS',
+            details: { retention_days: retentionDays, ...purged },
+            ip_address: null
+        });
+    }
+    return purged;
+};
+
+/**
+ * Purge expired records now and then every `intervalMs`
+ * @param {number} intervalMs - Delay between runs
+ * @returns {NodeJS.Timeout}
+ */
+export const startPurgeJob = (intervalMs = 6 * 60 * 60 * 1000) => {
+    const run = async () => {
+        try {
+            const purged = await purgeExpired();
+            const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+            if (total > 0) {
+                console.log(`🗑️ Purged ${total} deleted record(s) past retention`);
+            }
+        } catch (error) {
+            console.error('Purge job failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default { TRASH_TYPES, getRetentionDays, listDeleted, purgeExpired, startPurgeJob };
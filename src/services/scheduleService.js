@@ -0,0 +1,224 @@
+import pool from '../config/database.js';
+import { Task } from '../models/Task.js';
+import { TaskDependency } from '../models/TaskDependency.js';
+import { Milestone } from '../models/Milestone.js';
+
+/**
+ * Project schedule (critical path method)
+ * Tasks run from their start_date to their due_date (one day when only one of them is set) and
+ * cannot start before every finish-to-start predecessor has finished plus its lag. A forward pass
+ * gives the early dates, a backward pass from the project finish the late dates; tasks without
+ * slack form the critical path. Dates are whole calendar days. Cancelled tasks are left out,
+ * together with their links.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (date) => Math.floor(Date.parse(`${date}T00:00:00Z`) / DAY_MS);
+const fromDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+const durationOf = (task) => (task.start_date && task.due_date)
+    ? Math.max(toDay(task.due_date) - toDay(task.start_date) + 1, 1)
+    : 1;
+
+/**
+ * Compute early/late dates, slack and the critical path
+ * @param {object} project - { start_date }
+ * @param {object[]} tasks - Tasks with start_date / due_date (YYYY-MM-DD or null)
+ * @param {object[]} dependencies - { predecessor_id, successor_id, lag_days }
+ * @returns {object} { start, finish, tasks: Map<id, dates>, critical_path: id[] }
+ */
+export const computeSchedule = (project, tasks, dependencies) => {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+    const links = dependencies.filter(d => byId.has(d.predecessor_id) && byId.has(d.successor_id));
+    const predecessors = new Map(tasks.map(task => [task.id, []]));
+    const successors = new Map(tasks.map(task => [task.id, []]));
+    for (const link of links) {
+        predecessors.get(link.successor_id).push(link);
+        successors.get(link.predecessor_id).push(link);
+    }
+
+    // Topological order (Kahn); links are kept acyclic when created, anything left over is ignored
+    const pending = new Map(tasks.map(task => [task.id, predecessors.get(task.id).length]));
+    const order = tasks.filter(task => pending.get(task.id) === 0).map(task => task.id);
+    for (let i = 0; i < order.length; i++) {
+        for (const link of successors.get(order[i])) {
+            pending.set(link.successor_id, pending.get(link.successor_id) - 1);
+            if (pending.get(link.successor_id) === 0) order.push(link.successor_id);
+        }
+    }
+
+    const anchor = project.start_date ? toDay(project.start_date) : toDay(new Date().toISOString().slice(0, 10));
+    const dates = new Map();
+
+    // Forward pass: a planned start is kept unless a predecessor pushes the task later
+    for (const id of order) {
+        const task = byId.get(id);
+        const duration = durationOf(task);
+        const planned = task.start_date
+            ? toDay(task.start_date)
+            : task.due_date ? toDay(task.due_date) - duration + 1 : anchor;
+        const earlyStart = predecessors.get(id).reduce((start, link) =>
+            Math.max(start, dates.get(link.predecessor_id).earlyFinish + 1 + link.lag_days), planned);
+        dates.set(id, { duration, earlyStart, earlyFinish: earlyStart + duration - 1 });
+    }
+
+    const scheduled = [...dates.values()];
+    const start = scheduled.length > 0 ? Math.min(...scheduled.map(d => d.earlyStart)) : anchor;
+    const finish = scheduled.length > 0 ? Math.max(...scheduled.map(d => d.earlyFinish)) : anchor;
+
+    // Backward pass from the project finish
+    for (const id of [...order].reverse()) {
+        const entry = dates.get(id);
+        entry.lateFinish = successors.get(id).reduce((lateFinish, link) =>
+            Math.min(lateFinish, dates.get(link.successor_id).lateStart - 1 - link.lag_days), finish);
+        entry.lateStart = entry.lateFinish - entry.duration + 1;
+        entry.slack = entry.lateStart - entry.earlyStart;
+    }
+
+    const criticalPath = order
+        .filter(id => dates.get(id).slack === 0)
+        .sort((a, b) => dates.get(a).earlyStart - dates.get(b).earlyStart);
+
+    return { start, finish, tasks: dates, links, critical_path: criticalPath };
+};
+
+// Latest early finish of a milestone's tasks (null without scheduled tasks)
+const forecastMilestones = (milestones, tasks, schedule) => milestones.map(milestone => {
+    const finishes = tasks
+        .filter(task => task.milestone_id === milestone.id && schedule.tasks.has(task.id))
+        .map(task => schedule.tasks.get(task.id).earlyFinish);
+    const forecast = finishes.length > 0 ? Math.max(...finishes) : null;
+    return {
+        id: milestone.id,
+        name: milestone.name,
+        due_date: milestone.due_date,
+        forecast_date: forecast === null ? null : fromDay(forecast),
+        late_by_days: forecast !== null && milestone.due_date ? Math.max(forecast - toDay(milestone.due_date), 0) : 0,
+        forecastDay: forecast
+    };
+});
+
+const loadProject = async (projectId) => {
+    const [[project]] = await pool.execute(
+        `SELECT id, name, status, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+         FROM projects WHERE id = ? AND deleted_at IS NULL`,
+        [projectId]
+    );
+    if (!project) return null;
+
+    const [tasks, dependencies, milestones] = await Promise.all([
+        Task.findByProject(projectId),
+        TaskDependency.findByProject(projectId),
+        Milestone.findByProject(projectId)
+    ]);
+    return { project, tasks, dependencies, milestones };
+};
+
+/**
+ * Gantt payload for a project
+ * @param {string} projectId
+ * @returns {Promise<object|null>} null if the project does not exist
+ */
+export const getProjectSchedule = async (projectId) => {
+    const loaded = await loadProject(projectId);
+    if (!loaded) return null;
+    const { project, tasks, dependencies, milestones } = loaded;
+
+    const schedule = computeSchedule(project, tasks, dependencies);
+    const critical = new Set(schedule.critical_path);
+
+    return {
+        project,
+        schedule: {
+            start: fromDay(schedule.start),
+            finish: fromDay(schedule.finish),
+            // Positive when the computed finish is later than the project's end date
+            end_date_variance_days: project.end_date ? schedule.finish - toDay(project.end_date) : null
+        },
+        tasks: tasks.filter(task => schedule.tasks.has(task.id)).map(task => {
+            const d = schedule.tasks.get(task.id);
+            return {
+                id: task.id,
+                title: task.title,
+                status: task.status,
+                priority: task.priority,
+                assignee_id: task.assignee_id,
+                assignee_name: task.assignee_name,
+                milestone_id: task.milestone_id,
+                parent_task_id: task.parent_task_id,
+                start_date: task.start_date,
+                due_date: task.due_date,
+                duration_days: d.duration,
+                early_start: fromDay(d.earlyStart),
+                early_finish: fromDay(d.earlyFinish),
+                late_start: fromDay(d.lateStart),
+                late_finish: fromDay(d.lateFinish),
+                slack_days: d.slack,
+                is_critical: critical.has(task.id)
+            };
+        }),
+        dependencies: schedule.links.map(link => ({
+            predecessor_id: link.predecessor_id,
+            successor_id: link.successor_id,
+            lag_days: link.lag_days,
+            type: 'finish_to_start'
+        })),
+        milestones: forecastMilestones(milestones, tasks, schedule).map(({ forecastDay, ...milestone }) => milestone),
+        critical_path: schedule.critical_path
+    };
+};
+
+/**
+ * What would slip if a task got new dates
+ * @param {string} projectId
+ * @param {string} taskId
+ * @param {object} dates - { start_date, due_date }; undefined keeps the current value, null clears it
+ * @returns {Promise<object|null>} null if the project or task does not exist
+ */
+export const previewTaskMove = async (projectId, taskId, { start_date, due_date }) => {
+    const loaded = await loadProject(projectId);
+    if (!loaded) return null;
+    const { project, tasks, dependencies, milestones } = loaded;
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return null;
+
+    const moved = {
+        ...task,
+        start_date: start_date === undefined ? task.start_date : start_date,
+        due_date: due_date === undefined ? task.due_date : due_date
+    };
+    const before = computeSchedule(project, tasks, dependencies);
+    const after = computeSchedule(project, tasks.map(t => (t.id === taskId ? moved : t)), dependencies);
+
+    const slipping = tasks
+        .filter(t => t.id !== taskId && before.tasks.has(t.id) && after.tasks.has(t.id))
+        .map(t => ({
+            id: t.id,
+            title: t.title,
+            early_finish_before: fromDay(before.tasks.get(t.id).earlyFinish),
+            early_finish_after: fromDay(after.tasks.get(t.id).earlyFinish),
+            slip_days: after.tasks.get(t.id).earlyFinish - before.tasks.get(t.id).earlyFinish
+        }))
+        .filter(t => t.slip_days > 0)
+        .sort((a, b) => b.slip_days - a.slip_days || a.title.localeCompare(b.title));
+
+    const milestonesBefore = new Map(forecastMilestones(milestones, tasks, before).map(m => [m.id, m]));
+    const slippingMilestones = forecastMilestones(milestones, tasks, after)
+        .filter(m => m.forecastDay !== null && m.forecastDay > milestonesBefore.get(m.id).forecastDay)
+        .map(({ forecastDay, ...m }) => ({
+            ...m,
+            forecast_date_before: milestonesBefore.get(m.id).forecast_date,
+            slip_days: forecastDay - milestonesBefore.get(m.id).forecastDay
+        }));
+
+    return {
+        task: { id: task.id, title: task.title, start_date: moved.start_date, due_date: moved.due_date },
+        project_finish_before: fromDay(before.finish),
+        project_finish_after: fromDay(after.finish),
+        tasks: slipping,
+        milestones: slippingMilestones
+    };
+};
+
+export default { computeSchedule, getProjectSchedule, previewTaskMove };
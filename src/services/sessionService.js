@@ -0,0 +1,127 @@
+import { User, IMPERSONATION_TOKEN_MINUTES } from '../models/User.js';
+import { RefreshToken } from '../models/RefreshToken.js';
+import { UserSession } from '../models/UserSession.js';
+import { AuditLog } from '../models/AuditLog.js';
+
+/**
+ * Start a new session for a user: a fresh refresh token family plus an access token bound to it
+ * @param {object} user - User row (id, email, role)
+ * @param {object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<{token: string, refresh_token: string, refresh_expires_at: Date}>}
+ */
+export const createSession = async (user, { ip, userAgent } = {}) => {
+    const refresh = await RefreshToken.issue(user.id);
+    await UserSession.create({
+        id: refresh.familyId,
+        user_id: user.id,
+        user_agent: userAgent,
+        ip_address: ip
+    });
+
+    return {
+        token: User.generateToken(user, refresh.familyId),
+        refresh_token: refresh.token,
+        refresh_expires_at: refresh.expiresAt,
+    };
+};
+
+/**
+ * Start an impersonation session: the target user's identity, tagged with the admin behind it.
+ * Only an access token is returned, and the family's refresh token expires with it, so the
+ * session ends after IMPERSONATION_TOKEN_MINUTES.
+ * @param {object} user - The impersonated user
+ * @param {object} impersonator - The admin starting the impersonation
+ * @param {object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<{token: string, session_id: string}>}
+ */
+export const createImpersonationSession = async (user, impersonator, { ip, userAgent } = {}) => {
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TOKEN_MINUTES * 60 * 1000);
+    const refresh = await RefreshToken.issue(user.id, undefined, expiresAt);
+    await UserSession.create({
+        id: refresh.familyId,
+        user_id: user.id,
+        user_agent: userAgent,
+        ip_address: ip,
+        impersonator_id: impersonator.id
+    });
+
+    return {
+        token: User.generateToken(user, refresh.familyId, impersonator.id),
+        session_id: refresh.familyId,
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair.
+ * Presenting a token that was already rotated is treated as theft: the whole family is revoked.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @param {object} context - Request context ({ ip, userAgent })
+ * @returns {Promise<object|null>} New session with the user, or null if the token is not usable
+ */
+export const rotateSession = async (refreshToken, { ip, userAgent } = {}) => {
+    const stored = await RefreshToken.findByToken(refreshToken);
+    if (!stored || stored.revoked_at) {
+        return null;
+    }
+
+    if (stored.replaced_by) {
+        await revokeSession(stored.family_id);
+        await AuditLog.create({
+            user_id: stored.user_id,
+            action: 'REFRESH_TOKEN_REUSE',
+            details: { family_id: stored.family_id, token_id: stored.id },
+            ip_address: ip
+        });
+        return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+        return null;
+    }
+
+    const session = await UserSession.findById(stored.family_id);
+    if (session && (session.revoked_at || session.impersonator_id)) {
+        return null;
+    }
+
+    const user = await User.findById(stored.user_id);
+    if (!user || user.deactivated_at) {
+        return null;
+    }
+
+    const next = await RefreshToken.issue(user.id, stored.family_id);
+    const rotated = await RefreshToken.markReplaced(stored.id, next.id);
+    if (!rotated) {
+        // Another request rotated this token first; treat the loser as reuse
+        await revokeSession(stored.family_id);
+        return null;
+    }
+
+    // Families issued before sessions were tracked get their session row on first refresh
+    if (!session) {
+        await UserSession.create({ id: stored.family_id, user_id: user.id, user_agent: userAgent, ip_address: ip });
+    } else {
+        await UserSession.touch(stored.family_id, { ip_address: ip, user_agent: userAgent });
+    }
+
+    return {
+        user,
+        token: User.generateToken(user, stored.family_id),
+        refresh_token: next.token,
+        refresh_expires_at: next.expiresAt,
+    };
+};
+
+export const revokeSession = async (sessionId) => {
+    await UserSession.revoke(sessionId);
+    return RefreshToken.revokeFamily(sessionId);
+};
+
+// Returns the number of sessions that were still open
+export const revokeAllSessions = async (userId) => {
+    const revoked = await UserSession.revokeAllForUser(userId);
+    await RefreshToken.revokeAllForUser(userId);
+    return revoked;
+};
+
+export default { createSession, createImpersonationSession, rotateSession, revokeSession, revokeAllSessions };
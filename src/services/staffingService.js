@@ -0,0 +1,140 @@
+import pool from '../config/database.js';
+import { Skill, MIN_SKILL_LEVEL, MAX_SKILL_LEVEL } from '../models/Skill.js';
+import { LeaveRequest } from '../models/LeaveRequest.js';
+import { isValidDate } from './employeeHistoryService.js';
+import { getPeakAllocations } from './capacityService.js';
+
+/**
+ * Staffing search
+ * Ranks active employees for a project by how well they cover the required skills, then by their
+ * peak weekly allocation over the period (see capacityService). People with approved leave in the
+ * period are left out.
+ */
+
+/**
+ * Parse `?skills=React:4,Node.js:3,SQL` (skill name or ID, optional minimum level, default 1)
+ * @param {string|string[]} raw - Query value
+ * @returns {Promise<object>} { requirements: [{skill, level}] } or { error }
+ */
+export const parseSkillRequirements = async (raw) => {
+    const parts = (Array.isArray(raw) ? raw : [raw || ''])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+
+    const wanted = [];
+    for (const part of parts) {
+        const separator = part.lastIndexOf(':');
+        const ref = separator > 0 ? part.slice(0, separator).trim() : part;
+        const level = separator > 0 ? Number(part.slice(separator + 1)) : MIN_SKILL_LEVEL;
+        if (!Number.isInteger(level) || level < MIN_SKILL_LEVEL || level > MAX_SKILL_LEVEL) {
+            return { error: `Skill level for "${ref}" must be between ${MIN_SKILL_LEVEL} and ${MAX_SKILL_LEVEL}` };
+        }
+        wanted.push({ ref, level });
+    }
+
+    const skills = await Skill.findByRefs(wanted.map(w => w.ref));
+    const requirements = [];
+    for (const { ref, level } of wanted) {
+        const skill = skills.find(s => s.id === ref || s.name.toLowerCase() === ref.toLowerCase());
+        if (!skill) {
+            return { error: `Unknown skill: ${ref}` };
+        }
+        requirements.push({ skill, level });
+    }
+    return { requirements };
+};
+
+/**
+ * Rank employees for a project
+ * @param {string} projectId - Project being staffed
+ * @param {object[]} requirements - From parseSkillRequirements
+ * @param {object} options
+ * @param {string} [options.from] - Start of the period to check leave and load for (default: project start, or today
+ *                                  if the project has already started)
+ * @param {string} [options.to] - End of that period (default: project end if still ahead, otherwise `from`)
+ * @param {string} [options.department] - Only employees of this department
+ * @param {number} [options.limit] - Maximum candidates returned
+ * @returns {Promise<object|null>} null if the project does not exist, { error } for bad dates
+ */
+export const findStaffingCandidates = async (projectId, requirements, { from, to, department = null, limit = 20 } = {}) => {
+    const [[project]] = await pool.execute(
+        `SELECT id, name, DATE_FORMAT(start_date, '%Y-%m-%d') AS start_date, DATE_FORMAT(end_date, '%Y-%m-%d') AS end_date
+         FROM projects WHERE id = ? AND deleted_at IS NULL`,
+        [projectId]
+    );
+    if (!project) return null;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const periodFrom = from || (project.start_date && project.start_date > today ? project.start_date : today);
+    const periodTo = to || (project.end_date && project.end_date >= periodFrom ? project.end_date : periodFrom);
+    if (!isValidDate(periodFrom) || !isValidDate(periodTo) || periodTo < periodFrom) {
+        return { error: 'from and to must be valid dates (YYYY-MM-DD) with to on or after from' };
+    }
+
+    const [employees] = await pool.execute(
+        `SELECT e.id, e.full_name, e.email, e.department, e.position,
+                EXISTS (SELECT 1 FROM project_assignments pa
+                        WHERE pa.project_id = ? AND pa.employee_id = e.id AND pa.ended_at IS NULL) AS already_assigned
+         FROM employees e
+         WHERE e.deleted_at IS NULL AND e.status = 'active'${department ? ' AND e.department = ?' : ''}`,
+        department ? [projectId, department] : [projectId]
+    );
+
+    const skillIds = requirements.map(r => r.skill.id);
+    const levels = new Map();
+    if (skillIds.length > 0 && employees.length > 0) {
+        const [rows] = await pool.query(
+            'SELECT employee_id, skill_id, level FROM employee_skills WHERE skill_id IN (?)',
+            [skillIds]
+        );
+        for (const row of rows) {
+            levels.set(`${row.employee_id}:${row.skill_id}`, row.level);
+        }
+    }
+
+    const onLeave = await LeaveRequest.findEmployeesOnLeave(periodFrom, periodTo);
+    const load = await getPeakAllocations(employees.map(e => e.id), periodFrom, periodTo);
+
+    const candidates = [];
+    for (const employee of employees) {
+        if (onLeave.has(employee.id)) continue;
+
+        const skills = requirements.map(({ skill, level }) => {
+            const has = levels.get(`${employee.id}:${skill.id}`) || 0;
+            return { skill_id: skill.id, name: skill.name, required_level: level, level: has, meets: has >= level };
+        });
+        // Each skill counts for its share, partially when the level is below what is required
+        const matchPct = skills.length === 0
+            ? 100
+            : Math.round(skills.reduce((sum, s) => sum + Math.min(s.level / s.required_level, 1), 0) / skills.length * 100);
+        if (matchPct === 0) continue;
+
+        candidates.push({
+            ...employee,
+            already_assigned: !!employee.already_assigned,
+            match_pct: matchPct,
+            meets_all: skills.every(s => s.meets),
+            allocation_pct: load.get(employee.id) || 0,
+            available_pct: Math.max(100 - (load.get(employee.id) || 0), 0),
+            skills
+        });
+    }
+
+    candidates.sort((a, b) =>
+        (b.meets_all - a.meets_all) ||
+        (b.match_pct - a.match_pct) ||
+        (a.allocation_pct - b.allocation_pct) ||
+        a.full_name.localeCompare(b.full_name)
+    );
+
+    return {
+        project,
+        period: { from: periodFrom, to: periodTo },
+        requirements: requirements.map(({ skill, level }) => ({ skill_id: skill.id, name: skill.name, level })),
+        excluded_on_leave: employees.filter(e => onLeave.has(e.id)).length,
+        candidates: candidates.slice(0, limit)
+    };
+};
+
+export default { parseSkillRequirements, findStaffingCandidates };
@@ -0,0 +1,103 @@
+import { Project } from '../models/Project.js';
+import { Task } from '../models/Task.js';
+import { TimeEntry, ROLLUP_GROUPS, weekStartOf } from '../models/TimeEntry.js';
+import { Timesheet, LOCKED_TIMESHEET_STATUSES } from '../models/Timesheet.js';
+import { isValidDate } from './employeeHistoryService.js';
+
+/**
+ * Time tracking
+ * Validation of time entries (project membership, daily limit, locked weeks) and the query
+ * grammar shared by the hour rollups on projects, employees and analytics.
+ */
+
+const MAX_HOURS_PER_DAY = 24;
+
+/**
+ * Is the employee's week submitted or approved?
+ * @returns {Promise<string|null>} The locking status, or null if the week can be edited
+ */
+export const getWeekLock = async (employeeId, workDate) => {
+    const timesheet = await Timesheet.findByWeek(employeeId, weekStartOf(workDate));
+    return timesheet && LOCKED_TIMESHEET_STATUSES.includes(timesheet.status) ? timesheet.status : null;
+};
+
+/**
+ * Check a time entry create/update body
+ * @param {string} employeeId - Whose entry it is
+ * @param {object} body - Fields to set
+ * @param {object} [current] - The entry being updated
+ * @returns {Promise<object|null>} { status, error } to send back, or null if the entry is valid
+ */
+export const checkTimeEntry = async (employeeId, body, current = null) => {
+    const projectId = body.project_id !== undefined ? body.project_id : current?.project_id;
+    const taskId = body.task_id !== undefined ? body.task_id : current?.task_id;
+    const workDate = body.work_date !== undefined ? body.work_date : current?.work_date;
+    const hours = body.hours !== undefined ? body.hours : current?.hours;
+
+    if (!projectId) {
+        return { status: 400, error: 'project_id is required' };
+    }
+    if (!isValidDate(workDate) || workDate > new Date().toISOString().slice(0, 10)) {
+        return { status: 400, error: 'work_date must be a valid date (YYYY-MM-DD), not in the future' };
+    }
+    if (typeof hours !== 'number' || !(hours > 0) || hours > MAX_HOURS_PER_DAY) {
+        return { status: 400, error: `hours must be a number above 0 and at most ${MAX_HOURS_PER_DAY}` };
+    }
+    if (body.billable !== undefined && typeof body.billable !== 'boolean') {
+        return { status: 400, error: 'billable must be true or false' };
+    }
+    if (body.description && String(body.description).length > 500) {
+        return { status: 400, error: 'description must be at most 500 characters' };
+    }
+
+    if (body.project_id !== undefined || !current) {
+        if (!(await Project.findById(projectId))) {
+            return { status: 400, error: 'project_id must be an existing project' };
+        }
+        if (!(await Project.isAssigned(projectId, employeeId))) {
+            return { status: 400, error: 'You can only log time on projects you are assigned to' };
+        }
+    }
+    if (taskId && !(await Task.findById(projectId, taskId))) {
+        return { status: 400, error: 'task_id must be a task of the project' };
+    }
+
+    for (const date of new Set([current?.work_date, workDate].filter(Boolean))) {
+        const lock = await getWeekLock(employeeId, date);
+        if (lock) {
+            return { status: 409, error: `The timesheet for the week of ${weekStartOf(date)} is ${lock} and can no longer be changed` };
+        }
+    }
+
+    const booked = await TimeEntry.getDayTotal(employeeId, workDate, current?.id);
+    if (booked + hours > MAX_HOURS_PER_DAY) {
+        return { status: 400, error: `At most ${MAX_HOURS_PER_DAY} hours can be logged per day (${booked} already logged on ${workDate})` };
+    }
+    return null;
+};
+
+/**
+ * Parse `?group=&from=&to=&approved_only=true` for an hours rollup
+ * @param {object} query - req.query
+ * @param {string[]} groups - Groupings allowed for this rollup
+ * @returns {object} { groupBy, from, to, approvedOnly } or { error }
+ */
+export const parseRollupQuery = (query, groups = ROLLUP_GROUPS) => {
+    const groupBy = query.group || groups[0];
+    if (!groups.includes(groupBy)) {
+        return { error: `group must be one of: ${groups.join(', ')}` };
+    }
+    for (const field of ['from', 'to']) {
+        if (query[field] && !isValidDate(query[field])) {
+            return { error: `${field} must be a valid date (YYYY-MM-DD)` };
+        }
+    }
+    return {
+        groupBy,
+        from: query.from || null,
+        to: query.to || null,
+        approvedOnly: query.approved_only === 'true'
+    };
+};
+
+export default { getWeekLock, checkTimeEntry, parseRollupQuery };
@@ -0,0 +1,262 @@
+import crypto from 'crypto';
+import { google } from 'googleapis';
+import pool from '../config/database.js';
+
+/**
+ * Token Vault
+ * Encrypts Google OAuth tokens at rest (AES-256-GCM) and is the only place that reads or
+ * writes `oauth_tokens`. Every Google API consumer gets its OAuth client from here.
+ *
+ * Keys come from TOKEN_VAULT_KEYS as a comma-separated list of `keyId:base64Key` (32-byte keys).
+ * The first key encrypts; the others stay available for decryption, so a key can be rotated by
+ * prepending a new one. Rows under an older key (or still in plaintext) are re-encrypted in the
+ * background by startReencryptionJob().
+ */
+
+const CIPHER = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+export const GOOGLE_SCOPES = [
+    'https://www.googleapis.com/auth/forms.body',
+    'https://www.googleapis.com/auth/drive.file'
+];
+
+const loadKeys = () => {
+    const keys = new Map();
+    const configured = process.env.TOKEN_VAULT_KEYS || '';
+
+    for (const entry of configured.split(',').map(e => e.trim()).filter(Boolean)) {
+        const [keyId, encoded] = entry.split(':');
+        const key = Buffer.from(encoded || '', 'base64');
+        if (!keyId || key.length !== 32) {
+            throw new Error(`Invalid TOKEN_VAULT_KEYS entry for key "${keyId}": expected keyId:base64 32-byte key`);
+        }
+        keys.set(keyId, key);
+    }
+
+    if (keys.size === 0) {
+        console.warn('⚠️ TOKEN_VAULT_KEYS is not set; deriving the token vault key from JWT_SECRET');
+        keys.set('default', crypto.createHash('sha256').update(`token-vault:${process.env.JWT_SECRET}`).digest());
+    }
+
+    return { keys, activeKeyId: keys.keys().next().value };
+};
+
+let keyring;
+const getKeyring = () => {
+    if (!keyring) {
+        keyring = loadKeys();
+    }
+    return keyring;
+};
+
+/**
+ * Encrypt a value with the active key
+ * @param {string|null} plaintext - Value to encrypt
+ * @returns {string|null} `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` (base64 parts)
+ */
+export const encrypt = (plaintext) => {
+    if (plaintext === null || plaintext === undefined) return null;
+
+    const { keys, activeKeyId } = getKeyring();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [PREFIX, activeKeyId, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value written by encrypt(). Legacy plaintext values are returned unchanged.
+ * @param {string|null} value - Stored value
+ * @returns {string|null}
+ */
+export const decrypt = (value) => {
+    if (value === null || value === undefined) return null;
+    if (!value.startsWith(`${PREFIX}:`)) return value;
+
+    const [, , keyId, iv, tag, ciphertext] = value.split(':');
+    const key = getKeyring().keys.get(keyId);
+    if (!key) {
+        throw new Error(`Token vault key "${keyId}" is not configured`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+};
+
+const isCurrent = (value) => value === null || value.startsWith(`${PREFIX}:${getKeyring().activeKeyId}:`);
+
+/**
+ * Store Google tokens for a user. A missing refresh token keeps the stored one
+ * (Google only returns it on the first consent).
+ * @param {string} userId - The profile ID
+ * @param {object} tokens - { access_token, refresh_token, expiry_date }
+ */
+export const saveGoogleTokens = async (userId, tokens) => {
+    await pool.execute(
+        `INSERT INTO oauth_tokens (user_id, access_token, refresh_token, expiry_date)
+       VALUES (?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+       access_token = VALUES(access_token),
+       refresh_token = IF(VALUES(refresh_token) IS NOT NULL, VALUES(refresh_token), refresh_token),
+       expiry_date = VALUES(expiry_date),
+       updated_at = NOW()`,
+        [userId, encrypt(tokens.access_token), encrypt(tokens.refresh_token || null), tokens.expiry_date || null]
+    );
+};
+
+/**
+ * Read and decrypt a user's Google tokens
+ * @param {string} userId - The profile ID
+ * @returns {Promise<object|null>} { access_token, refresh_token, expiry_date } or null if not connected
+ */
+export const getGoogleTokens = async (userId) => {
+    const [rows] = await pool.execute(
+        'SELECT access_token, refresh_token, expiry_date FROM oauth_tokens WHERE user_id = ?',
+        [userId]
+    );
+    if (rows.length === 0) return null;
+
+    return {
+        access_token: decrypt(rows[0].access_token),
+        refresh_token: decrypt(rows[0].refresh_token),
+        expiry_date: rows[0].expiry_date
+    };
+};
+
+export const deleteGoogleTokens = async (userId) => {
+    const [result] = await pool.execute('DELETE FROM oauth_tokens WHERE user_id = ?', [userId]);
+    return result.affectedRows > 0;
+};
+
+/**
+ * Revoke a user's grant at Google and forget the stored tokens.
+ * The local tokens are deleted even if Google can't be reached.
+ * @param {string} userId - The profile ID
+ * @returns {Promise<boolean>} False if the user had no stored tokens
+ */
+export const revokeGoogleTokens = async (userId) => {
+    const tokens = await getGoogleTokens(userId);
+    if (!tokens) return false;
+
+    try {
+        await createOAuthClient().revokeToken(tokens.refresh_token || tokens.access_token);
+    } catch (error) {
+        console.error(`Failed to revoke Google grant for user ${userId}:`, error.message);
+    }
+
+    return deleteGoogleTokens(userId);
+};
+
+export const createOAuthClient = () => new google.auth.OAuth2(
+    process.env.GOOGLE_CLIENT_ID,
+    process.env.GOOGLE_CLIENT_SECRET,
+    process.env.GOOGLE_REDIRECT_URI
+);
+
+/**
+ * URL that sends the user through Google consent; `state` carries the user ID back to the callback
+ * @param {string} userId - The profile ID
+ * @returns {string}
+ */
+export const getGoogleAuthUrl = (userId) => createOAuthClient().generateAuthUrl({
+    access_type: 'offline', // Request refresh token
+    scope: GOOGLE_SCOPES,
+    state: userId
+});
+
+/**
+ * OAuth client authorized as the user. Tokens refreshed by the Google library are written back encrypted.
+ * @param {string} userId - The profile ID
+ * @returns {Promise<object|null>} OAuth2 client, or null if the user has not connected Google
+ */
+export const getGoogleClient = async (userId) => {
+    const tokens = await getGoogleTokens(userId);
+    if (!tokens) return null;
+
+    const oauth2Client = createOAuthClient();
+    oauth2Client.setCredentials(tokens);
+    oauth2Client.on('tokens', (refreshed) => {
+        saveGoogleTokens(userId, refreshed).catch(error => {
+            console.error('Failed to store refreshed Google tokens:', error);
+        });
+    });
+
+    return oauth2Client;
+};
+
+/**
+ * Re-encrypt rows that are in plaintext or under a non-active key
+ * @param {number} batchSize - Maximum rows per run
+ * @returns {Promise<number>} Number of rows re-encrypted
+ */
+export const reencryptStaleTokens = async (batchSize = 100) => {
+    const { activeKeyId } = getKeyring();
+    const activePrefix = `${PREFIX}:${activeKeyId}:%`;
+    const [rows] = await pool.execute(
+        `SELECT user_id, access_token, refresh_token FROM oauth_tokens
+       WHERE access_token NOT LIKE ? OR (refresh_token IS NOT NULL AND refresh_token NOT LIKE ?)
+       LIMIT ${Number(batchSize)}`,
+        [activePrefix, activePrefix]
+    );
+
+    let count = 0;
+    for (const row of rows) {
+        try {
+            const accessToken = isCurrent(row.access_token) ? row.access_token : encrypt(decrypt(row.access_token));
+            const refreshToken = isCurrent(row.refresh_token) ? row.refresh_token : encrypt(decrypt(row.refresh_token));
+
+            // Only overwrite if the row hasn't been updated since it was read
+            const [result] = await pool.execute(
+                `UPDATE oauth_tokens SET access_token = ?, refresh_token = ?
+           WHERE user_id = ? AND access_token = ? AND refresh_token <=> ?`,
+                [accessToken, refreshToken, row.user_id, row.access_token, row.refresh_token]
+            );
+            count += result.affectedRows;
+        } catch (error) {
+            console.error(`Failed to re-encrypt Google tokens for user ${row.user_id}:`, error.message);
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Periodically re-encrypt stale rows until none are left
+ * @param {number} intervalMs - Delay between runs
+ * @returns {NodeJS.Timeout}
+ */
+export const startReencryptionJob = (intervalMs = 10 * 60 * 1000) => {
+    const run = async () => {
+        try {
+            const count = await reencryptStaleTokens();
+            if (count > 0) {
+                console.log(`🔐 Re-encrypted Google tokens for ${count} user(s)`);
+            }
+        } catch (error) {
+            console.error('Token re-encryption job failed:', error.message);
+        }
+    };
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    return timer;
+};
+
+export default {
+    encrypt,
+    decrypt,
+    saveGoogleTokens,
+    getGoogleTokens,
+    deleteGoogleTokens,
+    revokeGoogleTokens,
+    createOAuthClient,
+    getGoogleAuthUrl,
+    getGoogleClient,
+    reencryptStaleTokens,
+    startReencryptionJob
+};
@@ -0,0 +1,141 @@
+/**
+ * List query grammar shared by the list endpoints (employees, projects).
+ *
+ *   ?q=jane dev                     every term must match one of the searchable columns
+ *   ?status=active,inactive         multi-value filter (comma-separated or repeated param)
+ *   ?join_date_from=2024-01-01      inclusive range on a date filter (`_from` / `_to`)
+ *   ?sort=-join_date,full_name      whitelisted sort fields, `-` for descending
+ *   ?include=deleted                also return soft-deleted rows
+ *   ?page=2&limit=25
+ *
+ * Each endpoint describes what it allows with a spec:
+ *   {
+ *     searchColumns: ['e.full_name', ...],
+ *     filters: {
+ *       status: { column: 'e.status', type: 'enum', values: ['active', ...] },
+ *       department: { column: 'e.department', type: 'string' },
+ *       join_date: { column: 'e.join_date', type: 'date' }
+ *     },
+ *     sortable: { full_name: 'e.full_name', ... },
+ *     defaultSort: '-created_at',
+ *     softDeleteColumns: ['e.deleted_at']   // rows with any of these set are hidden by default
+ *   }
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accept both `?a=x,y` and `?a=x&a=y`
+const toList = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    const values = Array.isArray(value) ? value : [value];
+    return values
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(Boolean);
+};
+
+const escapeLike = (term) => term.replace(/[\\%_]/g, c => `\\${c}`);
+
+const parseSort = (sort, spec) => {
+    const fields = toList(sort || spec.defaultSort);
+    const clauses = [];
+
+    for (const field of fields) {
+        const descending = field.startsWith('-');
+        const name = descending ? field.slice(1) : field;
+        const column = spec.sortable[name];
+        if (!column) {
+            return { error: `Cannot sort by "${name}". Allowed: ${Object.keys(spec.sortable).join(', ')}` };
+        }
+        clauses.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+    }
+
+    return { orderBy: clauses.join(', ') };
+};
+
+/**
+ * Turn request query parameters into SQL fragments for a list endpoint
+ * @param {object} query - req.query
+ * @param {object} spec - What the endpoint allows (see module comment)
+ * @returns {object} { where, params, orderBy, page, limit, offset } or { error } for invalid input
+ */
+export const parseListQuery = (query, spec) => {
+    const conditions = [];
+    const params = [];
+
+    // Soft-deleted rows
+    if (!toList(query.include).includes('deleted')) {
+        for (const column of spec.softDeleteColumns || []) {
+            conditions.push(`${column} IS NULL`);
+        }
+    }
+
+    // Free-text search
+    const terms = String(query.q || '').trim().split(/\s+/).filter(Boolean);
+    for (const term of terms) {
+        conditions.push(`(${spec.searchColumns.map(column => `${column} LIKE ?`).join(' OR ')})`);
+        params.push(...spec.searchColumns.map(() => `%${escapeLike(term)}%`));
+    }
+
+    // Filters
+    for (const [name, filter] of Object.entries(spec.filters || {})) {
+        if (filter.type === 'date') {
+            for (const [suffix, operator] of [['_from', '>='], ['_to', '<=']]) {
+                const value = query[`${name}${suffix}`];
+                if (value === undefined || value === '') continue;
+                if (!DATE_PATTERN.test(value)) {
+                    return { error: `${name}${suffix} must be a date (YYYY-MM-DD)` };
+                }
+                conditions.push(`${filter.column} ${operator} ?`);
+                params.push(value);
+            }
+            continue;
+        }
+
+        const values = toList(query[name]);
+        if (values.length === 0) continue;
+
+        if (filter.type === 'enum') {
+            const invalid = values.filter(v => !filter.values.includes(v));
+            if (invalid.length > 0) {
+                return { error: `Invalid ${name}: ${invalid.join(', ')}. Allowed: ${filter.values.join(', ')}` };
+            }
+        }
+
+        conditions.push(`${filter.column} IN (${values.map(() => '?').join(', ')})`);
+        params.push(...values);
+    }
+
+    const sort = parseSort(query.sort, spec);
+    if (sort.error) {
+        return { error: sort.error };
+    }
+
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    return {
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy: sort.orderBy,
+        page,
+        limit,
+        offset: (page - 1) * limit
+    };
+};
+
+/**
+ * Pagination block returned alongside list results
+ * @param {object} listQuery - Result of parseListQuery
+ * @param {number} total - Total number of matching rows
+ */
+export const buildPagination = ({ page, limit }, total) => ({
+    page,
+    limit,
+    total,
+    pages: Math.ceil(total / limit)
+});
+
+export default { parseListQuery, buildPagination };